@@ -5,13 +5,13 @@
        *
        * Architecture: Single-page application with modular organization
        * Technology: Vanilla JavaScript (ES6+), HTML5, CSS3
-       * Storage: Firestore (when configured) with in-memory fallback
+       * Storage: IndexedDB (offline-first) with queued Firestore sync
        *
        * ============================================
        * CODE ORGANIZATION & FILE STRUCTURE
        * ============================================
        *
-       * This application follows a modular architecture pattern with 13 distinct modules.
+       * This application follows a modular architecture pattern with 23 distinct modules.
        *
        * FILES:
        * - index.html: App structure, views, and component containers
@@ -20,80 +20,141 @@
        *
        * MODULE STRUCTURE:
        *
-       * 1. CONFIG (Lines ~197-253)
+       * 1. CONFIG
        *    - Central configuration constants
        *    - Technique: Configuration object pattern
        *    - Purpose: Single source of truth for app settings
        *    - Contains: Days config, status enums, limits, colors
        *
-       * 2. UTILS (Lines ~254-303)
+       * 2. UTILS
        *    - Utility functions for common operations
        *    - Technique: Pure functions (no side effects)
        *    - Purpose: Reusable helper methods
        *    - Functions: escapeHtml (XSS prevention), formatTime, getDayIndex, etc.
        *
-       * 3. VALIDATOR (Lines ~304-397)
+       * 3. VALIDATOR
        *    - Input validation with Regular Expressions
        *    - Technique: Regex pattern matching for data validation
        *    - Purpose: Ensure data integrity before processing
        *    - Validates: Email, password, task title, duration
        *    - Returns: Object with {valid: boolean, error: string, value: any}
        *
-       * 4. ERROR_HANDLER (Lines ~398-530)
+       * 4. ERROR_HANDLER
        *    - Comprehensive error handling system
        *    - Technique: Try/catch wrapper (Higher-order function)
        *    - Purpose: Centralized error management and logging
        *    - Features: Error logging, user notifications, field-level errors
        *    - Pattern: Higher-order function that wraps operations
        *
-       * 5. ID_GENERATOR (Lines ~531-555)
+       * 5. ID_GENERATOR
        *    - Unique ID generation system
        *    - Technique: Closure pattern for private state
        *    - Purpose: Generate collision-free task IDs
        *    - Algorithm: Timestamp + incrementing counter
        *
-       * 6. APP_STORAGE (Lines ~556-848)
+       * 6. LOCAL_STORE
+       *    - Offline-first browser persistence
+       *    - Technique: Promise wrapper around IndexedDB requests
+       *    - Purpose: Keep plans across reloads and while offline
+       *    - Stores: plans (per user/guest), syncQueue (pending uploads)
+       *
+       * 7. APP_STORAGE
        *    - Data persistence layer
        *    - Technique: Singleton pattern (single instance)
        *    - Purpose: Centralized data storage and management
-       *    - Structure: Firestore sync with in-memory fallback
+       *    - Structure: IndexedDB local copy + queued Firestore sync
+       *    - Sync: Versioned per-task documents, realtime listeners, conflict queue
        *
-       * 7. TASK_MANAGER (Lines ~849-1110)
+       * 8. TASK_MANAGER
        *    - Core business logic for task operations
        *    - Techniques: Algorithm design, validation, state management
        *    - Purpose: CRUD operations and intelligent scheduling
        *    - Features: Auto-balance algorithm, auto-reschedule, statistics
        *
-       * 8. DOM_BUILDER (Lines ~1111-1236)
-       *    - Dynamic HTML generation
-       *    - Technique: Factory pattern (creates DOM elements)
-       *    - Purpose: Separate presentation from logic
-       *    - Creates: Task elements, day cards, calendar days
+       * 9. GOAL_PLANNER
+       *    - Exams and other targets with a total study effort
+       *    - Technique: Back-scheduling in equal shares within day/week room
+       *    - Purpose: Revision spread over the days before the target date
+       *    - Features: Progress tracking, re-planning after missed sessions
+       *
+       * 10. TASK_SEARCH
+       *     - Full-text search and filters over every task
+       *     - Technique: Normalized filter object mirrored in URL parameters
+       *     - Purpose: Find tasks across all weeks; survives reloads
+       *     - Features: Status/day/subject/duration/rescheduled filters, <mark> highlights
+       *
+       * 11. ANALYTICS
+       *     - Week history and study trends
+       *     - Technique: Per-week summaries archived with the account
+       *     - Purpose: Analytics that outlive deleted and cleared tasks
+       *     - Features: Completion rate, minutes per day/week/subject, streaks
+       *
+       * 12. HISTORY
+       *     - Undo/redo for every plan change
+       *     - Technique: Command history with per-task before/after diffs
+       *     - Purpose: Make deletes, moves and resets reversible
+       *     - Features: Toolbar buttons, Ctrl+Z / Ctrl+Shift+Z, toast undo
+       *
+       * 13. WEEK_OPTIMIZER
+       *     - Whole-week scheduling with a reviewable diff
+       *     - Technique: Greedy placement by urgency with load balancing
+       *     - Purpose: Fit a week into its limits in one pass
+       *     - Features: Deadlines, weekly cap, moves earlier or later
+       *
+       * 14. PLAN_TRANSFER
+       *     - Backup and transfer of the plan
+       *     - Technique: Format-specific parsers + shared Validator rules
+       *     - Purpose: Move plans in and out of the app safely
+       *     - Formats: Versioned JSON, CSV, iCalendar (.ics) with dry-run import
+       *
+       * 15. DOM_BUILDER
+       *     - Dynamic HTML generation
+       *     - Technique: Factory pattern (creates DOM elements)
+       *     - Purpose: Separate presentation from logic
+       *     - Creates: Task elements, day cards, calendar days
+       *
+       * 16. DRAG_DROP
+       *     - Moves tasks between days
+       *     - Technique: Native drag events, touch tracking, key handling
+       *     - Purpose: Reschedule without delete-and-recreate
+       *     - Features: Live capacity feedback, screen reader announcements
        *
-       * 9. MODAL (Lines ~1237-1287)
-       *    - Modal dialog management
-       *    - Technique: Singleton pattern with event handling
-       *    - Purpose: User interaction for detailed views
-       *    - Features: Accessibility (ESC key, focus management)
+       * 17. FOCUS_TIMER
+       *     - Pomodoro and stopwatch focus sessions
+       *     - Technique: Timestamp-based timing (robust to throttled timers)
+       *     - Purpose: Measure how long tasks really take
+       *     - Features: Pause/resume, interruption count, phase alerts
        *
-       * 10. UI (Lines ~1288-1703)
+       * 18. REMINDERS
+       *     - Study reminders as browser notifications
+       *     - Technique: Schedule handed to sw.js (triggers / periodic sync)
+       *     - Purpose: Tell students when to study, also with the app closed
+       *     - Features: Per-task lead time, morning digest, evening nudge
+       *
+       * 19. MODAL
+       *     - Modal dialog management
+       *     - Technique: Singleton pattern with event handling
+       *     - Purpose: User interaction for detailed views
+       *     - Features: Accessibility (ESC key, focus management)
+       *
+       * 20. UI
        *     - User interface orchestration
        *     - Technique: Observer pattern (reactive updates)
        *     - Purpose: View management and rendering
        *     - Functions: View switching, section updates, refresh
        *
-       * 11. HANDLERS (Lines ~1704-2003)
+       * 21. HANDLERS
        *     - Event handling layer
        *     - Technique: Command pattern (encapsulates actions)
        *     - Purpose: User interaction responses
        *     - Handles: Login, signup, password reset, CRUD operations, settings
        *
-       * 12. INITIALIZATION (Lines ~2006-2067)
+       * 22. INITIALIZATION
        *     - Application bootstrap
        *     - Technique: DOMContentLoaded event handling
        *     - Purpose: Setup and initialization logic
        *
-       * 13. GLOBAL_ERROR_HANDLER (Lines ~2070-2079)
+       * 23. GLOBAL_ERROR_HANDLER
        *     - Global error catching
        *     - Technique: Window-level error listeners
        *     - Purpose: Catch uncaught errors and promise rejections
@@ -163,7 +224,7 @@
        *
        * 5. ALGORITHM DESIGN
        *    - Auto-balance: Iterative task redistribution
-       *    - Auto-reschedule: Smart rescheduling 3 days ahead
+       *    - Auto-reschedule: Missed work moves to the first day with room, with a retry limit
        *    - Infinite loop prevention: Max iteration counters
        *    - State validation: Prevents invalid transitions
        *
@@ -176,15 +237,32 @@
        * KEY FEATURES:
        * ============================================
        *
+       * - Date-based weeks with week navigation
+       * - Recurring tasks with per-occurrence tracking
        * - Smart auto-balancing algorithm
+       * - Whole-week optimizer with a reviewable diff
+       * - Task priorities and colour-coded subjects
+       * - Drag-and-drop rescheduling (mouse, touch, keyboard)
+       * - Undo/redo history for every change
+       * - Focus timer with planned-vs-actual tracking
+       * - Analytics charts backed by a persistent week history
+       * - Status state machine with a per-task audit trail
+       * - Session reminders, morning digest and evening nudge notifications
+       * - Installable PWA with an offline app shell and a sync status indicator
+       * - Subtask checklists with progress bars and step-wise balancing
+       * - Splittable tasks balanced as linked parts ("Part 2/3")
+       * - Exam/goal planner that back-schedules sessions and re-plans misses
+       * - Full-text search and filters across all weeks, kept in the URL
+       * - Bulk selection in the to-do list with one-step undoable actions
+       * - Deadline evaluator (approaching/missed from real due dates)
        * - Auto-rescheduling for missed tasks
        * - Input validation with regex
        * - Error handling with try/catch
        * - Remember me session persistence (Firebase Auth)
        * - Password reset via email (Firebase Auth)
        * - XSS prevention (HTML sanitization)
-       * - Firestore persistence with in-memory fallback
-       * - Modular architecture (13 modules)
+       * - Offline-first IndexedDB storage with background Firestore sync
+       * - Modular architecture (23 modules)
        * - Design patterns (Module, Singleton, Factory, Observer, Closure)
        * - Accessibility support
        * - Responsive design
@@ -234,6 +312,17 @@
           MISSED: "missed",
         },
 
+        // Allowed status changes, manual or automatic (from → to)
+        // Missed tasks already have a rescheduled attempt, so they
+        // can only be completed late, never reopened
+        STATUS_TRANSITIONS: {
+          "not-completed": ["approaching", "completed", "missed"],
+          approaching: ["not-completed", "completed", "missed"],
+          completed: ["not-completed"],
+          missed: ["completed"],
+        },
+        MAX_STATUS_LOG: 30, // status changes kept per task
+
         STATUS_COLORS: {
           completed: "#4caf50",
           "not-completed": "#ff9800",
@@ -241,13 +330,117 @@
           missed: "#f44336",
         },
 
+        PRIORITY: {
+          HIGH: "high",
+          MEDIUM: "medium",
+          LOW: "low",
+        },
+
+        // Lower rank = more important (used for sorting and balancing)
+        PRIORITY_RANK: { high: 0, medium: 1, low: 2 },
+        PRIORITY_LABELS: { high: "High", medium: "Medium", low: "Low" },
+        ICS_PRIORITY: { high: 1, medium: 5, low: 9 }, // RFC 5545 PRIORITY
+        DEFAULT_PRIORITY: "medium",
+
+        SUBJECT_COLORS: [
+          "#667eea",
+          "#e91e63",
+          "#009688",
+          "#ff9800",
+          "#3f51b5",
+          "#8bc34a",
+          "#9c27b0",
+          "#795548",
+        ],
+        MAX_SUBJECTS: 30,
+        MAX_SUBJECT_NAME_LENGTH: 40,
+
         DEFAULT_DAILY_LIMIT: 150,
         MAX_TASK_DURATION: 1440, // 24 hours
         MAX_TITLE_LENGTH: 100,
+        MAX_SUBTASKS: 20, // steps per task
+        MAX_SEARCH_RESULTS: 50, // matches listed under the search bar
         MAX_BALANCE_ATTEMPTS: 7,
-        RESCHEDULE_DAYS_AHEAD: 3,
+        MAX_HISTORY: 50, // undo steps kept per session
+        OPTIMIZER_KEEP_TOLERANCE: 0.25, // load ratio slack before moving a task
+        MAX_RESCHEDULE_DAYS_AHEAD: 30,
+        MAX_RESCHEDULES: 10, // retries allowed per missed task
+        RESCHEDULE_SEARCH_DAYS: 14, // days searched for free capacity
+
+        DEFAULT_SETTINGS: {
+          approachingWindowHours: 24,
+          // Study windows per weekday (null = not available)
+          availability: {
+            monday: { start: "16:00", end: "21:00" },
+            tuesday: { start: "16:00", end: "21:00" },
+            wednesday: { start: "16:00", end: "21:00" },
+            thursday: { start: "16:00", end: "21:00" },
+            friday: { start: "16:00", end: "21:00" },
+            saturday: { start: "09:00", end: "18:00" },
+            sunday: { start: "09:00", end: "18:00" },
+          },
+          // Limits by weekday id, minutes (missing = dailyLimit; 0 = rest day)
+          dayLimits: {},
+          // Limits for specific dates, keyed by YYYY-MM-DD
+          limitOverrides: {},
+          weeklyLimit: null, // minutes per Monday-Sunday week (null = no cap)
+          rescheduleDaysAhead: 3, // missed work moves at least this far ahead
+          maxReschedules: 3, // reschedules per task (0 = never reschedule)
+          focusMode: "pomodoro", // default focus timer mode
+          focusAutoComplete: true, // complete a task once actual >= planned
+          remindersEnabled: false, // browser notifications (asks permission)
+          reminderMinutes: 10, // default lead time before a timed session
+          digestTime: "08:00", // morning list of today's sessions (null = off)
+          nudgeTime: "20:00", // evening nudge for open tasks (null = off)
+        },
+        MAX_APPROACHING_WINDOW_HOURS: 168, // 1 week
+        MAX_WEEKLY_LIMIT: 7 * 1440,
+        DEADLINE_CHECK_INTERVAL: 60 * 1000, // 1 minute
+
+        RECURRENCE_FREQUENCIES: ["daily", "weekly"],
+        MAX_REPEAT_INTERVAL: 52,
+        MAX_REPEAT_COUNT: 365,
+        RECURRENCE_LOOKAHEAD_DAYS: 400, // covers a 52-week interval
+
+        REMINDER_CHECK_INTERVAL: 30 * 1000, // 30 seconds
+        REMINDER_SCHEDULE_DAYS: 7, // days handed to the service worker
+        REMINDER_SYNC_TAG: "study-reminders", // periodic background sync
+        REMINDER_SYNC_INTERVAL: 60 * 60 * 1000, // 1 hour (browser may wait longer)
+        MAX_REMINDER_MINUTES: 240,
+        REMINDER_CHOICES: [0, 5, 10, 15, 30, 60], // per-task lead times
+
+        MIN_CHUNK_MINUTES: 5, // smallest part a split task may leave
+        CHUNK_CHOICES: [15, 30, 45, 60], // "split into parts of at least"
+
+        MAX_GOALS: 20,
+        MAX_GOAL_HOURS: 200,
+        MAX_GOAL_DAYS_AHEAD: 365,
+        GOAL_MIN_SESSION: 15, // shortest generated goal session (minutes)
+        GOAL_SESSION_STEP: 5, // goal session shares are rounded up to this
+
+        FOCUS_MODES: ["pomodoro", "stopwatch"],
+        POMODORO_FOCUS_MINUTES: 25,
+        POMODORO_BREAK_MINUTES: 5,
+
+        MAX_WEEK_HISTORY: 104, // archived weeks kept for analytics (2 years)
+        ANALYTICS_WEEKS: 12, // weeks shown in the trend charts
+        ANALYTICS_DAYS: 14, // days shown in the daily minutes chart
+
+        GRID_START_HOUR: 8,
+        GRID_END_HOUR: 22,
+        GRID_HOUR_HEIGHT: 48, // px per hour in the time grid
 
         ALERT_TIMEOUT: 3000,
+        UNDO_ALERT_TIMEOUT: 6000, // longer so "Undo" can be reached
+
+        LOCAL_DB_NAME: "studyPlanOptimizer",
+        LOCAL_DB_VERSION: 2, // 2 = reminders store
+        GUEST_STORAGE_KEY: "guest",
+        SYNC_SCHEMA_VERSION: 3, // 2 = one Firestore document per task, 3 = per week archive
+
+        EXPORT_APP_ID: "study-plan-optimizer",
+        EXPORT_VERSION: 1,
+        MAX_IMPORT_FILE_SIZE: 1024 * 1024, // 1 MB
       };
 
       // ============================================
@@ -264,6 +457,57 @@
           return div.innerHTML;
         },
 
+        /**
+         * Reverses escapeHtml so stored titles can be edited in inputs
+         */
+        unescapeHtml(html) {
+          const textArea = document.createElement("textarea");
+          textArea.innerHTML = html;
+          return textArea.value;
+        },
+
+        /**
+         * Converts "HH:MM" to minutes after midnight
+         */
+        timeToMinutes(time) {
+          const [hours, minutes] = time.split(":").map(Number);
+          return hours * 60 + minutes;
+        },
+
+        /**
+         * Converts minutes after midnight to "HH:MM"
+         */
+        minutesToTime(minutes) {
+          const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+          return `${hours}:${String(minutes % 60).padStart(2, "0")}`;
+        },
+
+        /**
+         * Formats a session's time span, e.g. "16:00–16:45"
+         */
+        formatTimeRange(startTime, duration) {
+          return `${startTime}–${this.minutesToTime(
+            this.timeToMinutes(startTime) + duration
+          )}`;
+        },
+
+        /**
+         * Serializes a value with sorted object keys
+         * Technique: Deterministic JSON for change detection
+         */
+        stableStringify(value) {
+          return JSON.stringify(value, (key, val) =>
+            val && typeof val === "object" && !Array.isArray(val)
+              ? Object.keys(val)
+                  .sort()
+                  .reduce((sorted, k) => {
+                    sorted[k] = val[k];
+                    return sorted;
+                  }, {})
+              : val
+          );
+        },
+
         /**
          * Formats minutes to human-readable time
          */
@@ -276,6 +520,21 @@
           return `${mins}m`;
         },
 
+        /**
+         * Formats milliseconds as a clock (e.g., "24:59" or "1:05:00")
+         */
+        formatClock(ms) {
+          const totalSeconds = Math.max(Math.floor(ms / 1000), 0);
+          const hours = Math.floor(totalSeconds / 3600);
+          const minutes = Math.floor((totalSeconds % 3600) / 60);
+          const seconds = totalSeconds % 60;
+          const pad = (n) => String(n).padStart(2, "0");
+
+          return hours > 0
+            ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+            : `${pad(minutes)}:${pad(seconds)}`;
+        },
+
         /**
          * Gets day index in week (0-6)
          */
@@ -284,19 +543,139 @@
         },
 
         /**
-         * Gets next day name with wrap-around
+         * Converts a Date to a local "YYYY-MM-DD" date key
+         * Technique: Local calendar fields (avoids UTC day shifts)
+         */
+        toDateKey(date) {
+          const year = date.getFullYear();
+          const month = String(date.getMonth() + 1).padStart(2, "0");
+          const day = String(date.getDate()).padStart(2, "0");
+          return `${year}-${month}-${day}`;
+        },
+
+        /**
+         * Parses a "YYYY-MM-DD" date key to a local Date (midnight)
+         */
+        parseDateKey(dateKey) {
+          const [year, month, day] = dateKey.split("-").map(Number);
+          return new Date(year, month - 1, day);
+        },
+
+        /**
+         * Gets today's date key
+         */
+        getTodayKey() {
+          return this.toDateKey(new Date());
+        },
+
+        /**
+         * Adds N days to a date key (N may be negative)
+         */
+        addDays(dateKey, days) {
+          const date = this.parseDateKey(dateKey);
+          date.setDate(date.getDate() + days);
+          return this.toDateKey(date);
+        },
+
+        /**
+         * Counts whole days from one date key to another
+         */
+        daysBetween(fromKey, toKey) {
+          const ms = this.parseDateKey(toKey) - this.parseDateKey(fromKey);
+          return Math.round(ms / (24 * 60 * 60 * 1000));
+        },
+
+        /**
+         * Gets the Monday that starts the week containing a date key
+         */
+        getWeekStart(dateKey) {
+          const date = this.parseDateKey(dateKey);
+          const offset = (date.getDay() + 6) % 7; // Monday = 0
+          return this.addDays(dateKey, -offset);
+        },
+
+        /**
+         * Gets the seven date keys (Monday → Sunday) of a week
+         */
+        getWeekDates(weekStart) {
+          return CONFIG.DAYS.map((_, idx) => this.addDays(weekStart, idx));
+        },
+
+        /**
+         * Gets the day config (id, name, emoji) for a date key
+         */
+        getDayConfig(dateKey) {
+          const offset = (this.parseDateKey(dateKey).getDay() + 6) % 7;
+          return CONFIG.DAYS_CONFIG[offset];
+        },
+
+        /**
+         * Formats a date key as a short label, e.g. "20 Oct"
+         */
+        formatDate(dateKey) {
+          return this.parseDateKey(dateKey).toLocaleDateString(undefined, {
+            day: "numeric",
+            month: "short",
+          });
+        },
+
+        /**
+         * Removes the "RESCHEDULED: " prefixes older versions added
+         * Returns: { title, count } (count = prefixes removed)
+         */
+        stripReschedulePrefix(title) {
+          const match = title.match(/^(?:RESCHEDULED: )+/);
+          if (!match) return { title, count: 0 };
+
+          return {
+            title: title.slice(match[0].length),
+            count: match[0].length / "RESCHEDULED: ".length,
+          };
+        },
+
+        /**
+         * Formats a deadline ("YYYY-MM-DDTHH:mm"), e.g. "20 Oct 21:00"
+         */
+        formatDeadline(dueAt) {
+          const [dateKey, time] = dueAt.split("T");
+          return `${this.formatDate(dateKey)} ${time}`;
+        },
+
+        /**
+         * Formats an ISO timestamp in local time, e.g. "20 Oct 14:05"
+         */
+        formatTimestamp(iso) {
+          const date = new Date(iso);
+          return this.formatDeadline(
+            `${this.toDateKey(date)}T${this.minutesToTime(
+              date.getHours() * 60 + date.getMinutes()
+            )}`
+          );
+        },
+
+        /**
+         * Formats the visible week range, e.g. "20 Oct – 26 Oct 2026"
+         */
+        formatWeekRange(weekStart) {
+          const weekEnd = this.addDays(weekStart, CONFIG.DAYS.length - 1);
+          const year = this.parseDateKey(weekEnd).getFullYear();
+          return `${this.formatDate(weekStart)} – ${this.formatDate(
+            weekEnd
+          )} ${year}`;
+        },
+
+        /**
+         * Gets the next calendar day (spills into the following week)
          */
-        getNextDay(currentDay) {
-          const idx = this.getDayIndex(currentDay);
-          return CONFIG.DAYS[(idx + 1) % CONFIG.DAYS.length];
+        getNextDay(dateKey) {
+          return this.addDays(dateKey, 1);
         },
 
         /**
-         * Gets day name N days ahead
+         * Gets the date key N days ahead
          */
-        getDayAhead(currentDay, daysAhead) {
-          const idx = this.getDayIndex(currentDay);
-          return CONFIG.DAYS[(idx + daysAhead) % CONFIG.DAYS.length];
+        getDayAhead(dateKey, daysAhead) {
+          return this.addDays(dateKey, daysAhead);
         },
       };
 
@@ -370,1618 +749,11584 @@
         },
 
         /**
-         * Validates duration value
+         * Validates a task's reminder choice
+         * Blank = the default lead time, "off" = no reminder,
+         * otherwise minutes before the session starts
          */
-        validateDuration(duration) {
-          const num = parseInt(duration);
-
-          if (isNaN(num)) {
-            return { valid: false, error: "Duration must be a number" };
+        validateReminder(value) {
+          if (value === "" || value === null || value === undefined) {
+            return { valid: true, value: null };
           }
-
-          if (num <= 0) {
-            return { valid: false, error: "Duration must be positive" };
+          if (value === "off") {
+            return { valid: true, value: "off" };
           }
 
-          if (num > CONFIG.MAX_TASK_DURATION) {
+          const num = Number(value);
+          if (
+            !Number.isInteger(num) ||
+            num < 0 ||
+            num > CONFIG.MAX_REMINDER_MINUTES
+          ) {
             return {
               valid: false,
-              error: `Duration cannot exceed ${CONFIG.MAX_TASK_DURATION} minutes (24 hours)`,
+              error: `Reminders must be 0 to ${CONFIG.MAX_REMINDER_MINUTES} minutes before`,
             };
           }
 
           return { valid: true, value: num };
         },
-      };
-
-      // ============================================
-      // 4. ERROR HANDLER (Try/Catch Pattern)
-      // ============================================
-      const ErrorHandler = {
-        errorLogs: [],
 
         /**
-         * Wraps operations in try/catch
-         * Technique: Higher-order function for error handling
+         * Validates a goal's total effort in hours (halves allowed)
+         * Returns the effort in minutes
          */
-        handle(operation, fallback = null) {
-          try {
-            const result = operation();
-            if (result && typeof result.then === "function") {
-              return result.catch((error) => {
-                console.error("[ERROR]", error.name, ":", error.message);
-                console.error("Stack trace:", error.stack);
-                this.logError(error);
-                const message =
-                  error && error.message
-                    ? error.message
-                    : "An error occurred. Please try again.";
-                this.showUserError(message);
-                return fallback;
-              });
-            }
-            return result;
-          } catch (error) {
-            console.error("[ERROR]", error.name, ":", error.message);
-            console.error("Stack trace:", error.stack);
-            this.logError(error);
-            const message =
-              error && error.message
-                ? error.message
-                : "An error occurred. Please try again.";
-            this.showUserError(message);
-            return fallback;
+        validateGoalHours(hours) {
+          const num = Number(hours);
+          if (hours === "" || isNaN(num) || num <= 0) {
+            return {
+              valid: false,
+              error: "Effort must be a positive number of hours",
+            };
+          }
+
+          if (num > CONFIG.MAX_GOAL_HOURS) {
+            return {
+              valid: false,
+              error: `Effort cannot exceed ${CONFIG.MAX_GOAL_HOURS} hours`,
+            };
           }
+
+          return { valid: true, value: Math.round(num * 60) };
         },
 
         /**
-         * Logs error for debugging
+         * Validates a goal's target date (exam day)
+         * Must leave at least one study day: tomorrow at the earliest
          */
-        logError(error) {
-          const errorLog = {
-            timestamp: new Date().toISOString(),
-            type: error.name,
-            message: error.message,
-            stack: error.stack,
-          };
+        validateGoalDate(dateKey) {
+          const date = this.validateDate(dateKey);
+          if (!date.valid) return date;
 
-          this.errorLogs.push(errorLog);
+          const today = Utils.getTodayKey();
+          if (date.value <= today) {
+            return {
+              valid: false,
+              error: "The target date must be after today",
+            };
+          }
 
-          // Keep only last 10 errors
-          if (this.errorLogs.length > 10) {
-            this.errorLogs.shift();
+          if (date.value > Utils.addDays(today, CONFIG.MAX_GOAL_DAYS_AHEAD)) {
+            return {
+              valid: false,
+              error: `The target date must be within ${CONFIG.MAX_GOAL_DAYS_AHEAD} days`,
+            };
           }
+
+          return date;
         },
 
         /**
-         * Shows error to user with auto-hide
+         * Validates the smallest part a task may be split into
+         * Blank = the task is never split
          */
-        showUserError(message, type = "error") {
-          const alert = document.getElementById("globalAlert");
-          if (!alert) return;
+        validateMinChunk(value) {
+          if (value === "" || value === null || value === undefined) {
+            return { valid: true, value: null };
+          }
 
-          alert.textContent = `⚠️ ${message}`;
-          alert.className = `global-alert show ${
-            type === "success"
-              ? "success-alert"
-              : type === "warning"
-              ? "warning-alert"
-              : ""
-          }`;
+          const num = Number(value);
+          if (
+            !Number.isInteger(num) ||
+            num < CONFIG.MIN_CHUNK_MINUTES ||
+            num > CONFIG.MAX_TASK_DURATION
+          ) {
+            return {
+              valid: false,
+              error: `Parts must be ${CONFIG.MIN_CHUNK_MINUTES} to ${CONFIG.MAX_TASK_DURATION} minutes`,
+            };
+          }
 
-          setTimeout(() => {
-            alert.classList.remove("show");
-          }, CONFIG.ALERT_TIMEOUT);
+          return { valid: true, value: num };
         },
 
         /**
-         * Shows success message
+         * Validates a task's ordered steps (imports)
+         * Each step follows the task title and duration rules; together
+         * they must fit in one task
+         * Returns: { valid, error, value: [{ id, title, duration, done }] }
          */
-        showSuccess(message) {
-          this.showUserError(message, "success");
+        validateSubtasks(subtasks) {
+          if (!Array.isArray(subtasks)) {
+            return { valid: false, error: "Steps must be a list" };
+          }
+
+          if (subtasks.length > CONFIG.MAX_SUBTASKS) {
+            return {
+              valid: false,
+              error: `A task can have at most ${CONFIG.MAX_SUBTASKS} steps`,
+            };
+          }
+
+          const value = [];
+          for (const step of subtasks) {
+            const title = this.validateTaskTitle(
+              `${(step && step.title) || ""}`
+            );
+            if (!title.valid) return title;
+
+            const duration = this.validateDuration(step.duration);
+            if (!duration.valid) return duration;
+
+            const item = {
+              id:
+                typeof step.id === "string" && step.id
+                  ? step.id
+                  : IDGenerator.generate("subtask"),
+              title: title.value,
+              duration: duration.value,
+              done: step.done === true,
+            };
+            if (step.remainder === true) item.remainder = true;
+            value.push(item);
+          }
+
+          const total = value.reduce((sum, step) => sum + step.duration, 0);
+          if (total > CONFIG.MAX_TASK_DURATION) {
+            return {
+              valid: false,
+              error: `Steps cannot add up to more than ${CONFIG.MAX_TASK_DURATION} minutes`,
+            };
+          }
+
+          return { valid: true, value };
         },
 
         /**
-         * Shows field-specific error
+         * Validates a priority level (blank = default priority)
          */
-        showFieldError(fieldId, message) {
-          const errorDiv = document.getElementById(fieldId + "Error");
-          const inputField = document.getElementById(fieldId);
-
-          if (errorDiv) {
-            errorDiv.textContent = message;
-            errorDiv.classList.add("show");
+        validatePriority(priority) {
+          if (!priority) {
+            return { valid: true, value: CONFIG.DEFAULT_PRIORITY };
           }
 
-          if (inputField) {
-            inputField.classList.add("error");
+          if (!Object.values(CONFIG.PRIORITY).includes(priority)) {
+            return { valid: false, error: `Unknown priority "${priority}"` };
           }
+
+          return { valid: true, value: priority };
         },
 
         /**
-         * Clears field error
+         * Validates a subject/course name
+         * Pattern: same rules as task titles, shorter limit
          */
-        clearFieldError(fieldId) {
-          const errorDiv = document.getElementById(fieldId + "Error");
-          const inputField = document.getElementById(fieldId);
+        validateSubjectName(name) {
+          if (!name || name.trim().length === 0) {
+            return { valid: false, error: "Subject name is required" };
+          }
 
-          if (errorDiv) {
-            errorDiv.classList.remove("show");
+          if (name.trim().length > CONFIG.MAX_SUBJECT_NAME_LENGTH) {
+            return {
+              valid: false,
+              error: `Subject name too long (max ${CONFIG.MAX_SUBJECT_NAME_LENGTH} characters)`,
+            };
           }
 
-          if (inputField) {
-            inputField.classList.remove("error");
+          if (/<[^>]*>/.test(name)) {
+            return { valid: false, error: "HTML tags are not allowed" };
           }
+
+          return { valid: true, value: Utils.escapeHtml(name.trim()) };
         },
 
         /**
-         * Clears all field errors
+         * Validates a hex colour
+         * Pattern: #RRGGBB (what <input type="color"> produces)
          */
-        clearAllFieldErrors() {
-          document.querySelectorAll(".error-message").forEach((el) => {
-            el.classList.remove("show");
-          });
-          document.querySelectorAll(".error").forEach((el) => {
-            el.classList.remove("error");
-          });
+        validateColor(color) {
+          if (!/^#[0-9a-f]{6}$/i.test(color || "")) {
+            return { valid: false, error: "Pick a colour" };
+          }
+
+          return { valid: true, value: color.toLowerCase() };
         },
-      };
 
-      // ============================================
-      // 5. ID GENERATOR (Closure Pattern)
-      // ============================================
-      const IDGenerator = (() => {
-        let counter = 1;
+        /**
+         * Validates duration value
+         */
+        validateDuration(duration) {
+          const num = parseInt(duration);
 
-        return {
-          /**
-           * Generates unique ID using timestamp + counter
-           * Technique: Closure for private variable
-           */
-          generate() {
-            return `task_${Date.now()}_${counter++}`;
-          },
+          if (isNaN(num)) {
+            return { valid: false, error: "Duration must be a number" };
+          }
 
-          reset() {
-            counter = 1;
-          },
+          if (num <= 0) {
+            return { valid: false, error: "Duration must be positive" };
+          }
 
-          getCount() {
-            return counter;
-          },
-        };
-      })();
+          if (num > CONFIG.MAX_TASK_DURATION) {
+            return {
+              valid: false,
+              error: `Duration cannot exceed ${CONFIG.MAX_TASK_DURATION} minutes (24 hours)`,
+            };
+          }
 
-      // ============================================
-      // 6. DATA STORAGE (Singleton Pattern)
-      // ============================================
-      const AppStorage = {
-        firebaseEnabled: false,
-        auth: null,
-        db: null,
+          return { valid: true, value: num };
+        },
 
         /**
-         * Main data structure (in-memory cache, synced to Firestore when enabled)
+         * Validates a calendar date key
+         * Pattern: YYYY-MM-DD that maps to a real date
          */
-        studyData: {
-          tasks: [],
-          dailyLimit: CONFIG.DEFAULT_DAILY_LIMIT,
-          currentSelectedDay: "",
-        },
+        validateDate(dateKey) {
+          const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+          if (!dateKey || !dateRegex.test(dateKey)) {
+            return { valid: false, error: "Please choose a valid date" };
+          }
 
-        userData: {
-          username: "Guest",
-          loginTime: null,
-          uid: null,
-          email: null,
-          isGuest: true,
+          // Reject rollovers such as 2026-02-31
+          if (Utils.toDateKey(Utils.parseDateKey(dateKey)) !== dateKey) {
+            return { valid: false, error: "Please choose a valid date" };
+          }
+
+          return { valid: true, value: dateKey };
         },
 
         /**
-         * Initializes Firebase if config and scripts are available
+         * Validates an optional deadline from a datetime-local input
+         * Pattern: YYYY-MM-DDTHH:mm in the future (unless allowPast)
          */
-        initFirebase() {
-          try {
-            if (!this.isFirebaseConfigured()) {
-              console.warn(
-                "[Storage] Firebase not configured. Using in-memory storage."
-              );
-              return;
-            }
-
-            if (typeof firebase === "undefined") {
-              console.warn(
-                "[Storage] Firebase SDK not loaded. Using in-memory storage."
-              );
-              return;
-            }
-
-            if (!firebase.apps.length) {
-              firebase.initializeApp(FIREBASE_CONFIG);
-            }
+        validateDeadline(dueAt, allowPast = false) {
+          if (!dueAt) {
+            return { valid: true, value: null };
+          }
 
-            this.auth = firebase.auth();
-            this.db = firebase.firestore();
-            this.firebaseEnabled = true;
-            console.log("[Storage] Firebase initialized");
-          } catch (error) {
-            console.error("[Storage] Firebase init failed:", error);
-            this.firebaseEnabled = false;
+          const deadlineRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+          if (!deadlineRegex.test(dueAt) || isNaN(new Date(dueAt).getTime())) {
+            return { valid: false, error: "Please enter a valid deadline" };
           }
-        },
 
-        /**
-         * Checks whether Firebase config is filled in
-         */
-        isFirebaseConfigured() {
-          const requiredKeys = [
-            "apiKey",
-            "authDomain",
-            "projectId",
-            "appId",
-          ];
+          if (!allowPast && new Date(dueAt) <= new Date()) {
+            return { valid: false, error: "Deadline must be in the future" };
+          }
 
-          return requiredKeys.every((key) => {
-            const value = FIREBASE_CONFIG[key];
-            return value && !value.includes("YOUR_");
-          });
+          return { valid: true, value: dueAt };
         },
 
         /**
-         * Sets user data from Firebase Auth user object
+         * Validates an optional study limit in minutes
+         * Blank → null (use the default); whole numbers from min to max
          */
-        setUserFromAuth(user, overrideUsername = "") {
-          if (!user) return;
-
-          const emailName =
-            user.email && user.email.includes("@")
-              ? user.email.split("@")[0]
-              : "";
+        validateLimit(value, min = 0, max = CONFIG.MAX_TASK_DURATION) {
+          if (value === "" || value === null || value === undefined) {
+            return { valid: true, value: null };
+          }
 
-          this.userData = {
-            uid: user.uid,
-            email: user.email || "",
-            username:
-              overrideUsername || user.displayName || emailName || "User",
-            loginTime: new Date().toISOString(),
-            isGuest: false,
-          };
-        },
+          const num = Number(value);
+          if (!Number.isInteger(num) || num < min || num > max) {
+            return {
+              valid: false,
+              error: `Limit must be a whole number from ${min} to ${max} minutes`,
+            };
+          }
 
-        /**
-         * Sets guest/local user data
-         */
-        setUser(username) {
-          this.userData = {
-            username: username,
-            loginTime: new Date().toISOString(),
-            uid: null,
-            email: null,
-            isGuest: true,
-          };
+          return { valid: true, value: num };
         },
 
         /**
-         * Sets auth persistence for Remember Me behavior
-         * Technique: Firebase persistence selection
+         * Validates how many days ahead missed tasks are rescheduled
+         * Range: 1 to CONFIG.MAX_RESCHEDULE_DAYS_AHEAD
          */
-        async setAuthPersistence(remember) {
-          if (!this.firebaseEnabled || !this.auth || typeof firebase === "undefined") {
-            return;
+        validateRescheduleDays(value) {
+          const num = Number(value);
+          if (
+            value === "" ||
+            !Number.isInteger(num) ||
+            num < 1 ||
+            num > CONFIG.MAX_RESCHEDULE_DAYS_AHEAD
+          ) {
+            return {
+              valid: false,
+              error: `Reschedule delay must be 1 to ${CONFIG.MAX_RESCHEDULE_DAYS_AHEAD} days`,
+            };
           }
 
-          const persistence = remember
-            ? firebase.auth.Auth.Persistence.LOCAL
-            : firebase.auth.Auth.Persistence.SESSION;
-
-          await this.auth.setPersistence(persistence);
+          return { valid: true, value: num };
         },
 
         /**
-         * Save data (Firestore or in-memory fallback)
+         * Validates the number of reschedules allowed per task
+         * Range: 0 (never reschedule) to CONFIG.MAX_RESCHEDULES
          */
-        async save() {
-          if (!this.firebaseEnabled || !this.userData.uid) {
-            console.log("[Storage] Data saved to memory");
-            return true;
+        validateMaxReschedules(value) {
+          const num = Number(value);
+          if (
+            value === "" ||
+            !Number.isInteger(num) ||
+            num < 0 ||
+            num > CONFIG.MAX_RESCHEDULES
+          ) {
+            return {
+              valid: false,
+              error: `Reschedule retries must be 0 to ${CONFIG.MAX_RESCHEDULES}`,
+            };
           }
 
-          const payload = {
-            username: this.userData.username,
-            email: this.userData.email,
-            dailyLimit: this.studyData.dailyLimit,
-            tasks: this.studyData.tasks,
-            updatedAt: new Date().toISOString(),
-          };
-
-          await this.db
-            .collection("users")
-            .doc(this.userData.uid)
-            .set(payload, { merge: true });
-
-          return true;
+          return { valid: true, value: num };
         },
 
         /**
-         * Load data (Firestore or in-memory fallback)
+         * Validates an optional start time from a time input
+         * Pattern: HH:MM (24-hour); the session must end by midnight
          */
-        async load() {
-          if (!this.firebaseEnabled || !this.userData.uid) {
-            console.log("[Storage] Data loaded from memory");
-            return this.studyData;
+        validateStartTime(time, duration = 0) {
+          if (!time) {
+            return { valid: true, value: null };
           }
 
-          const doc = await this.db
-            .collection("users")
-            .doc(this.userData.uid)
-            .get();
-
-          if (doc.exists) {
-            const data = doc.data() || {};
-            this.studyData.tasks = Array.isArray(data.tasks) ? data.tasks : [];
-            this.studyData.dailyLimit = Number.isFinite(data.dailyLimit)
-              ? data.dailyLimit
-              : CONFIG.DEFAULT_DAILY_LIMIT;
-
-            if (data.username) {
-              this.userData.username = data.username;
-            }
-          } else {
-            await this.save();
+          const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+          if (!timeRegex.test(time)) {
+            return { valid: false, error: "Please enter a valid start time" };
           }
 
-          return this.studyData;
-        },
+          if (Utils.timeToMinutes(time) + duration > 24 * 60) {
+            return { valid: false, error: "Session must end by midnight" };
+          }
 
-        /**
-         * Reset all data (local only)
-         */
-        reset() {
-          this.studyData = {
-            tasks: [],
-            dailyLimit: CONFIG.DEFAULT_DAILY_LIMIT,
-            currentSelectedDay: "",
-          };
-          IDGenerator.reset();
-          console.log("[Storage] Data reset");
+          return { valid: true, value: time };
         },
 
         /**
-         * Create account with Firebase Auth
+         * Validates a daily availability window (null = unavailable)
+         * Pattern: HH:MM start before HH:MM end
          */
-        async signUp(email, password) {
-          if (!this.firebaseEnabled || !this.auth) {
-            throw new Error(
-              "Firebase is not configured. Please add Firebase settings."
-            );
+        validateAvailability(window) {
+          if (!window) {
+            return { valid: true, value: null };
           }
 
-          const credential = await this.auth.createUserWithEmailAndPassword(
-            email,
-            password
-          );
-
-          if (!credential.user) {
-            throw new Error("Signup failed. Please try again.");
+          const start = this.validateStartTime(window.start);
+          const end = this.validateStartTime(window.end);
+          if (!start.value || !end.value || !start.valid || !end.valid) {
+            return {
+              valid: false,
+              error: "Availability needs a start and end time",
+            };
           }
 
-          this.setUserFromAuth(credential.user);
-          await this.save();
+          if (start.value >= end.value) {
+            return {
+              valid: false,
+              error: "Availability must end after it starts",
+            };
+          }
 
-          return credential.user;
+          return { valid: true, value: { start: start.value, end: end.value } };
         },
 
         /**
-         * Sign in with Firebase Auth
+         * Validates a repeat rule for recurring tasks
+         * Returns a normalized rule in value
          */
-        async signIn(email, password, remember = true) {
-          if (!this.firebaseEnabled || !this.auth) {
-            throw new Error(
-              "Firebase is not configured. Please add Firebase settings."
-            );
+        validateRecurrence(rule, startDate) {
+          if (
+            !rule ||
+            !CONFIG.RECURRENCE_FREQUENCIES.includes(rule.frequency)
+          ) {
+            return {
+              valid: false,
+              error: "Please choose how the task repeats",
+            };
           }
 
-          await this.setAuthPersistence(remember);
+          const interval = parseInt(rule.interval);
+          if (
+            isNaN(interval) ||
+            interval < 1 ||
+            interval > CONFIG.MAX_REPEAT_INTERVAL
+          ) {
+            return {
+              valid: false,
+              error: `Repeat interval must be between 1 and ${CONFIG.MAX_REPEAT_INTERVAL}`,
+            };
+          }
 
-          const credential = await this.auth.signInWithEmailAndPassword(
-            email,
-            password
+          const weekdays = (rule.weekdays || []).filter((day) =>
+            CONFIG.DAYS.includes(day)
           );
+          if (rule.frequency === "weekly" && weekdays.length === 0) {
+            return { valid: false, error: "Choose at least one weekday" };
+          }
 
-          if (!credential.user) {
-            throw new Error("Login failed. Please try again.");
+          let endDate = null;
+          if (rule.endDate) {
+            const endValidation = this.validateDate(rule.endDate);
+            if (!endValidation.valid) {
+              return endValidation;
+            }
+            if (endValidation.value < startDate) {
+              return {
+                valid: false,
+                error: "End date cannot be before the start date",
+              };
+            }
+            endDate = endValidation.value;
           }
 
-          this.setUserFromAuth(credential.user);
+          let count = null;
+          if (rule.count) {
+            count = parseInt(rule.count);
+            if (isNaN(count) || count < 1 || count > CONFIG.MAX_REPEAT_COUNT) {
+              return {
+                valid: false,
+                error: `Number of sessions must be between 1 and ${CONFIG.MAX_REPEAT_COUNT}`,
+              };
+            }
+          }
 
-          return credential.user;
+          return {
+            valid: true,
+            value: {
+              frequency: rule.frequency,
+              interval,
+              weekdays: rule.frequency === "weekly" ? weekdays : [],
+              endDate,
+              count,
+            },
+          };
         },
+      };
+
+      // ============================================
+      // 4. ERROR HANDLER (Try/Catch Pattern)
+      // ============================================
+      const ErrorHandler = {
+        errorLogs: [],
+        alertTimer: null,
 
         /**
-         * Sign out from Firebase Auth
+         * Wraps operations in try/catch
+         * Technique: Higher-order function for error handling
          */
-        async signOut() {
-          if (!this.firebaseEnabled || !this.auth) {
-            this.reset();
-            this.setUser("Guest");
-            return true;
+        handle(operation, fallback = null) {
+          try {
+            const result = operation();
+            if (result && typeof result.then === "function") {
+              return result.catch((error) => {
+                console.error("[ERROR]", error.name, ":", error.message);
+                console.error("Stack trace:", error.stack);
+                this.logError(error);
+                const message =
+                  error && error.message
+                    ? error.message
+                    : "An error occurred. Please try again.";
+                this.showUserError(message);
+                return fallback;
+              });
+            }
+            return result;
+          } catch (error) {
+            console.error("[ERROR]", error.name, ":", error.message);
+            console.error("Stack trace:", error.stack);
+            this.logError(error);
+            const message =
+              error && error.message
+                ? error.message
+                : "An error occurred. Please try again.";
+            this.showUserError(message);
+            return fallback;
           }
-
-          await this.auth.signOut();
-          return true;
         },
 
         /**
-         * Bind auth state changes to UI
+         * Logs error for debugging
          */
-        bindAuthListener() {
-          if (!this.firebaseEnabled || !this.auth) return;
-
-          this.auth.onAuthStateChanged((user) => {
-            ErrorHandler.handle(async () => {
-              if (user) {
-                this.setUserFromAuth(user);
-                await this.load();
-
-                const displayName = document.getElementById("displayUsername");
-                if (displayName) {
-                  displayName.textContent = this.userData.username;
-                }
+        logError(error) {
+          const errorLog = {
+            timestamp: new Date().toISOString(),
+            type: error.name,
+            message: error.message,
+            stack: error.stack,
+          };
 
-                const limitInput = document.getElementById("dailyLimit");
-                if (limitInput) {
-                  limitInput.value = this.studyData.dailyLimit;
-                }
+          this.errorLogs.push(errorLog);
 
-                UI.showView("timetable");
-                UI.refresh();
-              } else {
-                this.reset();
-                this.setUser("Guest");
-                UI.showView("login");
-              }
-            });
-          });
+          // Keep only last 10 errors
+          if (this.errorLogs.length > 10) {
+            this.errorLogs.shift();
+          }
         },
-      };
 
-      // ============================================
-      // 7. TASK MANAGER (Business Logic)
-      // ============================================
-      const TaskManager = {
         /**
-         * Adds a new task with validation
-         * Algorithm: Validate → Create → Auto-balance → Save
+         * Shows error to user with auto-hide
          */
-        async addTask(title, duration, day, status) {
-          // Validate inputs
-          const titleValidation = Validator.validateTaskTitle(title);
-          if (!titleValidation.valid) {
-            throw new Error(titleValidation.error);
-          }
-
-          const durationValidation = Validator.validateDuration(duration);
-          if (!durationValidation.valid) {
-            throw new Error(durationValidation.error);
-          }
-
-          // Create task object
-          const task = {
-            id: IDGenerator.generate(),
-            title: titleValidation.value,
-            duration: durationValidation.value,
-            day: day.toLowerCase(),
-            status: status,
-            addedDate: new Date().toISOString(),
-          };
-
-          // Add to storage
-          AppStorage.studyData.tasks.push(task);
+        showUserError(message, type = "error") {
+          const alert = document.getElementById("globalAlert");
+          if (!alert) return;
 
-          // Auto-balance if needed
-          this.autoBalance(day);
+          alert.textContent = `⚠️ ${message}`;
+          alert.className = `global-alert show ${
+            type === "success"
+              ? "success-alert"
+              : type === "warning"
+              ? "warning-alert"
+              : ""
+          }`;
 
-          await AppStorage.save();
-          return task;
+          this.hideAlertAfter(CONFIG.ALERT_TIMEOUT);
         },
 
         /**
-         * Deletes a task by ID
+         * Hides the alert after a delay (a newer alert restarts the timer)
          */
-        async deleteTask(taskId) {
-          const index = AppStorage.studyData.tasks.findIndex(
-            (t) => t.id === taskId
-          );
-          if (index > -1) {
-            AppStorage.studyData.tasks.splice(index, 1);
-            await AppStorage.save();
-            return true;
-          }
-          return false;
+        hideAlertAfter(delay) {
+          clearTimeout(this.alertTimer);
+          this.alertTimer = setTimeout(() => {
+            const alert = document.getElementById("globalAlert");
+            if (alert) alert.classList.remove("show");
+          }, delay);
         },
 
         /**
-         * Updates task status with validation
-         * Prevents completed → missed transition
+         * Shows success message
          */
-        async updateStatus(taskId, newStatus) {
-          const task = AppStorage.studyData.tasks.find((t) => t.id === taskId);
-          if (!task) {
-            throw new Error("Task not found");
-          }
+        showSuccess(message) {
+          this.showUserError(message, "success");
 
-          // Prevent invalid state transition
-          if (
-            task.status === CONFIG.STATUS.COMPLETED &&
-            newStatus === CONFIG.STATUS.MISSED
-          ) {
-            throw new Error("Completed tasks cannot be marked as missed");
+          // Toasts for recorded actions can undo them
+          if (History.recording) {
+            const alert = document.getElementById("globalAlert");
+            if (!alert) return;
+
+            const undoBtn = document.createElement("button");
+            undoBtn.className = "alert-undo-btn";
+            undoBtn.textContent = "Undo";
+            undoBtn.onclick = () => {
+              alert.classList.remove("show");
+              Handlers.handleUndo();
+            };
+            alert.appendChild(undoBtn);
+            this.hideAlertAfter(CONFIG.UNDO_ALERT_TIMEOUT);
           }
+        },
 
-          task.status = newStatus;
+        /**
+         * Shows field-specific error
+         */
+        showFieldError(fieldId, message) {
+          const errorDiv = document.getElementById(fieldId + "Error");
+          const inputField = document.getElementById(fieldId);
 
-          // Auto-reschedule if missed
-          if (newStatus === CONFIG.STATUS.MISSED) {
-            this.rescheduleTask(task);
+          if (errorDiv) {
+            errorDiv.textContent = message;
+            errorDiv.classList.add("show");
           }
 
-          await AppStorage.save();
-          return true;
+          if (inputField) {
+            inputField.classList.add("error");
+          }
         },
 
         /**
-         * AUTO-BALANCE ALGORITHM
-         * Redistributes tasks when daily limit is exceeded
-         *
-         * Algorithm:
-         * 1. Check if current day exceeds limit
-         * 2. If yes, move last not-completed task to next day
-         * 3. Repeat for next day if it exceeds limit
-         * 4. Max 7 iterations to prevent infinite loop
-         * 5. Alert user if cannot fit all tasks
+         * Clears field error
          */
-        autoBalance(originalDay) {
-          let currentDay = originalDay.toLowerCase();
-          let attemptCount = 0;
-
-          while (attemptCount < CONFIG.MAX_BALANCE_ATTEMPTS) {
-            const totalTime = this.calculateDayTime(currentDay);
-
-            // Check if under limit
-            if (totalTime <= AppStorage.studyData.dailyLimit) {
-              break; // Success
-            }
-
-            // Calculate excess time
-            const excess = totalTime - AppStorage.studyData.dailyLimit;
-
-            // Get tasks for current day
-            const dayTasks = AppStorage.studyData.tasks.filter(
-              (t) => t.day === currentDay && t.status !== CONFIG.STATUS.MISSED
-            );
-
-            // Sort by duration (largest first for better distribution)
-            dayTasks.sort((a, b) => b.duration - a.duration);
-
-            // Try to move tasks
-            let movedAny = false;
-            for (let i = dayTasks.length - 1; i >= 0; i--) {
-              const task = dayTasks[i];
-              if (
-                task.status === CONFIG.STATUS.NOT_COMPLETED &&
-                task.duration <= excess
-              ) {
-                // Move to next day
-                task.day = Utils.getNextDay(currentDay);
-                movedAny = true;
-                break;
-              }
-            }
-
-            // If no tasks could be moved, stop to prevent infinite loop
-            if (!movedAny) {
-              console.warn(
-                `[AutoBalance] Cannot redistribute tasks for ${currentDay}`
-              );
-              ErrorHandler.showUserError(
-                "⚠️ Unable to fit all tasks. Some days exceed daily limit.",
-                "warning"
-              );
-              break;
-            }
+        clearFieldError(fieldId) {
+          const errorDiv = document.getElementById(fieldId + "Error");
+          const inputField = document.getElementById(fieldId);
 
-            // Move to next day
-            currentDay = Utils.getNextDay(currentDay);
-            attemptCount++;
+          if (errorDiv) {
+            errorDiv.classList.remove("show");
           }
 
-          if (attemptCount >= CONFIG.MAX_BALANCE_ATTEMPTS) {
-            ErrorHandler.showUserError(
-              "Cannot balance schedule. Please review your tasks.",
-              "warning"
-            );
+          if (inputField) {
+            inputField.classList.remove("error");
           }
         },
 
         /**
-         * AUTO-RESCHEDULE ALGORITHM
-         * Creates new task 3 days later for missed tasks
-         *
-         * Algorithm:
-         * 1. Calculate target day (current + 3 days)
-         * 2. Create new task with "RESCHEDULED:" prefix
-         * 3. Set status to not-completed
-         * 4. Trigger auto-balance for new day
+         * Clears all field errors
          */
-        rescheduleTask(originalTask) {
-          const newDay = Utils.getDayAhead(
-            originalTask.day,
-            CONFIG.RESCHEDULE_DAYS_AHEAD
-          );
+        clearAllFieldErrors() {
+          document.querySelectorAll(".error-message").forEach((el) => {
+            el.classList.remove("show");
+          });
+          document.querySelectorAll(".error").forEach((el) => {
+            el.classList.remove("error");
+          });
+        },
+      };
 
-          // Create rescheduled task
-          const newTask = {
-            id: IDGenerator.generate(),
-            title: `RESCHEDULED: ${originalTask.title}`,
-            duration: originalTask.duration,
-            day: newDay,
-            status: CONFIG.STATUS.NOT_COMPLETED,
-            addedDate: new Date().toISOString(),
-          };
+      // ============================================
+      // 5. ID GENERATOR (Closure Pattern)
+      // ============================================
+      const IDGenerator = (() => {
+        let counter = 1;
 
-          AppStorage.studyData.tasks.push(newTask);
+        return {
+          /**
+           * Generates unique ID using timestamp + counter
+           * Technique: Closure for private variable
+           */
+          generate(prefix = "task") {
+            return `${prefix}_${Date.now()}_${counter++}`;
+          },
 
-          // Auto-balance the new day
-          this.autoBalance(newDay);
+          reset() {
+            counter = 1;
+          },
 
-          const newDayName = CONFIG.DAYS_CONFIG.find(
-            (d) => d.id === newDay
-          ).name;
-          ErrorHandler.showSuccess(`Task rescheduled to ${newDayName}`);
-        },
+          getCount() {
+            return counter;
+          },
+        };
+      })();
 
+      // ============================================
+      // 6. LOCAL STORE (IndexedDB)
+      // ============================================
+      const LocalStore = {
         /**
-         * Calculates total time for a specific day
+         * Object stores:
+         * - plans: latest plan per owner ("guest" or Firebase uid)
+         * - syncQueue: plan waiting to be pushed to Firestore, per uid
+         * - reminders: notifications already shown today (this device)
          */
-        calculateDayTime(dayName) {
-          return AppStorage.studyData.tasks
-            .filter(
-              (t) =>
-                t.day === dayName.toLowerCase() &&
-                t.status !== CONFIG.STATUS.MISSED
-            )
-            .reduce((sum, t) => sum + t.duration, 0);
-        },
+        STORES: ["plans", "syncQueue", "reminders"],
+        dbPromise: null,
 
         /**
-         * Gets tasks for a specific day
+         * Checks whether IndexedDB exists in this browser
          */
-        getTasksByDay(dayName) {
-          return AppStorage.studyData.tasks.filter(
-            (t) => t.day === dayName.toLowerCase()
-          );
+        isAvailable() {
+          return typeof indexedDB !== "undefined";
         },
 
         /**
-         * Counts tasks by status
+         * Opens (and upgrades) the database once
+         * Technique: Cached promise so concurrent callers share one connection
          */
-        getTaskCounts() {
-          return {
-            total: AppStorage.studyData.tasks.length,
-            completed: AppStorage.studyData.tasks.filter(
-              (t) => t.status === CONFIG.STATUS.COMPLETED
-            ).length,
-            notCompleted: AppStorage.studyData.tasks.filter(
-              (t) => t.status === CONFIG.STATUS.NOT_COMPLETED
-            ).length,
-            approaching: AppStorage.studyData.tasks.filter(
-              (t) => t.status === CONFIG.STATUS.APPROACHING
-            ).length,
-            missed: AppStorage.studyData.tasks.filter(
-              (t) => t.status === CONFIG.STATUS.MISSED
-            ).length,
-          };
-        },
+        open() {
+          if (!this.isAvailable()) {
+            return Promise.reject(new Error("IndexedDB is not available"));
+          }
 
-        /**
-         * Gets statistics
-         */
-        getStatistics() {
-          const tasks = AppStorage.studyData.tasks;
-          const counts = this.getTaskCounts();
+          if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+              const request = indexedDB.open(
+                CONFIG.LOCAL_DB_NAME,
+                CONFIG.LOCAL_DB_VERSION
+              );
 
-          const totalMinutes = tasks.reduce((sum, t) => sum + t.duration, 0);
-          const avgDuration =
-            tasks.length > 0 ? Math.round(totalMinutes / tasks.length) : 0;
+              request.onupgradeneeded = () => {
+                const db = request.result;
+                this.STORES.forEach((name) => {
+                  if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name);
+                  }
+                });
+              };
+              request.onsuccess = () => resolve(request.result);
+              request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+              };
+            });
+          }
 
-          return {
-            ...counts,
-            totalMinutes,
-            avgDuration,
-            completionRate:
-              tasks.length > 0
-                ? Math.round((counts.completed / tasks.length) * 100)
-                : 0,
-          };
+          return this.dbPromise;
         },
-      };
 
-      // ============================================
-      // 8. DOM BUILDER (Factory Pattern)
-      // ============================================
-      const DOMBuilder = {
         /**
-         * Creates a task list item element
+         * Runs one request inside a transaction
+         * Resolves with the request result once the transaction completes
          */
-        createTaskElement(task) {
-          const li = document.createElement("li");
-          li.className = `task-item ${task.status}`;
-
-          const infoDiv = document.createElement("div");
-          infoDiv.className = "task-item-info";
-
-          const titleSpan = document.createElement("span");
-          titleSpan.textContent = `${task.title} (${task.duration}m)`;
-
-          const badge = document.createElement("span");
-          badge.className = `status-badge ${task.status}`;
-          badge.textContent = task.status.replace("-", " ").toUpperCase();
-
-          infoDiv.appendChild(titleSpan);
-          infoDiv.appendChild(badge);
-
-          const deleteBtn = document.createElement("button");
-          deleteBtn.className = "delete-btn";
-          deleteBtn.textContent = "×";
-          deleteBtn.onclick = (e) => {
-            e.stopPropagation();
-            Handlers.handleDeleteTask(task.id);
-          };
+        async run(storeName, mode, operation) {
+          const db = await this.open();
 
-          li.appendChild(infoDiv);
-          li.appendChild(deleteBtn);
+          return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
 
-          return li;
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+          });
         },
 
         /**
-         * Creates a day card element
+         * Reads a value by key (undefined when missing)
          */
-        createDayCard(dayConfig, tasks, totalTime) {
-          const card = document.createElement("div");
-          card.className = "day-card";
-
-          const isOverLimit = totalTime > AppStorage.studyData.dailyLimit;
-          if (isOverLimit) {
-            card.classList.add("over-limit");
-          }
-
-          // Header
-          const header = document.createElement("div");
-          header.className = "day-card-header";
-
-          const title = document.createElement("h3");
-          title.textContent = `${dayConfig.emoji} ${dayConfig.name}`;
-
-          const timeSpan = document.createElement("span");
-          timeSpan.className = "day-time";
-          timeSpan.textContent = Utils.formatTime(totalTime);
-
-          header.appendChild(title);
-          header.appendChild(timeSpan);
-
-          // Task list
-          const ul = document.createElement("ul");
-          ul.className = "task-list";
-
-          if (tasks.length === 0) {
-            const li = document.createElement("li");
-            li.className = "task-item";
-            li.textContent = "No tasks scheduled";
-            ul.appendChild(li);
-          } else {
-            tasks.forEach((task) => {
-              ul.appendChild(this.createTaskElement(task));
-            });
-          }
-
-          card.appendChild(header);
-          card.appendChild(ul);
-
-          // Click handler
-          card.onclick = () => {
-            UI.showDayDetail(dayConfig.id, dayConfig.name, totalTime);
-          };
-
-          return card;
+        get(storeName, key) {
+          return this.run(storeName, "readonly", (store) => store.get(key));
         },
 
         /**
-         * Creates calendar day element
+         * Writes a value under a key
          */
-        createCalendarDay(dayConfig, tasks, totalTime) {
-          const div = document.createElement("div");
-          div.className = "calendar-day";
-
-          const header = document.createElement("div");
-          header.className = "calendar-day-header";
-          header.textContent = `${dayConfig.emoji} ${
-            dayConfig.name
-          } - ${Utils.formatTime(totalTime)}`;
-
-          div.appendChild(header);
-
-          if (tasks.length === 0) {
-            const emptyDiv = document.createElement("div");
-            emptyDiv.style.padding = "5px 0";
-            emptyDiv.style.color = "#999";
-            emptyDiv.style.fontSize = "13px";
-            emptyDiv.textContent = "No tasks";
-            div.appendChild(emptyDiv);
-          } else {
-            tasks.forEach((task) => {
-              const taskDiv = document.createElement("div");
-              taskDiv.className = "calendar-task";
-              taskDiv.style.color = CONFIG.STATUS_COLORS[task.status];
-              taskDiv.textContent = `${task.title} (${task.duration}m)`;
-              div.appendChild(taskDiv);
-            });
-          }
+        put(storeName, key, value) {
+          return this.run(storeName, "readwrite", (store) =>
+            store.put(value, key)
+          );
+        },
 
-          return div;
+        /**
+         * Deletes a key
+         */
+        delete(storeName, key) {
+          return this.run(storeName, "readwrite", (store) => store.delete(key));
         },
       };
 
       // ============================================
-      // 9. MODAL MANAGER
+      // 7. DATA STORAGE (Singleton Pattern)
       // ============================================
-      const Modal = {
-        currentModal: null,
+      const AppStorage = {
+        firebaseEnabled: false,
+        auth: null,
+        db: null,
+        syncInProgress: false,
+        syncRequested: false,
+        syncSequence: 0,
+        // Message of the last failed upload (cleared by the next success)
+        syncError: null,
 
         /**
-         * Opens modal with accessibility features
+         * Multi-device sync state (logged-in users only)
+         * - syncedTasks: last version of each task known to be on the server
+         * - syncedMeta: serialized account fields last pushed/pulled
+         * - syncedWeeks: serialized week archives last pushed/pulled
+         * - conflicts: concurrent edits waiting for the user to resolve
          */
-        open(modalId) {
-          const modal = document.getElementById(modalId);
-          if (!modal) return;
-
-          this.currentModal = modal;
-          modal.classList.add("show");
-
-          // Focus first input
-          const firstInput = modal.querySelector("input, button");
-          if (firstInput) {
-            setTimeout(() => firstInput.focus(), 100);
-          }
-
-          // Add keyboard listener
-          document.addEventListener("keydown", this.handleKeydown);
+        syncedTasks: {},
+        syncedMeta: null,
+        syncedWeeks: {},
+        pendingMeta: null,
+        conflicts: [],
+        unsubscribers: [],
 
-          // Prevent body scroll
-          document.body.style.overflow = "hidden";
-        },
+        // Guest plan waiting for an import decision after sign-in
+        pendingGuestPlan: null,
 
         /**
-         * Closes current modal
+         * Main data structure (in-memory cache, saved to IndexedDB and synced)
          */
-        close() {
-          if (!this.currentModal) return;
-
-          this.currentModal.classList.remove("show");
-          document.removeEventListener("keydown", this.handleKeydown);
-          document.body.style.overflow = "";
-          this.currentModal = null;
+        studyData: {
+          tasks: [],
+          series: [],
+          subjects: [],
+          // Exams and other targets with generated study sessions
+          goals: [],
+          // Summaries of past weeks (kept when their tasks are deleted)
+          weekHistory: [],
+          dailyLimit: CONFIG.DEFAULT_DAILY_LIMIT,
+          settings: { ...CONFIG.DEFAULT_SETTINGS },
+          currentSelectedDay: "",
+          currentEditTaskId: "",
+          currentWeekStart: Utils.getWeekStart(Utils.getTodayKey()),
         },
 
-        /**
-         * Handles ESC key to close
-         */
-        handleKeydown(e) {
-          if (e.key === "Escape") {
-            Modal.close();
-          }
+        userData: {
+          username: "Guest",
+          loginTime: null,
+          uid: null,
+          email: null,
+          isGuest: true,
         },
-      };
 
-      // ============================================
-      // 10. UI MANAGER
-      // ============================================
-      const UI = {
         /**
-         * Shows global loading spinner
-         * Technique: Simple state toggle for async feedback
+         * Initializes Firebase if config and scripts are available
          */
-        showLoading() {
+        initFirebase() {
           try {
-            const spinner = document.getElementById("loadingSpinner");
-            if (spinner) {
-              spinner.classList.add("show");
+            if (!this.isFirebaseConfigured()) {
+              console.warn(
+                "[Storage] Firebase not configured. Using local storage only."
+              );
+              return;
+            }
+
+            if (typeof firebase === "undefined") {
+              console.warn(
+                "[Storage] Firebase SDK not loaded. Using local storage only."
+              );
+              return;
             }
+
+            if (!firebase.apps.length) {
+              firebase.initializeApp(FIREBASE_CONFIG);
+            }
+
+            this.auth = firebase.auth();
+            this.db = firebase.firestore();
+            this.firebaseEnabled = true;
+            console.log("[Storage] Firebase initialized");
           } catch (error) {
-            console.error("[UI] Error in showLoading:", error);
-            ErrorHandler.logError(error);
+            console.error("[Storage] Firebase init failed:", error);
+            this.firebaseEnabled = false;
           }
         },
 
         /**
-         * Hides global loading spinner
-         * Technique: Simple state toggle for async feedback
+         * Checks whether Firebase config is filled in
          */
-        hideLoading() {
-          try {
-            const spinner = document.getElementById("loadingSpinner");
-            if (spinner) {
-              spinner.classList.remove("show");
-            }
-          } catch (error) {
-            console.error("[UI] Error in hideLoading:", error);
-            ErrorHandler.logError(error);
-          }
+        isFirebaseConfigured() {
+          const requiredKeys = [
+            "apiKey",
+            "authDomain",
+            "projectId",
+            "appId",
+          ];
+
+          return requiredKeys.every((key) => {
+            const value = FIREBASE_CONFIG[key];
+            return value && !value.includes("YOUR_");
+          });
         },
 
         /**
-         * Shows a specific view (login/signup/timetable)
-         * Technique: DOM manipulation with error handling
-         * Try/Catch: Prevents crashes if DOM elements not found
+         * Sets user data from Firebase Auth user object
          */
-        showView(viewName) {
-          try {
-            // Use forEach (higher-order function) to iterate all views
-            document
-              .querySelectorAll(".view")
-              .forEach((v) => v.classList.remove("active"));
+        setUserFromAuth(user, overrideUsername = "") {
+          if (!user) return;
 
-            const view = document.getElementById(viewName + "View");
-            if (view) {
-              view.classList.add("active");
-            } else {
-              console.warn(`[UI] View not found: ${viewName}View`);
-            }
+          const emailName =
+            user.email && user.email.includes("@")
+              ? user.email.split("@")[0]
+              : "";
 
-            // Clear form errors using centralized error handler
-            ErrorHandler.clearAllFieldErrors();
-          } catch (error) {
-            console.error("[UI] Error in showView:", error);
-            ErrorHandler.logError(error);
+          this.userData = {
+            uid: user.uid,
+            email: user.email || "",
+            username:
+              overrideUsername || user.displayName || emailName || "User",
+            loginTime: new Date().toISOString(),
+            isGuest: false,
+          };
+
+          // Undo history belongs to one signed-in session
+          History.clear();
+        },
+
+        /**
+         * Sets guest/local user data
+         */
+        setUser(username) {
+          this.userData = {
+            username: username,
+            loginTime: new Date().toISOString(),
+            uid: null,
+            email: null,
+            isGuest: true,
+          };
+          History.clear();
+        },
+
+        /**
+         * Sets auth persistence for Remember Me behavior
+         * Technique: Firebase persistence selection
+         */
+        async setAuthPersistence(remember) {
+          if (!this.firebaseEnabled || !this.auth || typeof firebase === "undefined") {
+            return;
           }
+
+          const persistence = remember
+            ? firebase.auth.Auth.Persistence.LOCAL
+            : firebase.auth.Auth.Persistence.SESSION;
+
+          await this.auth.setPersistence(persistence);
         },
 
         /**
-         * Shows a specific section within timetable
-         * Technique: Event-driven UI updates with try/catch
-         * Try/Catch: Handles missing DOM elements gracefully
+         * Gets the local storage key for the current user
          */
-        showSection(sectionName) {
-          try {
-            // Remove active class from all sections (array iteration)
-            document
-              .querySelectorAll(".section")
-              .forEach((s) => s.classList.remove("active"));
-            document
-              .querySelectorAll(".nav-btn")
-              .forEach((btn) => btn.classList.remove("active"));
+        getOwnerKey() {
+          return this.userData.uid || CONFIG.GUEST_STORAGE_KEY;
+        },
 
-            const section = document.getElementById(sectionName + "Section");
-            if (section) {
-              section.classList.add("active");
-            } else {
-              console.warn(`[UI] Section not found: ${sectionName}Section`);
-            }
+        /**
+         * Builds the account-level fields stored on users/{uid}
+         * (tasks and week archives live in their own documents)
+         */
+        buildMetaPayload() {
+          return {
+            username: this.userData.username,
+            email: this.userData.email,
+            dailyLimit: this.studyData.dailyLimit,
+            settings: this.studyData.settings,
+            series: this.studyData.series,
+            subjects: this.studyData.subjects,
+            goals: this.studyData.goals,
+            schemaVersion: CONFIG.SYNC_SCHEMA_VERSION,
+          };
+        },
 
-            // Update active nav button (DOM event handling)
-            if (event && event.target) {
-              event.target.classList.add("active");
-            }
-          } catch (error) {
-            console.error("[UI] Error in showSection:", error);
-            ErrorHandler.logError(error);
+        /**
+         * Builds the local (IndexedDB) form of the plan
+         * Includes the last-synced snapshot used to detect local edits
+         */
+        buildPayload() {
+          return {
+            ...this.buildMetaPayload(),
+            tasks: this.studyData.tasks,
+            weekHistory: this.studyData.weekHistory,
+            syncedTasks: this.syncedTasks,
+            syncedMeta: this.syncedMeta,
+            syncedWeeks: this.syncedWeeks,
+            updatedAt: new Date().toISOString(),
+          };
+        },
+
+        /**
+         * Copies account-level fields (local or Firestore) into studyData
+         */
+        applyMeta(data) {
+          this.studyData.series = Array.isArray(data.series) ? data.series : [];
+          this.studyData.subjects = Array.isArray(data.subjects)
+            ? data.subjects
+            : [];
+          this.studyData.goals = Array.isArray(data.goals) ? data.goals : [];
+          this.studyData.dailyLimit = Number.isFinite(data.dailyLimit)
+            ? data.dailyLimit
+            : CONFIG.DEFAULT_DAILY_LIMIT;
+          this.studyData.settings = {
+            ...CONFIG.DEFAULT_SETTINGS,
+            ...(data.settings || {}),
+          };
+
+          if (data.username && !this.userData.isGuest) {
+            this.userData.username = data.username;
           }
         },
 
         /**
-         * Updates homepage view with day cards
-         * Technique: Factory pattern + forEach iteration
-         * Try/Catch: Prevents rendering errors from breaking app
+         * Copies a local plan record into studyData
          */
-        updateHomepage() {
-          try {
-            const container = document.getElementById("daysContainer");
-            if (!container) {
-              console.warn("[UI] daysContainer not found");
-              return;
-            }
+        applyPayload(data) {
+          this.applyMeta(data);
+          this.studyData.tasks = this.normalizeTasks(
+            Array.isArray(data.tasks) ? data.tasks : []
+          );
+          this.studyData.weekHistory = Array.isArray(data.weekHistory)
+            ? data.weekHistory
+            : [];
+          this.syncedTasks = data.syncedTasks || {};
+          this.syncedMeta = data.syncedMeta || null;
+          this.syncedWeeks = data.syncedWeeks || {};
+        },
 
-            // Clear existing content
-            container.innerHTML = "";
+        /**
+         * Save data (IndexedDB first, then background sync to Firestore)
+         * Algorithm: Write local copy → Queue account fields → Flush
+         */
+        async save() {
+          // Finished weeks are archived before their tasks can go away
+          Analytics.archiveWeeks();
 
-            // Iterate through CONFIG array using forEach (higher-order function)
-            CONFIG.DAYS_CONFIG.forEach((dayConfig) => {
-              // Get tasks using filter() higher-order function in TaskManager
-              const tasks = TaskManager.getTasksByDay(dayConfig.id);
+          const storedLocally = await this.writeLocal(this.buildPayload());
 
-              // Calculate total using reduce() higher-order function
-              const totalTime = TaskManager.calculateDayTime(dayConfig.id);
+          // Reminders for a closed app follow the saved plan
+          Reminders.sync().catch((error) => {
+            console.warn("[Storage] Reminders not scheduled:", error.message);
+          });
 
-              // Use Factory pattern to create DOM elements
-              const card = DOMBuilder.createDayCard(
-                dayConfig,
-                tasks,
-                totalTime
-              );
-              container.appendChild(card);
+          if (!this.firebaseEnabled || !this.userData.uid) {
+            console.log(
+              storedLocally
+                ? "[Storage] Data saved locally"
+                : "[Storage] Data saved to memory"
+            );
+            return true;
+          }
+
+          const meta = this.buildMetaPayload();
+          if (Utils.stableStringify(meta) !== this.syncedMeta) {
+            await LocalStore.put("syncQueue", this.userData.uid, {
+              meta,
+              queuedAt: `${Date.now()}_${++this.syncSequence}`,
+            }).catch(() => {
+              // No IndexedDB: the in-memory meta is pushed on flush
+              this.pendingMeta = meta;
             });
-          } catch (error) {
-            console.error("[UI] Error in updateHomepage:", error);
-            ErrorHandler.logError(error);
-            ErrorHandler.showUserError("Failed to update homepage view");
           }
+
+          // Background sync: the UI never waits for the network
+          this.flushSyncQueue().catch((error) => {
+            console.warn("[Storage] Sync deferred:", error.message);
+          });
+          UI.updateSyncStatus();
+
+          return true;
         },
 
         /**
-         * Updates calendar view
-         * Technique: Factory pattern + array iteration
-         * Try/Catch: Robust error handling for rendering
+         * Load data (IndexedDB first, then reconcile with Firestore)
          */
-        updateCalendar() {
-          try {
-            const container = document.getElementById("calendarContainer");
-            if (!container) {
-              console.warn("[UI] calendarContainer not found");
-              return;
-            }
+        async load() {
+          this.syncedTasks = {};
+          this.syncedMeta = null;
+          this.syncedWeeks = {};
+          this.conflicts = [];
+
+          const local = await this.readLocal();
+          if (local) {
+            this.applyPayload(local);
+          }
 
-            container.innerHTML = "";
+          if (!this.firebaseEnabled || !this.userData.uid) {
+            console.log(
+              local
+                ? "[Storage] Data loaded locally"
+                : "[Storage] Data loaded from memory"
+            );
+            return this.studyData;
+          }
 
-            // Use forEach to iterate and create calendar days
-            CONFIG.DAYS_CONFIG.forEach((dayConfig) => {
-              const tasks = TaskManager.getTasksByDay(dayConfig.id);
-              const totalTime = TaskManager.calculateDayTime(dayConfig.id);
+          if (navigator.onLine) {
+            try {
+              await this.reconcile();
+            } catch (error) {
+              // Keep working from the local copy; sync retries on reconnect
+              console.warn("[Storage] Reconcile failed:", error.message);
+              if (!local) throw error;
+            }
+          } else {
+            console.log("[Storage] Offline - using local copy");
+          }
 
-              // Factory pattern: DOMBuilder creates standardized elements
-              const dayEl = DOMBuilder.createCalendarDay(
-                dayConfig,
-                tasks,
-                totalTime
-              );
-              container.appendChild(dayEl);
-            });
+          this.startRealtimeSync();
+          return this.studyData;
+        },
+
+        /**
+         * Writes the plan to IndexedDB
+         * Returns false when IndexedDB is unavailable (memory fallback)
+         */
+        async writeLocal(payload) {
+          try {
+            await LocalStore.put("plans", this.getOwnerKey(), payload);
+            return true;
           } catch (error) {
-            console.error("[UI] Error in updateCalendar:", error);
-            ErrorHandler.logError(error);
-            ErrorHandler.showUserError("Failed to update calendar view");
+            console.warn("[Storage] Local save unavailable:", error.message);
+            return false;
           }
         },
 
         /**
-         * Updates to-do list view with task status
-         * Technique: DOM manipulation + conditional rendering
-         * Try/Catch: Handles rendering errors gracefully
+         * Reads the plan from IndexedDB (null when missing/unavailable)
          */
-        updateTodoList() {
+        async readLocal() {
           try {
-            const container = document.getElementById("todoContainer");
-            const missedCount = document.getElementById("missedCount");
-            const deadlineAlerts = document.getElementById("deadlineAlerts");
+            return (await LocalStore.get("plans", this.getOwnerKey())) || null;
+          } catch (error) {
+            console.warn("[Storage] Local load unavailable:", error.message);
+            return null;
+          }
+        },
 
-            if (!container) return;
+        /**
+         * Firestore references for the signed-in user
+         */
+        userDocRef() {
+          return this.db.collection("users").doc(this.userData.uid);
+        },
 
-            // Update missed count
-            const counts = TaskManager.getTaskCounts();
-            if (missedCount) {
-              missedCount.textContent = counts.missed;
-            }
+        tasksRef() {
+          return this.userDocRef().collection("tasks");
+        },
 
-            // Show deadline alerts
-            if (deadlineAlerts && counts.approaching > 0) {
-              deadlineAlerts.innerHTML = `
-                        <div class="deadline-alert">
-                            ⚠️ <strong>Deadline Alert!</strong> 
-                            ${counts.approaching} task(s) approaching deadline!
-                        </div>
-                    `;
-            } else if (deadlineAlerts) {
-              deadlineAlerts.innerHTML = "";
-            }
+        weeksRef() {
+          return this.userDocRef().collection("weekHistory");
+        },
 
-            // Build to-do list by day
-            container.innerHTML = "";
+        /**
+         * Strips sync metadata from a Firestore task document
+         */
+        taskFromDoc(data) {
+          const { version, updatedAt, deleted, ...task } = data;
+          return task;
+        },
 
-            CONFIG.DAYS_CONFIG.forEach((dayConfig) => {
-              const tasks = TaskManager.getTasksByDay(dayConfig.id);
-              if (tasks.length === 0) return;
+        /**
+         * CHANGE DETECTION
+         * Compares every task with the last-synced snapshot
+         * Returns { taskId: { task (a copy; null = deleted), baseVersion } }
+         */
+        collectTaskChanges() {
+          const changes = {};
+          const current = {};
 
-              const daySection = document.createElement("div");
-              daySection.className = "todo-day-section";
+          this.studyData.tasks.forEach((task) => {
+            current[task.id] = task;
+          });
 
-              const header = document.createElement("h4");
-              header.textContent = `${dayConfig.emoji} ${dayConfig.name}`;
-              daySection.appendChild(header);
+          const ids = new Set([
+            ...Object.keys(current),
+            ...Object.keys(this.syncedTasks),
+          ]);
+
+          ids.forEach((id) => {
+            const synced = this.syncedTasks[id];
+            const task = current[id] || null;
+            const syncedTask = synced ? synced.task : null;
+
+            if (
+              Utils.stableStringify(task) !== Utils.stableStringify(syncedTask)
+            ) {
+              // A copy, so edits made during the upload are not marked
+              // as synced along with it
+              changes[id] = {
+                task: task ? JSON.parse(JSON.stringify(task)) : null,
+                baseVersion: synced ? synced.version : 0,
+              };
+            }
+          });
 
-              tasks.forEach((task) => {
-                const taskDiv = document.createElement("div");
-                taskDiv.className = "todo-task";
+          return changes;
+        },
 
-                const infoSpan = document.createElement("span");
-                infoSpan.className = "todo-task-info";
-                infoSpan.style.color = CONFIG.STATUS_COLORS[task.status];
-                infoSpan.textContent = `${task.title} (${task.duration}m)`;
+        /**
+         * Pushes queued account fields and edited tasks to Firestore
+         * Technique: Per-task transactions with optimistic versioning
+         */
+        async flushSyncQueue() {
+          const uid = this.userData.uid;
+          if (!this.firebaseEnabled || !uid || !navigator.onLine) return false;
 
-                const actionsDiv = document.createElement("div");
-                actionsDiv.className = "todo-actions";
+          if (this.syncInProgress) {
+            this.syncRequested = true;
+            return false;
+          }
 
-                // Status select
-                const select = document.createElement("select");
-                select.value = task.status;
-                Object.values(CONFIG.STATUS).forEach((status) => {
-                  const option = document.createElement("option");
-                  option.value = status;
-                  option.textContent = status.replace("-", " ").toUpperCase();
-                  if (status === task.status) option.selected = true;
-                  select.appendChild(option);
-                });
-                select.onchange = () =>
-                  Handlers.handleStatusChange(task.id, select.value);
+          this.syncInProgress = true;
+          this.syncRequested = false;
+          const conflictCount = this.conflicts.length;
+          UI.updateSyncStatus();
 
-                // Delete button
-                const deleteBtn = document.createElement("button");
-                deleteBtn.className = "delete-btn";
-                deleteBtn.textContent = "×";
-                deleteBtn.onclick = () => Handlers.handleDeleteTask(task.id);
-
-                actionsDiv.appendChild(select);
-                actionsDiv.appendChild(deleteBtn);
+          try {
+            await this.pushMeta(uid);
+            await this.pushWeeks();
 
-                taskDiv.appendChild(infoSpan);
-                taskDiv.appendChild(actionsDiv);
-                daySection.appendChild(taskDiv);
-              });
+            const changes = this.collectTaskChanges();
+            for (const [id, change] of Object.entries(changes)) {
+              if (this.conflicts.some((c) => c.id === id)) continue;
+              await this.pushTask(id, change);
+            }
 
-              container.appendChild(daySection);
-            });
+            // Persist the updated sync snapshot
+            await this.writeLocal(this.buildPayload());
+            this.syncError = null;
+            console.log("[Storage] Synced to Firestore");
           } catch (error) {
-            console.error("[UI] Error in updateTodoList:", error);
-            ErrorHandler.logError(error);
-            ErrorHandler.showUserError("Failed to update to-do list");
+            this.syncError = error.message;
+            throw error;
+          } finally {
+            this.syncInProgress = false;
+            UI.updateSyncStatus();
+          }
+
+          if (this.conflicts.length > conflictCount) {
+            UI.showNextConflict();
           }
+
+          // Edits made while uploading are pushed in a follow-up pass
+          return this.syncRequested ? this.flushSyncQueue() : true;
         },
 
         /**
-         * Updates statistics view
-         * Technique: Template literals + data aggregation
-         * Try/Catch: Prevents stats calculation errors
+         * Writes queued account fields (settings, limits, series)
          */
-        updateStatistics() {
-          try {
-            const container = document.getElementById("statsContainer");
-            if (!container) {
-              console.warn("[UI] statsContainer not found");
-              return;
+        async pushMeta(uid) {
+          const queued = await LocalStore.get("syncQueue", uid).catch(() => ({
+            meta: this.pendingMeta,
+          }));
+          if (!queued) return;
+
+          // Entries queued before per-task sync held the whole plan
+          const meta =
+            queued.meta || (queued.payload && this.buildMetaPayload());
+          if (!meta) return;
+
+          await this.userDocRef().set(
+            { ...meta, updatedAt: new Date().toISOString() },
+            { merge: true }
+          );
+          this.syncedMeta = Utils.stableStringify(meta);
+          this.pendingMeta = null;
+
+          // Only clear the entry if no newer edit was queued meanwhile
+          const latest = await LocalStore.get("syncQueue", uid).catch(
+            () => null
+          );
+          if (latest && latest.queuedAt === queued.queuedAt) {
+            await LocalStore.delete("syncQueue", uid);
+          }
+        },
+
+        /**
+         * Writes one task inside a transaction
+         * A version mismatch means another device edited it first:
+         * identical content is adopted, different content is a conflict.
+         */
+        async pushTask(id, change) {
+          const ref = this.tasksRef().doc(id);
+
+          const result = await this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const data = doc.exists ? doc.data() : null;
+            const remoteVersion = data ? data.version || 0 : 0;
+            const remoteTask =
+              data && !data.deleted ? this.taskFromDoc(data) : null;
+
+            if (remoteVersion !== change.baseVersion) {
+              const same =
+                Utils.stableStringify(remoteTask) ===
+                Utils.stableStringify(change.task);
+              return same
+                ? { version: remoteVersion, task: remoteTask }
+                : { conflict: true, version: remoteVersion, task: remoteTask };
             }
 
-            // Get statistics using reduce() and filter() higher-order functions
-            const stats = TaskManager.getStatistics();
+            const version = remoteVersion + 1;
+            const updatedAt = new Date().toISOString();
+            transaction.set(
+              ref,
+              change.task
+                ? { ...change.task, version, updatedAt, deleted: false }
+                : { deleted: true, version, updatedAt }
+            );
+            return { version, task: change.task };
+          });
 
-            container.innerHTML = `
-                    <div style="padding: 15px 0;">
-                        <div style="margin-bottom: 10px;">
-                            <strong>Total Tasks:</strong> ${stats.total}
-                        </div>
-                        <div style="margin-bottom: 10px;">
-                            <strong>Completed:</strong> ${stats.completed} (${
-              stats.completionRate
-            }%)
-                        </div>
-                        <div style="margin-bottom: 10px;">
-                            <strong>Not Completed:</strong> ${
-                              stats.notCompleted
-                            }
-                        </div>
-                        <div style="margin-bottom: 10px;">
-                            <strong>Approaching:</strong> ${stats.approaching}
-                        </div>
-                        <div style="margin-bottom: 10px;">
-                            <strong>Missed:</strong> ${stats.missed}
-                        </div>
-                        <div style="margin-bottom: 10px;">
-                            <strong>Total Time:</strong> ${Utils.formatTime(
-                              stats.totalMinutes
-                            )}
-                        </div>
-                        <div>
-                            <strong>Average Task Duration:</strong> ${
-                              stats.avgDuration
-                            }m
-                        </div>
-                    </div>
-                `;
-          } catch (error) {
-            console.error("[UI] Error in updateStatistics:", error);
-            ErrorHandler.logError(error);
-            ErrorHandler.showUserError("Failed to update statistics");
+          if (result.conflict) {
+            this.addConflict(id, result.task, result.version);
+          } else {
+            this.markSynced(id, result.task, result.version);
           }
         },
 
         /**
-         * Refreshes all UI sections
-         * Technique: Observer pattern - centralized UI update
-         * Try/Catch: Each update has its own error handling
-         * Pattern: Single method triggers multiple view updates
+         * Records the last-synced state of a task
          */
-        refresh() {
-          // Each update method has its own try/catch for isolation
-          this.updateHomepage();
-          this.updateCalendar();
-          this.updateTodoList();
-          this.updateStatistics();
+        markSynced(id, task, version) {
+          this.syncedTasks[id] = {
+            version,
+            task: task ? JSON.parse(JSON.stringify(task)) : null,
+          };
         },
 
         /**
-         * Shows day detail modal with task list
-         * Technique: Modal pattern + dynamic content generation
-         * Try/Catch: Handles modal rendering errors
+         * WEEK ARCHIVES
+         * Each archived week is its own weekHistory/{weekStart} document,
+         * so two years of records stay clear of the user document's size
+         * limit. Archives are derived from tasks, so the last write wins.
+         * Returns { weekStart: serialized week (null = removed) }
          */
-        showDayDetail(dayId, dayName, totalTime) {
-          try {
-            AppStorage.studyData.currentSelectedDay = dayId;
+        collectWeekChanges() {
+          const changes = {};
+          const current = {};
 
-            const titleEl = document.getElementById("modalDayTitle");
-            const sessionContainer =
-              document.getElementById("sessionContainer");
-            const errorEl = document.getElementById("modalErrorMessage");
+          this.studyData.weekHistory.forEach((week) => {
+            current[week.weekStart] = Utils.stableStringify(week);
+          });
 
-            if (titleEl) {
-              const emoji = CONFIG.DAYS_CONFIG.find(
-                (d) => d.id === dayId
-              ).emoji;
-              titleEl.textContent = `${emoji} ${dayName} - ${Utils.formatTime(
-                totalTime
-              )}`;
+          new Set([
+            ...Object.keys(current),
+            ...Object.keys(this.syncedWeeks),
+          ]).forEach((weekStart) => {
+            const week = current[weekStart] || null;
+            if (week !== (this.syncedWeeks[weekStart] || null)) {
+              changes[weekStart] = week;
             }
+          });
 
-            // Build task list
-            if (sessionContainer) {
-              sessionContainer.innerHTML = "";
+          return changes;
+        },
 
-              const tasks = TaskManager.getTasksByDay(dayId);
+        /**
+         * Writes changed and removed week archives in one batch
+         */
+        async pushWeeks() {
+          const changes = Object.entries(this.collectWeekChanges());
+          if (changes.length === 0) return;
+
+          const batch = this.db.batch();
+          changes.forEach(([weekStart, week]) => {
+            const ref = this.weeksRef().doc(weekStart);
+            if (week) {
+              batch.set(ref, JSON.parse(week));
+            } else {
+              batch.delete(ref);
+            }
+          });
+          await batch.commit();
 
-              if (tasks.length === 0) {
-                sessionContainer.innerHTML =
-                  '<div style="padding: 10px; color: #999;">No tasks for this day</div>';
-              } else {
-                tasks.forEach((task) => {
-                  const item = document.createElement("div");
-                  item.className = "session-item";
+          changes.forEach(([weekStart, week]) => {
+            if (week) {
+              this.syncedWeeks[weekStart] = week;
+            } else {
+              delete this.syncedWeeks[weekStart];
+            }
+          });
+        },
 
-                  const infoDiv = document.createElement("div");
-                  infoDiv.className = "session-info";
-                  infoDiv.innerHTML = `
-                                <strong style="color: ${
-                                  CONFIG.STATUS_COLORS[task.status]
-                                }">${task.title}</strong>
-                                <small>${task.duration} minutes - ${task.status
-                    .replace("-", " ")
-                    .toUpperCase()}</small>
-                            `;
+        /**
+         * Takes a remote week archive unless this device changed it too
+         * (the local archive is pushed on the next flush)
+         * Returns true when local data changed
+         */
+        mergeRemoteWeek(weekStart, week) {
+          const remote = week ? Utils.stableStringify(week) : null;
+          const history = this.studyData.weekHistory;
+          const index = history.findIndex((w) => w.weekStart === weekStart);
+          const local =
+            index > -1 ? Utils.stableStringify(history[index]) : null;
 
-                  const deleteBtn = document.createElement("button");
-                  deleteBtn.className = "delete-btn";
-                  deleteBtn.textContent = "Delete";
-                  deleteBtn.onclick = () => {
-                    Handlers.handleDeleteTask(task.id);
-                    Modal.close();
-                  };
+          if (local !== (this.syncedWeeks[weekStart] || null)) return false;
 
-                  item.appendChild(infoDiv);
-                  item.appendChild(deleteBtn);
-                  sessionContainer.appendChild(item);
-                });
+          if (remote) {
+            this.syncedWeeks[weekStart] = remote;
+          } else {
+            delete this.syncedWeeks[weekStart];
+          }
+          if (local === remote) return false;
+
+          if (index > -1) history.splice(index, 1);
+          if (week) {
+            history.push({ ...week, weekStart });
+            history.sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+          }
+          return true;
+        },
+
+        /**
+         * One-time upgrade from the weekHistory array on users/{uid}
+         * Weeks this device does not have yet are added and pushed as
+         * their own documents before the array is removed
+         */
+        async migrateLegacyWeeks(weeks) {
+          const known = new Set(
+            this.studyData.weekHistory.map((week) => week.weekStart)
+          );
+          weeks
+            .filter(
+              (week) => week && week.weekStart && !known.has(week.weekStart)
+            )
+            .forEach((week) => this.studyData.weekHistory.push(week));
+          this.studyData.weekHistory.sort((a, b) =>
+            a.weekStart.localeCompare(b.weekStart)
+          );
+
+          await this.pushWeeks();
+          await this.userDocRef().set(
+            {
+              weekHistory: firebase.firestore.FieldValue.delete(),
+              schemaVersion: CONFIG.SYNC_SCHEMA_VERSION,
+            },
+            { merge: true }
+          );
+          console.log(
+            "[Storage] Migrated week archives to their own documents"
+          );
+        },
+
+        /**
+         * Queues a conflict for the resolution prompt
+         */
+        addConflict(id, remoteTask, remoteVersion) {
+          const localTask =
+            this.studyData.tasks.find((t) => t.id === id) || null;
+          this.conflicts = this.conflicts.filter((c) => c.id !== id);
+          this.conflicts.push({
+            id,
+            local: localTask ? { ...localTask } : null,
+            remote: remoteTask,
+            remoteVersion,
+          });
+        },
+
+        /**
+         * Replaces (or removes) a local task with a remote version
+         */
+        applyRemoteTask(id, remoteTask) {
+          const index = this.studyData.tasks.findIndex((t) => t.id === id);
+
+          if (!remoteTask) {
+            if (index > -1) this.studyData.tasks.splice(index, 1);
+          } else if (index > -1) {
+            this.studyData.tasks[index] = { ...remoteTask };
+          } else {
+            this.studyData.tasks.push({ ...remoteTask });
+          }
+        },
+
+        /**
+         * MERGE STRATEGY (one remote task document)
+         * 1. Already seen this version → ignore (own write echo)
+         * 2. No local edit pending → take the remote version
+         * 3. Local edit identical to remote → just record the version
+         * 4. Both sides changed → conflict prompt (nothing is clobbered)
+         * Returns true when local data changed
+         */
+        mergeRemoteTask(id, data) {
+          const version = data ? data.version || 0 : 0;
+          const synced = this.syncedTasks[id];
+          if (synced && synced.version >= version && data) return false;
+
+          const remoteTask =
+            data && !data.deleted ? this.taskFromDoc(data) : null;
+          const localTask =
+            this.studyData.tasks.find((t) => t.id === id) || null;
+          const hasLocalEdit =
+            Utils.stableStringify(localTask) !==
+            Utils.stableStringify(synced ? synced.task : null);
+
+          if (
+            hasLocalEdit &&
+            Utils.stableStringify(localTask) !==
+              Utils.stableStringify(remoteTask)
+          ) {
+            this.addConflict(id, remoteTask, version);
+            return false;
+          }
+
+          this.applyRemoteTask(id, remoteTask);
+          this.markSynced(id, remoteTask, version);
+          return !hasLocalEdit;
+        },
+
+        /**
+         * RECONCILE ON LOAD / RECONNECT
+         * 1. Move a legacy tasks array into per-task documents
+         * 2. Merge the week archives (moving a legacy weekHistory array
+         *    into per-week documents)
+         * 3. Push pending local edits (with conflict detection)
+         * 4. Merge every remote task and the account fields
+         */
+        async reconcile() {
+          if (!this.firebaseEnabled || !this.userData.uid) return;
+
+          const userDoc = await this.userDocRef().get();
+          const remoteMeta = userDoc.exists ? userDoc.data() || {} : null;
+
+          if (remoteMeta && Array.isArray(remoteMeta.tasks)) {
+            await this.migrateLegacyTasks(remoteMeta.tasks);
+          }
+
+          const queued = await LocalStore.get(
+            "syncQueue",
+            this.userData.uid
+          ).catch(() => null);
+          if (remoteMeta && !queued) {
+            this.applyMeta(remoteMeta);
+            this.syncedMeta = Utils.stableStringify(this.buildMetaPayload());
+          }
+
+          // Synced weeks missing from the server were removed elsewhere
+          const weeks = await this.weeksRef().get();
+          const remoteWeeks = new Set();
+          weeks.forEach((doc) => {
+            remoteWeeks.add(doc.id);
+            this.mergeRemoteWeek(doc.id, doc.data());
+          });
+          Object.keys(this.syncedWeeks)
+            .filter((weekStart) => !remoteWeeks.has(weekStart))
+            .forEach((weekStart) => this.mergeRemoteWeek(weekStart, null));
+          if (remoteMeta && Array.isArray(remoteMeta.weekHistory)) {
+            await this.migrateLegacyWeeks(remoteMeta.weekHistory);
+          }
+
+          await this.flushSyncQueue();
+
+          const snapshot = await this.tasksRef().get();
+          snapshot.forEach((doc) => this.mergeRemoteTask(doc.id, doc.data()));
+
+          if (!remoteMeta) {
+            await this.save();
+          } else {
+            await this.writeLocal(this.buildPayload());
+          }
+
+          if (this.conflicts.length > 0) {
+            UI.showNextConflict();
+          }
+        },
+
+        /**
+         * One-time upgrade from the single-document tasks array
+         */
+        async migrateLegacyTasks(tasks) {
+          const batch = this.db.batch();
+          const updatedAt = new Date().toISOString();
+
+          this.normalizeTasks(tasks).forEach((task) => {
+            batch.set(
+              this.tasksRef().doc(task.id),
+              { ...task, version: 1, updatedAt, deleted: false },
+              { merge: true }
+            );
+          });
+
+          batch.set(
+            this.userDocRef(),
+            {
+              tasks: firebase.firestore.FieldValue.delete(),
+              schemaVersion: CONFIG.SYNC_SCHEMA_VERSION,
+            },
+            { merge: true }
+          );
+
+          await batch.commit();
+          console.log("[Storage] Migrated tasks to per-task documents");
+        },
+
+        /**
+         * Subscribes to remote changes from other devices
+         * Technique: Firestore onSnapshot listeners feeding UI.refresh
+         */
+        startRealtimeSync() {
+          this.stopRealtimeSync();
+          if (!this.firebaseEnabled || !this.userData.uid) return;
+
+          const onError = (error) => {
+            console.warn("[Storage] Realtime sync error:", error.message);
+          };
+
+          this.unsubscribers.push(
+            this.tasksRef().onSnapshot((snapshot) => {
+              let changed = false;
+              snapshot.docChanges().forEach((change) => {
+                const data =
+                  change.type === "removed" ? null : change.doc.data();
+                changed = this.mergeRemoteTask(change.doc.id, data) || changed;
+              });
+
+              if (changed) {
+                this.writeLocal(this.buildPayload());
+                UI.refresh();
               }
-            }
+              if (this.conflicts.length > 0) {
+                UI.showNextConflict();
+              }
+            }, onError)
+          );
 
-            // Show error if over limit
-            if (errorEl) {
-              const isOverLimit = totalTime > AppStorage.studyData.dailyLimit;
-              if (isOverLimit) {
-                const excess = totalTime - AppStorage.studyData.dailyLimit;
-                errorEl.textContent = `⚠️ ERROR! EXCEED DAILY LIMIT BY ${excess} MINUTES`;
-                errorEl.style.display = "block";
-              } else {
-                errorEl.style.display = "none";
+          this.unsubscribers.push(
+            this.weeksRef().onSnapshot((snapshot) => {
+              let changed = false;
+              snapshot.docChanges().forEach((change) => {
+                const data =
+                  change.type === "removed" ? null : change.doc.data();
+                changed = this.mergeRemoteWeek(change.doc.id, data) || changed;
+              });
+
+              if (changed) {
+                this.writeLocal(this.buildPayload());
+                UI.refresh();
               }
-            }
+            }, onError)
+          );
 
-            Modal.open("dayDetailModal");
-          } catch (error) {
-            console.error("[UI] Error in showDayDetail:", error);
-            ErrorHandler.logError(error);
-            ErrorHandler.showUserError("Failed to show day details");
-          }
+          this.unsubscribers.push(
+            this.userDocRef().onSnapshot((doc) => {
+              if (!doc.exists) return;
+
+              // Pending local settings edits win until they are pushed
+              const localMeta = Utils.stableStringify(this.buildMetaPayload());
+              if (localMeta !== this.syncedMeta) return;
+
+              const remoteMeta = doc.data() || {};
+              this.applyMeta(remoteMeta);
+              const merged = Utils.stableStringify(this.buildMetaPayload());
+              if (merged !== this.syncedMeta) {
+                this.syncedMeta = merged;
+                this.writeLocal(this.buildPayload());
+                UI.updateSettingsForm();
+                UI.refresh();
+              }
+            }, onError)
+          );
         },
-      };
 
-      // ============================================
-      // 11. EVENT HANDLERS
-      // ============================================
-      const Handlers = {
         /**
-         * Handles login
+         * Stops realtime listeners (sign-out / user switch)
          */
-        handleLogin() {
-          ErrorHandler.handle(async () => {
-            ErrorHandler.clearAllFieldErrors();
+        stopRealtimeSync() {
+          this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+          this.unsubscribers = [];
+        },
 
-            const email = document.getElementById("loginEmail").value;
-            const password = document.getElementById("loginPassword").value;
-            const remember =
-              document.getElementById("rememberMe")?.checked ?? true;
+        /**
+         * Resolves a conflict by keeping this device's version
+         * The local edit is re-based on the remote version and pushed.
+         */
+        async resolveConflictKeepMine(id) {
+          const conflict = this.conflicts.find((c) => c.id === id);
+          if (!conflict) return;
 
-            // Validate email
-            const emailValidation = Validator.validateEmail(email);
-            if (!emailValidation.valid) {
-              ErrorHandler.showFieldError("loginEmail", emailValidation.error);
-              return;
-            }
+          this.markSynced(id, conflict.remote, conflict.remoteVersion);
+          this.conflicts = this.conflicts.filter((c) => c.id !== id);
+          await this.save();
+        },
 
-            // Validate password
-            if (!password) {
-              ErrorHandler.showFieldError(
-                "loginPassword",
-                "Password is required"
-              );
-              return;
-            }
+        /**
+         * Resolves a conflict by taking the other device's version
+         */
+        async resolveConflictKeepTheirs(id) {
+          const conflict = this.conflicts.find((c) => c.id === id);
+          if (!conflict) return;
 
-            UI.showLoading();
-            try {
-              // Firebase sign-in
-              await AppStorage.signIn(emailValidation.value, password, remember);
-            } finally {
-              UI.hideLoading();
-            }
+          this.applyRemoteTask(id, conflict.remote);
+          this.markSynced(id, conflict.remote, conflict.remoteVersion);
+          this.conflicts = this.conflicts.filter((c) => c.id !== id);
+          await this.save();
+        },
+
+        /**
+         * SYNC STATE
+         * Summarizes sync for the header indicator
+         * Returns { state, pending } where state is one of local, offline,
+         * syncing, conflict, error, pending or synced
+         */
+        getSyncState() {
+          if (!this.firebaseEnabled || !this.userData.uid) {
+            return {
+              state: navigator.onLine ? "local" : "offline",
+              pending: 0,
+            };
+          }
+
+          const metaChanged =
+            Utils.stableStringify(this.buildMetaPayload()) !== this.syncedMeta;
+          const pending =
+            Object.keys(this.collectTaskChanges()).length +
+            Object.keys(this.collectWeekChanges()).length +
+            (metaChanged ? 1 : 0);
+
+          let state = "synced";
+          if (!navigator.onLine) state = "offline";
+          else if (this.conflicts.length > 0) state = "conflict";
+          else if (this.syncInProgress) state = "syncing";
+          else if (this.syncError) state = "error";
+          else if (pending > 0) state = "pending";
+
+          return { state, pending };
+        },
+
+        /**
+         * Re-syncs when the browser comes back online
+         * Both directions refresh the sync indicator (guests included)
+         */
+        bindConnectivityListener() {
+          window.addEventListener("online", () => {
+            UI.updateSyncStatus();
+            if (!this.firebaseEnabled || !this.userData.uid) return;
+
+            ErrorHandler.handle(async () => {
+              await this.reconcile();
+              UI.refresh();
+            });
+          });
+
+          window.addEventListener("offline", () => {
+            UI.updateSyncStatus();
+          });
+        },
+
+        /**
+         * Reads the plan a guest left in IndexedDB
+         * Returns null when there is nothing worth importing
+         */
+        async readGuestPlan() {
+          try {
+            const plan = await LocalStore.get(
+              "plans",
+              CONFIG.GUEST_STORAGE_KEY
+            );
+            return plan && Array.isArray(plan.tasks) && plan.tasks.length > 0
+              ? plan
+              : null;
+          } catch (error) {
+            console.warn("[Storage] Guest plan unavailable:", error.message);
+            return null;
+          }
+        },
+
+        /**
+         * Checks whether the account already has an equivalent task
+         * Duplicate = same title, date and duration
+         */
+        isDuplicateTask(task) {
+          return this.studyData.tasks.some(
+            (t) =>
+              t.title === task.title &&
+              t.date === task.date &&
+              t.duration === task.duration
+          );
+        },
+
+        /**
+         * Previews combining a guest plan with the signed-in account
+         * Returns: { toAdd, duplicates, accountTaskCount, guestLimit,
+         *            accountLimit, overLimitDates }
+         */
+        previewGuestMerge(guestPlan, useGuestLimit) {
+          const guestTasks = this.normalizeTasks(guestPlan.tasks);
+          const toAdd = guestTasks.filter(
+            (task) => !this.isDuplicateTask(task)
+          );
+          const guestLimit = Number.isFinite(guestPlan.dailyLimit)
+            ? guestPlan.dailyLimit
+            : CONFIG.DEFAULT_DAILY_LIMIT;
+          const defaultLimit = useGuestLimit
+            ? guestLimit
+            : this.studyData.dailyLimit;
+
+          // Days whose combined total would exceed their limit
+          const totals = {};
+          [...this.studyData.tasks, ...toAdd].forEach((task) => {
+            totals[task.date] = (totals[task.date] || 0) + task.duration;
+          });
+          const overLimitDates = Object.keys(totals)
+            .filter(
+              (dateKey) =>
+                totals[dateKey] > TaskManager.getDayLimit(dateKey, defaultLimit)
+            )
+            .sort();
+
+          return {
+            toAdd,
+            duplicates: guestTasks.length - toAdd.length,
+            accountTaskCount: this.studyData.tasks.length,
+            guestLimit,
+            accountLimit: this.studyData.dailyLimit,
+            overLimitDates,
+          };
+        },
+
+        /**
+         * Adds a guest plan's tasks (with repeat series and goals) to the
+         * account
+         * Duplicates are skipped; the guest copy is removed afterwards.
+         */
+        async mergeGuestPlan(guestPlan, useGuestLimit) {
+          const preview = this.previewGuestMerge(guestPlan, useGuestLimit);
+          const existingIds = new Set(this.studyData.tasks.map((t) => t.id));
+          const subjectIds = this.mergeSubjects(guestPlan.subjects || []);
+          const withSubject = (item) =>
+            item.subjectId
+              ? { ...item, subjectId: subjectIds[item.subjectId] || null }
+              : { ...item };
+
+          // Guest tasks whose ID is taken get a new one; links between
+          // guest tasks (parts, reschedule chains) follow the new IDs
+          const taskIds = {};
+          const copies = preview.toAdd.map((task) => {
+            const copy = withSubject(task);
+            if (existingIds.has(copy.id)) {
+              taskIds[copy.id] = IDGenerator.generate();
+              copy.id = taskIds[copy.id];
+            }
+            return copy;
+          });
+          copies.forEach((copy) => {
+            PlanTransfer.LINK_FIELDS.forEach((field) => {
+              if (taskIds[copy[field]]) {
+                copy[field] = taskIds[copy[field]];
+              }
+            });
+          });
+          this.studyData.tasks.push(...copies);
+
+          (guestPlan.series || []).forEach((series) => {
+            if (!this.studyData.series.some((s) => s.id === series.id)) {
+              this.studyData.series.push(withSubject(series));
+            }
+          });
+
+          (guestPlan.goals || []).forEach((goal) => {
+            if (!this.studyData.goals.some((g) => g.id === goal.id)) {
+              this.studyData.goals.push(withSubject(goal));
+            }
+          });
+
+          // Guest weeks the account has no record of
+          // Records follow renamed tasks; skipped duplicates are dropped
+          // (the account's own copy counts instead)
+          const addedIds = new Set(preview.toAdd.map((t) => t.id));
+          const skippedIds = new Set(
+            (guestPlan.tasks || [])
+              .filter((t) => !addedIds.has(t.id))
+              .map((t) => t.id)
+          );
+          (guestPlan.weekHistory || []).forEach((week) => {
+            if (
+              this.studyData.weekHistory.some(
+                (w) => w.weekStart === week.weekStart
+              )
+            ) {
+              return;
+            }
+
+            const subjects = {};
+            Object.entries(week.subjects || {}).forEach(([id, minutes]) => {
+              const key = subjectIds[id] || "none";
+              subjects[key] = (subjects[key] || 0) + minutes;
+            });
+
+            const merged = { ...week, subjects };
+            if (week.records) {
+              merged.records = {};
+              Object.entries(week.records).forEach(([taskId, record]) => {
+                if (skippedIds.has(taskId)) return;
+                merged.records[taskIds[taskId] || taskId] = withSubject(record);
+              });
+            }
+            this.studyData.weekHistory.push(merged);
+          });
+
+          if (useGuestLimit) {
+            this.studyData.dailyLimit = preview.guestLimit;
+          }
+
+          await this.save();
+          await this.discardGuestPlan();
+          return preview.toAdd.length;
+        },
+
+        /**
+         * Adds subjects from another plan, reusing ones with the same name
+         * Returns: map of incoming subject ID → subject ID in this plan
+         */
+        mergeSubjects(subjects) {
+          const idMap = {};
+
+          subjects.forEach((subject) => {
+            const existing = this.studyData.subjects.find(
+              (s) => s.name.toLowerCase() === subject.name.toLowerCase()
+            );
+
+            if (existing) {
+              idMap[subject.id] = existing.id;
+            } else if (this.studyData.subjects.length < CONFIG.MAX_SUBJECTS) {
+              this.studyData.subjects.push({ ...subject });
+              idMap[subject.id] = subject.id;
+            }
+          });
+
+          return idMap;
+        },
+
+        /**
+         * Removes the guest plan from IndexedDB
+         */
+        async discardGuestPlan() {
+          try {
+            await LocalStore.delete("plans", CONFIG.GUEST_STORAGE_KEY);
+          } catch (error) {
+            console.warn("[Storage] Guest plan not removed:", error.message);
+          }
+        },
+
+        /**
+         * Upgrades tasks saved by older versions
+         * - Legacy tasks only carry a weekday name, so they are pinned
+         *   to that weekday in the current week.
+         * - "RESCHEDULED: " title prefixes become a reschedule count.
+         */
+        normalizeTasks(tasks) {
+          const weekStart = Utils.getWeekStart(Utils.getTodayKey());
+
+          return tasks.map((task) => {
+            const { title, count } = Utils.stripReschedulePrefix(task.title);
+            if (count > 0) {
+              task = {
+                ...task,
+                title,
+                rescheduleCount: (task.rescheduleCount || 0) + count,
+              };
+            }
+
+            if (task.date || !task.day) return task;
+
+            const { day, ...rest } = task;
+            const dayIndex = Math.max(Utils.getDayIndex(day), 0);
+            return { ...rest, date: Utils.addDays(weekStart, dayIndex) };
+          });
+        },
+
+        /**
+         * Reset all data (local only)
+         */
+        reset() {
+          this.studyData = {
+            tasks: [],
+            series: [],
+            subjects: [],
+            goals: [],
+            weekHistory: [],
+            dailyLimit: CONFIG.DEFAULT_DAILY_LIMIT,
+            settings: { ...CONFIG.DEFAULT_SETTINGS },
+            currentSelectedDay: "",
+            currentEditTaskId: "",
+            currentWeekStart: Utils.getWeekStart(Utils.getTodayKey()),
+          };
+          IDGenerator.reset();
+          console.log("[Storage] Data reset");
+        },
+
+        /**
+         * Create account with Firebase Auth
+         */
+        async signUp(email, password) {
+          if (!this.firebaseEnabled || !this.auth) {
+            throw new Error(
+              "Firebase is not configured. Please add Firebase settings."
+            );
+          }
+
+          const credential = await this.auth.createUserWithEmailAndPassword(
+            email,
+            password
+          );
+
+          if (!credential.user) {
+            throw new Error("Signup failed. Please try again.");
+          }
+
+          // The auth listener creates the account document on first load
+          // (and offers to import a guest plan) - saving here would
+          // overwrite it with an empty plan.
+          this.setUserFromAuth(credential.user);
+
+          return credential.user;
+        },
+
+        /**
+         * Sign in with Firebase Auth
+         */
+        async signIn(email, password, remember = true) {
+          if (!this.firebaseEnabled || !this.auth) {
+            throw new Error(
+              "Firebase is not configured. Please add Firebase settings."
+            );
+          }
+
+          await this.setAuthPersistence(remember);
+
+          const credential = await this.auth.signInWithEmailAndPassword(
+            email,
+            password
+          );
+
+          if (!credential.user) {
+            throw new Error("Login failed. Please try again.");
+          }
+
+          this.setUserFromAuth(credential.user);
+
+          return credential.user;
+        },
+
+        /**
+         * Sign out from Firebase Auth
+         */
+        async signOut() {
+          if (!this.firebaseEnabled || !this.auth) {
+            this.reset();
+            this.setUser("Guest");
+            return true;
+          }
+
+          this.stopRealtimeSync();
+          await this.auth.signOut();
+          return true;
+        },
+
+        /**
+         * Bind auth state changes to UI
+         */
+        bindAuthListener() {
+          if (!this.firebaseEnabled || !this.auth) return;
+
+          this.auth.onAuthStateChanged((user) => {
+            ErrorHandler.handle(async () => {
+              if (user) {
+                this.setUserFromAuth(user);
+                await this.load();
+
+                const displayName = document.getElementById("displayUsername");
+                if (displayName) {
+                  displayName.textContent = this.userData.username;
+                }
+
+                UI.updateSettingsForm();
+                UI.showView("timetable");
+                await TaskManager.checkDeadlines();
+                UI.refresh();
+
+                // Offer to bring over tasks planned in guest mode
+                const guestPlan = await this.readGuestPlan();
+                if (guestPlan) {
+                  UI.showGuestImport(guestPlan);
+                }
+              } else {
+                this.stopRealtimeSync();
+                this.reset();
+                this.setUser("Guest");
+                UI.showView("login");
+              }
+            });
+          });
+        },
+      };
+
+      // ============================================
+      // 8. TASK MANAGER (Business Logic)
+      // ============================================
+      const TaskManager = {
+        deadlineTimer: null,
+
+        /**
+         * Adds a new task with validation
+         * Algorithm: Validate → Create → Auto-balance → Save
+         * A status other than not completed is logged via setStatus
+         * Options: recurrence (creates a repeating series instead), dueAt,
+         *          startTime, priority, subjectId, reminderMinutes, minChunk
+         */
+        async addTask(title, duration, date, status, options = {}) {
+          // Tasks start not completed; any other status then moves
+          // through the state machine like a later status change
+          if (
+            status !== CONFIG.STATUS.NOT_COMPLETED &&
+            !this.canTransition(CONFIG.STATUS.NOT_COMPLETED, status)
+          ) {
+            throw new Error("Invalid status");
+          }
+
+          if (options.recurrence) {
+            if (options.dueAt) {
+              throw new Error("Deadlines can only be set on one-off tasks");
+            }
+            if (options.minChunk) {
+              throw new Error("Only one-off tasks can be split");
+            }
+            return this.addRecurringTask(
+              title,
+              duration,
+              date,
+              status,
+              options.recurrence,
+              options
+            );
+          }
+
+          // Validate inputs
+          const titleValidation = Validator.validateTaskTitle(title);
+          if (!titleValidation.valid) {
+            throw new Error(titleValidation.error);
+          }
+
+          const durationValidation = Validator.validateDuration(duration);
+          if (!durationValidation.valid) {
+            throw new Error(durationValidation.error);
+          }
+
+          const dateValidation = Validator.validateDate(date);
+          if (!dateValidation.valid) {
+            throw new Error(dateValidation.error);
+          }
+
+          const deadlineValidation = Validator.validateDeadline(options.dueAt);
+          if (!deadlineValidation.valid) {
+            throw new Error(deadlineValidation.error);
+          }
+
+          const startTimeValidation = Validator.validateStartTime(
+            options.startTime,
+            durationValidation.value
+          );
+          if (!startTimeValidation.valid) {
+            throw new Error(startTimeValidation.error);
+          }
+
+          const priorityValidation = Validator.validatePriority(
+            options.priority
+          );
+          if (!priorityValidation.valid) {
+            throw new Error(priorityValidation.error);
+          }
+
+          const reminderValidation = Validator.validateReminder(
+            options.reminderMinutes
+          );
+          if (!reminderValidation.valid) {
+            throw new Error(reminderValidation.error);
+          }
+
+          const minChunkValidation = Validator.validateMinChunk(
+            options.minChunk
+          );
+          if (!minChunkValidation.valid) {
+            throw new Error(minChunkValidation.error);
+          }
+
+          const subjectId = this.resolveSubjectId(options.subjectId);
+
+          // Create task object
+          const task = {
+            id: IDGenerator.generate(),
+            title: titleValidation.value,
+            duration: durationValidation.value,
+            date: dateValidation.value,
+            status: CONFIG.STATUS.NOT_COMPLETED,
+            priority: priorityValidation.value,
+            addedDate: new Date().toISOString(),
+          };
+          if (status !== task.status) {
+            this.setStatus(task, status, "you");
+          }
+
+          if (subjectId) {
+            task.subjectId = subjectId;
+          }
+
+          if (deadlineValidation.value) {
+            task.dueAt = deadlineValidation.value;
+          }
+
+          if (startTimeValidation.value) {
+            task.startTime = startTimeValidation.value;
+          }
+
+          if (reminderValidation.value !== null) {
+            task.reminderMinutes = reminderValidation.value;
+          }
+
+          if (minChunkValidation.value !== null) {
+            task.minChunk = minChunkValidation.value;
+          }
+
+          // Add to storage
+          AppStorage.studyData.tasks.push(task);
+
+          // A close deadline makes the task approaching straight away
+          this.evaluateDeadlines();
+
+          // Auto-balance if needed
+          this.autoBalance(task.date);
+
+          if (task.status === CONFIG.STATUS.MISSED) {
+            this.rescheduleTask(task);
+          }
+
+          await AppStorage.save();
+          return task;
+        },
+
+        /**
+         * Deletes a task by ID
+         */
+        async deleteTask(taskId) {
+          const index = AppStorage.studyData.tasks.findIndex(
+            (t) => t.id === taskId
+          );
+          if (index > -1) {
+            const [task] = AppStorage.studyData.tasks.splice(index, 1);
+
+            // Remember deleted occurrences so they are not generated again
+            if (task.seriesId) {
+              this.addSeriesException(task.seriesId, task.occurrenceDate);
+            }
+
+            await AppStorage.save();
+            return true;
+          }
+          return false;
+        },
+
+        /**
+         * STATUS STATE MACHINE
+         * Checks a change against CONFIG.STATUS_TRANSITIONS
+         */
+        canTransition(from, to) {
+          return (CONFIG.STATUS_TRANSITIONS[from] || []).includes(to);
+        },
+
+        /**
+         * Changes a task's status and records it in the task's log
+         * source: who made the change ("you", "deadline", "focus timer")
+         * Throws when the state machine does not allow the change
+         */
+        setStatus(task, newStatus, source) {
+          if (!this.canTransition(task.status, newStatus)) {
+            const label = (status) => status.replace("-", " ");
+            throw new Error(
+              `A ${label(task.status)} task cannot be marked ${label(
+                newStatus
+              )}`
+            );
+          }
+
+          task.statusLog = [
+            ...(task.statusLog || []),
+            {
+              from: task.status,
+              to: newStatus,
+              at: new Date().toISOString(),
+              source,
+            },
+          ].slice(-CONFIG.MAX_STATUS_LOG);
+          task.status = newStatus;
+        },
+
+        /**
+         * Updates task status with validation
+         * Missed tasks are rescheduled automatically
+         */
+        async updateStatus(taskId, newStatus) {
+          const task = AppStorage.studyData.tasks.find((t) => t.id === taskId);
+          if (!task) {
+            throw new Error("Task not found");
+          }
+          if (task.status === newStatus) return false;
+
+          this.setStatus(task, newStatus, "you");
+          this.updateLinkedParts(task);
+
+          // Auto-reschedule if missed
+          if (newStatus === CONFIG.STATUS.MISSED) {
+            this.rescheduleTask(task);
+          }
+
+          await AppStorage.save();
+          return true;
+        },
+
+        /**
+         * Edits a task in place (keeps its ID, addedDate and status)
+         * Algorithm: Merge changes → Validate all fields → Apply →
+         *            Re-check deadline → Re-balance if time or day changed
+         * Changes: title, duration, date, startTime, dueAt, priority,
+         *          subjectId, reminderMinutes, minChunk (missing fields keep
+         *          their current value)
+         */
+        async updateTask(taskId, changes) {
+          const task = AppStorage.studyData.tasks.find((t) => t.id === taskId);
+          if (!task) {
+            throw new Error("Task not found");
+          }
+
+          const fields = {
+            title: Utils.unescapeHtml(task.title),
+            duration: task.duration,
+            date: task.date,
+            startTime: task.startTime || "",
+            dueAt: task.dueAt || "",
+            priority: this.getPriority(task),
+            subjectId: task.subjectId || "",
+            reminderMinutes:
+              task.reminderMinutes === undefined ? "" : task.reminderMinutes,
+            minChunk: task.minChunk || "",
+            ...changes,
+          };
+
+          const titleValidation = Validator.validateTaskTitle(fields.title);
+          if (!titleValidation.valid) {
+            throw new Error(titleValidation.error);
+          }
+
+          const durationValidation = Validator.validateDuration(
+            fields.duration
+          );
+          if (!durationValidation.valid) {
+            throw new Error(durationValidation.error);
+          }
+
+          const dateValidation = Validator.validateDate(fields.date);
+          if (!dateValidation.valid) {
+            throw new Error(dateValidation.error);
+          }
+
+          // An unchanged past deadline is history, not a new mistake
+          const deadlineValidation = Validator.validateDeadline(
+            fields.dueAt,
+            fields.dueAt === task.dueAt
+          );
+          if (!deadlineValidation.valid) {
+            throw new Error(deadlineValidation.error);
+          }
+          if (deadlineValidation.value && task.seriesId) {
+            throw new Error("Deadlines can only be set on one-off tasks");
+          }
+
+          const startTimeValidation = Validator.validateStartTime(
+            fields.startTime,
+            durationValidation.value
+          );
+          if (!startTimeValidation.valid) {
+            throw new Error(startTimeValidation.error);
+          }
+
+          const priorityValidation = Validator.validatePriority(
+            fields.priority
+          );
+          if (!priorityValidation.valid) {
+            throw new Error(priorityValidation.error);
+          }
+
+          const reminderValidation = Validator.validateReminder(
+            fields.reminderMinutes
+          );
+          if (!reminderValidation.valid) {
+            throw new Error(reminderValidation.error);
+          }
+
+          const minChunkValidation = Validator.validateMinChunk(
+            fields.minChunk
+          );
+          if (!minChunkValidation.valid) {
+            throw new Error(minChunkValidation.error);
+          }
+          if (minChunkValidation.value && task.seriesId) {
+            throw new Error("Only one-off tasks can be split");
+          }
+
+          if (task.subtasks && durationValidation.value !== task.duration) {
+            throw new Error(
+              "This task's minutes are the total of its steps - edit the steps instead"
+            );
+          }
+
+          const subjectId = this.resolveSubjectId(fields.subjectId);
+
+          const needsBalance =
+            durationValidation.value !== task.duration ||
+            dateValidation.value !== task.date;
+          const previousDate = task.date;
+
+          // Occurrences edited by hand stop following later series edits
+          if (
+            task.seriesId &&
+            (titleValidation.value !== task.title ||
+              durationValidation.value !== task.duration)
+          ) {
+            task.detached = true;
+          }
+
+          task.title = titleValidation.value;
+          task.duration = durationValidation.value;
+          task.date = dateValidation.value;
+          task.priority = priorityValidation.value;
+
+          [
+            "dueAt",
+            "startTime",
+            "subjectId",
+            "reminderMinutes",
+            "minChunk",
+          ].forEach((key) => delete task[key]);
+          if (reminderValidation.value !== null) {
+            task.reminderMinutes = reminderValidation.value;
+          }
+          if (minChunkValidation.value !== null) {
+            task.minChunk = minChunkValidation.value;
+          }
+          if (deadlineValidation.value) {
+            task.dueAt = deadlineValidation.value;
+          }
+          if (startTimeValidation.value) {
+            task.startTime = startTimeValidation.value;
+          }
+          if (subjectId) {
+            task.subjectId = subjectId;
+          }
+
+          this.evaluateDeadlines();
+
+          // A moved task is balanced on both its old and new day
+          if (needsBalance) {
+            this.balanceDays([previousDate, task.date]);
+          }
+
+          await AppStorage.save();
+          return task;
+        },
+
+        /**
+         * Records a focus session against a task
+         * Completes the task when asked, or automatically once actual
+         * time reaches the planned duration (focusAutoComplete setting)
+         */
+        async logFocusTime(taskId, minutes, interruptions, complete = false) {
+          const task = AppStorage.studyData.tasks.find((t) => t.id === taskId);
+          if (!task) {
+            throw new Error("Task not found");
+          }
+
+          task.actualMinutes = (task.actualMinutes || 0) + minutes;
+          task.interruptions = (task.interruptions || 0) + interruptions;
+
+          const reachedPlan =
+            AppStorage.studyData.settings.focusAutoComplete &&
+            task.actualMinutes >= task.duration;
+          if (
+            (complete || reachedPlan) &&
+            task.status !== CONFIG.STATUS.MISSED &&
+            task.status !== CONFIG.STATUS.COMPLETED
+          ) {
+            this.setStatus(task, CONFIG.STATUS.COMPLETED, "focus timer");
+            this.updateLinkedParts(task);
+          }
+
+          await AppStorage.save();
+          return task;
+        },
+
+        /**
+         * SUBTASKS
+         * Planned minutes of a task: the total of its steps when it has
+         * any, otherwise its own duration
+         */
+        getPlannedMinutes(task) {
+          if (!task.subtasks) return task.duration;
+          return task.subtasks.reduce((sum, step) => sum + step.duration, 0);
+        },
+
+        /**
+         * Checklist progress of a task (null when it has no steps)
+         * Returns { done, total, doneMinutes, totalMinutes }
+         */
+        getSubtaskProgress(task) {
+          if (!task.subtasks) return null;
+
+          const doneSteps = task.subtasks.filter((step) => step.done);
+          return {
+            done: doneSteps.length,
+            total: task.subtasks.length,
+            doneMinutes: doneSteps.reduce(
+              (sum, step) => sum + step.duration,
+              0
+            ),
+            totalMinutes: this.getPlannedMinutes(task),
+          };
+        },
+
+        /**
+         * Replaces a task's steps and rolls their minutes up into its
+         * duration (removing the last step keeps the duration as is)
+         * Throws when the steps no longer fit the task's limits
+         */
+        applySubtasks(task, subtasks) {
+          if (subtasks.length === 0) {
+            delete task.subtasks;
+            return;
+          }
+
+          const total = subtasks.reduce((sum, step) => sum + step.duration, 0);
+          if (total > CONFIG.MAX_TASK_DURATION) {
+            throw new Error(
+              `Steps cannot add up to more than ${CONFIG.MAX_TASK_DURATION} minutes`
+            );
+          }
+
+          const startTimeValidation = Validator.validateStartTime(
+            task.startTime,
+            total
+          );
+          if (!startTimeValidation.valid) {
+            throw new Error(startTimeValidation.error);
+          }
+
+          task.subtasks = subtasks;
+          task.duration = total;
+
+          // Occurrences with their own steps stop following series edits
+          if (task.seriesId) {
+            task.detached = true;
+          }
+        },
+
+        /**
+         * Completes a task once every step is ticked, and reopens it when
+         * a step of a completed task is unticked
+         */
+        updateChecklistStatus(task) {
+          if (!task.subtasks || task.status === CONFIG.STATUS.MISSED) return;
+
+          const allDone = task.subtasks.every((step) => step.done);
+          if (allDone && task.status !== CONFIG.STATUS.COMPLETED) {
+            this.setStatus(task, CONFIG.STATUS.COMPLETED, "checklist");
+          } else if (!allDone && task.status === CONFIG.STATUS.COMPLETED) {
+            this.setStatus(task, CONFIG.STATUS.NOT_COMPLETED, "checklist");
+          }
+        },
+
+        /**
+         * Finds a task whose steps may be restructured
+         * Completed and missed tasks keep their steps as they are
+         */
+        getEditableTask(taskId) {
+          const task = AppStorage.studyData.tasks.find((t) => t.id === taskId);
+          if (!task) {
+            throw new Error("Task not found");
+          }
+
+          if (!this.canMove(task)) {
+            throw new Error(
+              "Steps of completed and missed tasks cannot change"
+            );
+          }
+
+          return task;
+        },
+
+        /**
+         * The open "Unassigned time" step holding planned minutes no
+         * other step covers yet (null when there is none)
+         */
+        getRemainderStep(task) {
+          return (
+            (task.subtasks || []).find((s) => s.remainder && !s.done) || null
+          );
+        },
+
+        /**
+         * Builds the step that keeps a task's planned minutes while its
+         * steps do not cover them
+         */
+        createRemainderStep(minutes) {
+          return {
+            id: IDGenerator.generate("subtask"),
+            title: "Unassigned time",
+            duration: minutes,
+            done: false,
+            remainder: true,
+          };
+        },
+
+        /**
+         * Appends a step to a task, then balances its day
+         * The task keeps its planned minutes: a step is carved out of
+         * the "Unassigned time" step (created with the first step) and
+         * the task only grows once the steps need more time
+         */
+        async addSubtask(taskId, title, duration) {
+          const task = this.getEditableTask(taskId);
+          const subtasks = task.subtasks || [];
+
+          if (subtasks.length >= CONFIG.MAX_SUBTASKS) {
+            throw new Error(
+              `A task can have at most ${CONFIG.MAX_SUBTASKS} steps`
+            );
+          }
+
+          const titleValidation = Validator.validateTaskTitle(title);
+          if (!titleValidation.valid) {
+            throw new Error(titleValidation.error);
+          }
+
+          const durationValidation = Validator.validateDuration(duration);
+          if (!durationValidation.valid) {
+            throw new Error(durationValidation.error);
+          }
+
+          const step = {
+            id: IDGenerator.generate("subtask"),
+            title: titleValidation.value,
+            duration: durationValidation.value,
+            done: false,
+          };
+
+          let steps;
+          if (!task.subtasks) {
+            steps =
+              task.duration > step.duration
+                ? [
+                    step,
+                    this.createRemainderStep(task.duration - step.duration),
+                  ]
+                : [step];
+          } else {
+            const remainder = this.getRemainderStep(task);
+            steps = subtasks.filter((s) => s !== remainder);
+            steps.push(step);
+            if (remainder && remainder.duration > step.duration) {
+              steps.push({
+                ...remainder,
+                duration: remainder.duration - step.duration,
+              });
+            }
+          }
+
+          if (steps.length > CONFIG.MAX_SUBTASKS) {
+            throw new Error(
+              `A task can have at most ${CONFIG.MAX_SUBTASKS} steps`
+            );
+          }
+
+          this.applySubtasks(task, steps);
+
+          this.autoBalance(task.date);
+          await AppStorage.save();
+          return task;
+        },
+
+        /**
+         * Ticks or unticks a step (missed tasks stay as they are)
+         */
+        async toggleSubtask(taskId, subtaskId) {
+          const task = AppStorage.studyData.tasks.find((t) => t.id === taskId);
+          const step =
+            task && (task.subtasks || []).find((s) => s.id === subtaskId);
+          if (!step) {
+            throw new Error("Step not found");
+          }
+
+          if (task.status === CONFIG.STATUS.MISSED) {
+            throw new Error("Steps of a missed task cannot be ticked");
+          }
+
+          step.done = !step.done;
+          this.updateChecklistStatus(task);
+
+          await AppStorage.save();
+          return task;
+        },
+
+        /**
+         * Removes a step from a task
+         * Its minutes go back to "Unassigned time", so the task keeps its
+         * planned duration; removing "Unassigned time" itself shortens
+         * the task. A checklist left with only that step is dropped.
+         */
+        async removeSubtask(taskId, subtaskId) {
+          const task = this.getEditableTask(taskId);
+          const removed = (task.subtasks || []).find((s) => s.id === subtaskId);
+          if (!removed) {
+            throw new Error("Step not found");
+          }
+
+          let subtasks = task.subtasks.filter((s) => s !== removed);
+          if (!removed.remainder) {
+            const remainder = this.getRemainderStep(task);
+            subtasks = subtasks.filter((s) => s !== remainder);
+            subtasks.push(
+              remainder
+                ? {
+                    ...remainder,
+                    duration: remainder.duration + removed.duration,
+                  }
+                : this.createRemainderStep(removed.duration)
+            );
+          }
+          if (subtasks.every((s) => s.remainder)) {
+            subtasks = [];
+          }
+
+          this.applySubtasks(task, subtasks);
+          this.updateChecklistStatus(task);
+
+          await AppStorage.save();
+          return task;
+        },
+
+        /**
+         * Moves a step up (offset -1) or down (offset 1) in the list
+         */
+        async moveSubtask(taskId, subtaskId, offset) {
+          const task = this.getEditableTask(taskId);
+          const subtasks = [...(task.subtasks || [])];
+          const index = subtasks.findIndex((s) => s.id === subtaskId);
+          const target = index + offset;
+
+          if (index < 0 || target < 0 || target >= subtasks.length) {
+            return task;
+          }
+
+          [subtasks[index], subtasks[target]] = [
+            subtasks[target],
+            subtasks[index],
+          ];
+          task.subtasks = subtasks;
+
+          await AppStorage.save();
+          return task;
+        },
+
+        /**
+         * Moves a task's trailing unfinished steps to another day
+         * Steps move from the end until `minutes` are freed; at least one
+         * step stays behind. The moved steps become a new task that links
+         * back through `continuedFrom`; a task left with only finished
+         * steps is completed.
+         * Returns: the new task, or null when no step can move
+         */
+        splitSubtasks(task, minutes, targetDay) {
+          const steps = task.subtasks || [];
+          const moving = new Set();
+          let freed = 0;
+
+          for (let i = steps.length - 1; i >= 0 && freed < minutes; i--) {
+            if (steps[i].done || moving.size === steps.length - 1) continue;
+            moving.add(steps[i]);
+            freed += steps[i].duration;
+          }
+          if (moving.size === 0) return null;
+
+          this.applySubtasks(
+            task,
+            steps.filter((step) => !moving.has(step))
+          );
+          // Only finished steps may be left behind
+          this.updateChecklistStatus(task);
+
+          const continuation = {
+            id: IDGenerator.generate(),
+            title: task.title,
+            duration: freed,
+            date: targetDay,
+            status: CONFIG.STATUS.NOT_COMPLETED,
+            priority: this.getPriority(task),
+            addedDate: new Date().toISOString(),
+            subtasks: steps.filter((step) => moving.has(step)),
+            continuedFrom: task.id,
+          };
+          ["subjectId", "dueAt", "reminderMinutes"].forEach((key) => {
+            if (task[key] !== undefined) continuation[key] = task[key];
+          });
+
+          AppStorage.studyData.tasks.push(continuation);
+          return continuation;
+        },
+
+        /**
+         * SPLITTABLE TASKS
+         * Breaks a task into linked parts so `minutes` move to another day
+         * At least `minChunk` minutes move and at least `minChunk` stay;
+         * an existing part on the target day absorbs the minutes instead
+         * of a new part. Every part shares `partOf` (the first part's ID).
+         * Returns: the part that received the minutes, or null
+         */
+        splitTask(task, minutes, targetDay) {
+          if (!task.minChunk || task.subtasks) return null;
+
+          const moving = Math.max(minutes, task.minChunk);
+          if (task.duration - moving < task.minChunk) return null;
+
+          const groupId = task.partOf || task.id;
+          task.partOf = groupId;
+          task.duration -= moving;
+
+          const existing = AppStorage.studyData.tasks.find(
+            (t) =>
+              t.partOf === groupId &&
+              t.date === targetDay &&
+              t.status === CONFIG.STATUS.NOT_COMPLETED &&
+              t.duration + moving <= CONFIG.MAX_TASK_DURATION
+          );
+          if (existing) {
+            existing.duration += moving;
+            return existing;
+          }
+
+          const part = {
+            id: IDGenerator.generate(),
+            title: task.title,
+            duration: moving,
+            date: targetDay,
+            status: CONFIG.STATUS.NOT_COMPLETED,
+            priority: this.getPriority(task),
+            addedDate: new Date().toISOString(),
+            minChunk: task.minChunk,
+            partOf: groupId,
+          };
+          ["subjectId", "dueAt", "reminderMinutes"].forEach((key) => {
+            if (task[key] !== undefined) part[key] = task[key];
+          });
+
+          AppStorage.studyData.tasks.push(part);
+          return part;
+        },
+
+        /**
+         * All parts of a split task in schedule order (empty when the
+         * task was never split)
+         */
+        getParts(task) {
+          if (!task.partOf) return [];
+
+          const tasks = AppStorage.studyData.tasks;
+          return tasks
+            .filter((t) => t.partOf === task.partOf)
+            .sort(
+              (a, b) =>
+                a.date.localeCompare(b.date) ||
+                (a.startTime || "").localeCompare(b.startTime || "") ||
+                tasks.indexOf(a) - tasks.indexOf(b)
+            );
+        },
+
+        /**
+         * "Part 2/3" position of a split task (null when not split)
+         */
+        getPartLabel(task) {
+          const parts = this.getParts(task);
+          if (parts.length < 2) return null;
+
+          return `Part ${parts.indexOf(task) + 1}/${parts.length}`;
+        },
+
+        /**
+         * Parts of a split task are completed together: completing one
+         * completes the open parts, reopening one reopens the completed
+         * parts. Missed parts keep their own status.
+         */
+        updateLinkedParts(task) {
+          const { COMPLETED, NOT_COMPLETED, APPROACHING } = CONFIG.STATUS;
+
+          this.getParts(task).forEach((part) => {
+            if (part === task) return;
+
+            if (
+              task.status === COMPLETED &&
+              (part.status === NOT_COMPLETED || part.status === APPROACHING)
+            ) {
+              this.setStatus(part, COMPLETED, "linked part");
+            } else if (
+              task.status === NOT_COMPLETED &&
+              part.status === COMPLETED
+            ) {
+              this.setStatus(part, NOT_COMPLETED, "linked part");
+            }
+          });
+        },
+
+        /**
+         * Checks whether a task can be moved to another day
+         * Completed and missed tasks are history
+         */
+        canMove(task) {
+          return (
+            task.status !== CONFIG.STATUS.COMPLETED &&
+            task.status !== CONFIG.STATUS.MISSED
+          );
+        },
+
+        /**
+         * Moves a task to another date (drag and drop)
+         * Never past its deadline or a goal's target date (getLatestDay)
+         */
+        async moveTask(taskId, dateKey) {
+          const task = AppStorage.studyData.tasks.find((t) => t.id === taskId);
+          if (!task) {
+            throw new Error("Task not found");
+          }
+
+          if (!this.canMove(task)) {
+            throw new Error("Completed and missed tasks cannot be moved");
+          }
+
+          if (this.isPastLatestDay(task, dateKey)) {
+            throw new Error(
+              `This task must stay on or before ${Utils.formatDate(
+                this.getLatestDay(task)
+              )}`
+            );
+          }
+
+          if (task.date === dateKey) return task;
+          return this.updateTask(taskId, { date: dateKey });
+        },
+
+        /**
+         * Balances each of the given days once, earliest first
+         */
+        balanceDays(dateKeys) {
+          [...new Set(dateKeys)]
+            .sort()
+            .forEach((dateKey) => this.autoBalance(dateKey));
+        },
+
+        /**
+         * Tasks for a bulk action, in schedule order (unknown IDs are
+         * ignored: a selection can outlive a task deleted elsewhere)
+         */
+        getTasksByIds(taskIds) {
+          const ids = new Set(taskIds);
+          return AppStorage.studyData.tasks
+            .filter((t) => ids.has(t.id))
+            .sort((a, b) => a.date.localeCompare(b.date));
+        },
+
+        /**
+         * BULK ACTIONS
+         * Each applies every change in memory and saves once, so the
+         * whole selection is a single undo step
+         * Returns: { changed, skipped } (skipped = tasks the action does
+         * not apply to, e.g. a transition the state machine forbids)
+         */
+        async bulkUpdateStatus(taskIds, newStatus) {
+          if (!Object.values(CONFIG.STATUS).includes(newStatus)) {
+            throw new Error("Invalid status");
+          }
+
+          let changed = 0;
+          let skipped = 0;
+          const ids = this.getTasksByIds(taskIds).map((t) => t.id);
+          ids.forEach((id) => {
+            // Re-planning a goal after a miss can replace its other sessions
+            const task = AppStorage.studyData.tasks.find((t) => t.id === id);
+            if (!task) {
+              skipped++;
+              return;
+            }
+            if (task.status === newStatus) return;
+
+            // Linked parts may already have followed an earlier task
+            if (!this.canTransition(task.status, newStatus)) {
+              skipped++;
+              return;
+            }
+
+            this.setStatus(task, newStatus, "you");
+            this.updateLinkedParts(task);
+            if (newStatus === CONFIG.STATUS.MISSED) {
+              this.rescheduleTask(task);
+            }
+            changed++;
+          });
+
+          if (changed > 0) {
+            await AppStorage.save();
+          }
+          return { changed, skipped };
+        },
+
+        /**
+         * Moves tasks to one date, then balances the days they left and
+         * that date
+         * Completed and missed tasks and tasks whose latest day is
+         * before the date are skipped (see canMove, getLatestDay)
+         */
+        async bulkMove(taskIds, dateKey) {
+          const dateValidation = Validator.validateDate(dateKey);
+          if (!dateValidation.valid) {
+            throw new Error(dateValidation.error);
+          }
+
+          let changed = 0;
+          let skipped = 0;
+          const days = [dateValidation.value];
+          this.getTasksByIds(taskIds).forEach((task) => {
+            if (
+              !this.canMove(task) ||
+              this.isPastLatestDay(task, dateValidation.value)
+            ) {
+              skipped++;
+            } else if (task.date !== dateValidation.value) {
+              days.push(task.date);
+              task.date = dateValidation.value;
+              changed++;
+            }
+          });
+
+          if (changed > 0) {
+            this.balanceDays(days);
+            await AppStorage.save();
+          }
+          return { changed, skipped };
+        },
+
+        /**
+         * Deletes tasks (deleted occurrences are not generated again)
+         */
+        async bulkDelete(taskIds) {
+          const tasks = this.getTasksByIds(taskIds);
+          const ids = new Set(tasks.map((t) => t.id));
+
+          tasks.forEach((task) => {
+            if (task.seriesId) {
+              this.addSeriesException(task.seriesId, task.occurrenceDate);
+            }
+          });
+          AppStorage.studyData.tasks = AppStorage.studyData.tasks.filter(
+            (t) => !ids.has(t.id)
+          );
+
+          if (tasks.length > 0) {
+            await AppStorage.save();
+          }
+          return { changed: tasks.length, skipped: 0 };
+        },
+
+        /**
+         * Copies tasks onto their own day as fresh one-off tasks
+         * Progress, history and links (series, goal, parts) are not
+         * copied; checklist steps are copied unticked
+         * Returns: { changed, skipped, copies }
+         */
+        async bulkDuplicate(taskIds) {
+          const copies = this.getTasksByIds(taskIds).map((task) => {
+            const copy = {
+              id: IDGenerator.generate(),
+              title: task.title,
+              duration: task.duration,
+              date: task.date,
+              status: CONFIG.STATUS.NOT_COMPLETED,
+              priority: this.getPriority(task),
+              addedDate: new Date().toISOString(),
+            };
+            ["startTime", "subjectId", "reminderMinutes", "minChunk"].forEach(
+              (key) => {
+                if (task[key] !== undefined) copy[key] = task[key];
+              }
+            );
+            if (task.subtasks) {
+              this.applySubtasks(
+                copy,
+                task.subtasks.map((step) => ({
+                  id: IDGenerator.generate("subtask"),
+                  title: step.title,
+                  duration: step.duration,
+                  done: false,
+                }))
+              );
+            }
+            return copy;
+          });
+
+          if (copies.length > 0) {
+            AppStorage.studyData.tasks.push(...copies);
+            [...new Set(copies.map((t) => t.date))]
+              .sort()
+              .forEach((dateKey) => this.autoBalance(dateKey));
+            await AppStorage.save();
+          }
+          return { changed: copies.length, skipped: 0, copies };
+        },
+
+        /**
+         * AUTO-BALANCE ALGORITHM
+         * Redistributes tasks when a day's limit or the weekly cap is exceeded
+         *
+         * Algorithm:
+         * 1. Check the current day against its limit (see getDayLimit)
+         *    and its week against the weekly cap
+         * 2. Day over → move the lowest-priority, then smallest, fitting
+         *    not-completed task to the next day (Sunday spills into the
+         *    following Monday)
+         *    Week over → move the lowest-priority, then smallest,
+         *    not-completed task to the following week's Monday (any size
+         *    helps the week total)
+         *    Nothing fits whole → split a splittable task into linked
+         *    parts (splitTask) or move the unfinished steps of a task
+         *    with a checklist (splitSubtasks) to the next day
+         *    Work never moves past its latest day (getLatestDay)
+         * 3. Keep moving until the day fits, then continue on the target
+         * 4. Max 7 days visited to prevent infinite loop
+         * 5. Alert user if cannot fit all tasks
+         */
+        autoBalance(originalDate) {
+          let currentDay = originalDate;
+          let attemptCount = 0;
+
+          while (attemptCount < CONFIG.MAX_BALANCE_ATTEMPTS) {
+            const dayExcess =
+              this.calculateDayTime(currentDay) - this.getDayLimit(currentDay);
+            const weekExcess = this.getWeekExcess(currentDay);
+
+            // Check if under both limits
+            if (dayExcess <= 0 && weekExcess <= 0) {
+              break; // Success
+            }
+
+            // Calculate excess time and where the overflow goes
+            const excess = dayExcess > 0 ? dayExcess : weekExcess;
+            const targetDay =
+              dayExcess > 0
+                ? Utils.getNextDay(currentDay)
+                : Utils.addDays(Utils.getWeekStart(currentDay), 7);
+
+            // Get tasks for current day
+            const dayTasks = AppStorage.studyData.tasks.filter(
+              (t) => t.date === currentDay && t.status !== CONFIG.STATUS.MISSED
+            );
+
+            // Never past a deadline or onto a goal's target date
+            const canMove = (task) =>
+              task.status === CONFIG.STATUS.NOT_COMPLETED &&
+              !this.isPastLatestDay(task, targetDay);
+
+            // Most important first, largest first within a priority;
+            // the scan below runs from the end, so low-priority work moves
+            dayTasks.sort(
+              (a, b) => this.comparePriority(a, b) || b.duration - a.duration
+            );
+
+            // Try to move tasks
+            let movedAny = false;
+            for (let i = dayTasks.length - 1; i >= 0; i--) {
+              const task = dayTasks[i];
+              if (
+                canMove(task) &&
+                (task.duration <= excess || dayExcess <= 0)
+              ) {
+                task.date = targetDay;
+                movedAny = true;
+                break;
+              }
+            }
+
+            // No task fits whole: split one into parts or steps
+            if (!movedAny && dayExcess > 0) {
+              for (let i = dayTasks.length - 1; i >= 0; i--) {
+                const task = dayTasks[i];
+                if (
+                  canMove(task) &&
+                  (this.splitTask(task, excess, targetDay) ||
+                    this.splitSubtasks(task, excess, targetDay))
+                ) {
+                  movedAny = true;
+                  break;
+                }
+              }
+            }
+
+            // If no tasks could be moved, stop to prevent infinite loop
+            if (!movedAny) {
+              console.warn(
+                `[AutoBalance] Cannot redistribute tasks for ${currentDay}`
+              );
+              ErrorHandler.showUserError(
+                dayExcess > 0
+                  ? "⚠️ Unable to fit all tasks. Some days exceed daily limit. Try Optimize Week."
+                  : "⚠️ Unable to fit all tasks within your weekly cap. Try Optimize Week.",
+                "warning"
+              );
+              break;
+            }
+
+            // Rest days (limit 0) may need several moves before they fit
+            if (
+              this.calculateDayTime(currentDay) >
+                this.getDayLimit(currentDay) ||
+              this.getWeekExcess(currentDay) > 0
+            ) {
+              continue;
+            }
+
+            // Follow the moved work
+            currentDay = targetDay;
+            attemptCount++;
+          }
+
+          if (attemptCount >= CONFIG.MAX_BALANCE_ATTEMPTS) {
+            ErrorHandler.showUserError(
+              "Cannot balance schedule. Please review your tasks.",
+              "warning"
+            );
+          }
+        },
+
+        /**
+         * AUTO-RESCHEDULE ALGORITHM
+         * Creates a new attempt of a missed task on a day with room for it
+         * (goal sessions are handed to GoalPlanner instead)
+         *
+         * Algorithm:
+         * 1. Stop once the task has used its reschedules (Settings)
+         * 2. Start `rescheduleDaysAhead` days after the missed day
+         *    (never before today)
+         * 3. Take the first day with room under its limit and the
+         *    weekly cap, searching CONFIG.RESCHEDULE_SEARCH_DAYS ahead
+         * 4. No room anywhere → the start day, left to auto-balance
+         * 5. The copy links to its parent and to the first attempt and
+         *    keeps only the unfinished steps of a checklist
+         * Returns: the new task, or null when no retries are left
+         */
+        rescheduleTask(originalTask) {
+          // Goal sessions are re-planned around the goal's target date
+          if (GoalPlanner.getGoal(originalTask.goalId)) {
+            GoalPlanner.replanAfterMiss(originalTask);
+            return null;
+          }
+
+          const { rescheduleDaysAhead, maxReschedules } =
+            AppStorage.studyData.settings;
+          const attempt = (originalTask.rescheduleCount || 0) + 1;
+
+          if (attempt > maxReschedules) {
+            ErrorHandler.showUserError(
+              maxReschedules > 0
+                ? `"${Utils.unescapeHtml(
+                    originalTask.title
+                  )}" was missed ${attempt} times and will not be rescheduled again`
+                : `"${Utils.unescapeHtml(originalTask.title)}" was missed`,
+              "warning"
+            );
+            return null;
+          }
+
+          const today = Utils.getTodayKey();
+          const aheadDay = Utils.getDayAhead(
+            originalTask.date,
+            rescheduleDaysAhead
+          );
+          const startDay = aheadDay < today ? today : aheadDay;
+
+          // Only the unfinished steps of a checklist are tried again
+          const remaining = (originalTask.subtasks || [])
+            .filter((step) => !step.done)
+            .map((step) => ({ ...step }));
+          const duration =
+            remaining.length > 0
+              ? remaining.reduce((sum, step) => sum + step.duration, 0)
+              : originalTask.duration;
+
+          const newDay = this.findRescheduleDay(startDay, duration) || startDay;
+
+          const newTask = {
+            id: IDGenerator.generate(),
+            title: originalTask.title,
+            duration,
+            date: newDay,
+            status: CONFIG.STATUS.NOT_COMPLETED,
+            priority: this.getPriority(originalTask),
+            addedDate: new Date().toISOString(),
+            rescheduledFrom: originalTask.id,
+            originalId: originalTask.originalId || originalTask.id,
+            rescheduleCount: attempt,
+          };
+
+          if (originalTask.subjectId) {
+            newTask.subjectId = originalTask.subjectId;
+          }
+          if (remaining.length > 0) {
+            newTask.subtasks = remaining;
+          }
+
+          AppStorage.studyData.tasks.push(newTask);
+
+          // Auto-balance the new day (only needed when no day had room)
+          this.autoBalance(newDay);
+
+          const newDayName = Utils.getDayConfig(newTask.date).name;
+          ErrorHandler.showSuccess(
+            `Task rescheduled to ${newDayName}, ${Utils.formatDate(
+              newTask.date
+            )} (attempt ${attempt} of ${maxReschedules})`
+          );
+          return newTask;
+        },
+
+        /**
+         * First day from `startDay` where `duration` more minutes fit
+         * under the day limit and the weekly cap
+         * Returns: date key, or null within CONFIG.RESCHEDULE_SEARCH_DAYS
+         */
+        findRescheduleDay(startDay, duration) {
+          const cap = AppStorage.studyData.settings.weeklyLimit;
+
+          for (let i = 0; i < CONFIG.RESCHEDULE_SEARCH_DAYS; i++) {
+            const day = Utils.addDays(startDay, i);
+            const fitsDay =
+              this.calculateDayTime(day) + duration <= this.getDayLimit(day);
+            const fitsWeek =
+              !Number.isFinite(cap) ||
+              this.calculateWeekTime(day) + duration <= cap;
+
+            if (fitsDay && fitsWeek) return day;
+          }
+
+          return null;
+        },
+
+        /**
+         * All attempts of a rescheduled task, first attempt first
+         * Grouped by the first attempt's ID, so deleting a middle
+         * attempt does not break the chain
+         */
+        getRescheduleChain(task) {
+          const rootId = task.originalId || task.id;
+
+          return AppStorage.studyData.tasks
+            .filter((t) => t.id === rootId || t.originalId === rootId)
+            .sort(
+              (a, b) => (a.rescheduleCount || 0) - (b.rescheduleCount || 0)
+            );
+        },
+
+        /**
+         * DEADLINE EVALUATOR
+         * Derives approaching/missed from real deadlines
+         *
+         * Algorithm:
+         * 1. Skip tasks without a deadline or already completed/missed
+         *    (goal sessions left open on a past day become missed, which
+         *    re-plans their goal)
+         * 2. Deadline passed → missed + auto-reschedule
+         * 3. Deadline inside the approaching window → approaching
+         * 4. Deadline moved back out of the window → not completed
+         * Returns the number of tasks whose status changed
+         */
+        evaluateDeadlines(now = new Date()) {
+          const windowMs =
+            AppStorage.studyData.settings.approachingWindowHours *
+            60 *
+            60 *
+            1000;
+          const today = Utils.toDateKey(now);
+          let changed = 0;
+
+          // Copy the list: rescheduling appends new tasks while iterating
+          [...AppStorage.studyData.tasks].forEach((task) => {
+            if (
+              task.status === CONFIG.STATUS.COMPLETED ||
+              task.status === CONFIG.STATUS.MISSED
+            ) {
+              return;
+            }
+
+            if (!task.dueAt) {
+              if (task.goalId && task.date < today) {
+                this.setStatus(task, CONFIG.STATUS.MISSED, "goal planner");
+                this.rescheduleTask(task);
+                changed++;
+              }
+              return;
+            }
+
+            const remaining = new Date(task.dueAt) - now;
+
+            if (remaining <= 0) {
+              this.setStatus(task, CONFIG.STATUS.MISSED, "deadline");
+              this.rescheduleTask(task);
+              changed++;
+            } else if (remaining <= windowMs) {
+              if (task.status !== CONFIG.STATUS.APPROACHING) {
+                this.setStatus(task, CONFIG.STATUS.APPROACHING, "deadline");
+                changed++;
+              }
+            } else if (task.status === CONFIG.STATUS.APPROACHING) {
+              this.setStatus(task, CONFIG.STATUS.NOT_COMPLETED, "deadline");
+              changed++;
+            }
+          });
+
+          return changed;
+        },
+
+        /**
+         * Runs the evaluator and persists/re-renders on change
+         */
+        async checkDeadlines() {
+          const changed = this.evaluateDeadlines();
+          if (changed > 0) {
+            await AppStorage.save();
+            UI.refresh();
+          }
+          return changed;
+        },
+
+        /**
+         * Starts the background deadline check
+         * Technique: setInterval timer (started once)
+         */
+        startDeadlineMonitor() {
+          if (this.deadlineTimer) return;
+
+          this.deadlineTimer = setInterval(() => {
+            ErrorHandler.handle(() => this.checkDeadlines());
+          }, CONFIG.DEADLINE_CHECK_INTERVAL);
+        },
+
+        /**
+         * Gets tasks whose deadline is inside the approaching window
+         * Sorted by nearest deadline first
+         */
+        getDeadlineAlerts() {
+          return AppStorage.studyData.tasks
+            .filter((t) => t.dueAt && t.status === CONFIG.STATUS.APPROACHING)
+            .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+        },
+
+        /**
+         * Calculates total time for a specific calendar day
+         * Tasks with steps count the total of their steps
+         */
+        calculateDayTime(dateKey) {
+          return AppStorage.studyData.tasks
+            .filter(
+              (t) => t.date === dateKey && t.status !== CONFIG.STATUS.MISSED
+            )
+            .reduce((sum, t) => sum + this.getPlannedMinutes(t), 0);
+        },
+
+        /**
+         * STUDY LIMITS
+         * Resolves the limit (minutes) for a date
+         * Priority: date override → weekday limit → default daily limit
+         */
+        getDayLimit(dateKey, fallback = AppStorage.studyData.dailyLimit) {
+          const { limitOverrides = {}, dayLimits = {} } =
+            AppStorage.studyData.settings;
+
+          if (Number.isFinite(limitOverrides[dateKey])) {
+            return limitOverrides[dateKey];
+          }
+
+          const dayLimit = dayLimits[Utils.getDayConfig(dateKey).id];
+          return Number.isFinite(dayLimit) ? dayLimit : fallback;
+        },
+
+        /**
+         * Calculates total minutes in the week containing a date
+         */
+        calculateWeekTime(dateKey) {
+          return Utils.getWeekDates(Utils.getWeekStart(dateKey)).reduce(
+            (sum, day) => sum + this.calculateDayTime(day),
+            0
+          );
+        },
+
+        /**
+         * Minutes over the weekly cap for the week containing a date
+         * Returns 0 when there is no cap or the week is within it
+         */
+        getWeekExcess(dateKey) {
+          const cap = AppStorage.studyData.settings.weeklyLimit;
+          if (!Number.isFinite(cap)) return 0;
+
+          return Math.max(this.calculateWeekTime(dateKey) - cap, 0);
+        },
+
+        /**
+         * Gets tasks for a specific calendar day
+         */
+        getTasksByDay(dateKey) {
+          // Timed sessions first in clock order, then unscheduled ones
+          // by priority
+          return AppStorage.studyData.tasks
+            .filter((t) => t.date === dateKey)
+            .sort((a, b) => {
+              if (a.startTime && b.startTime) {
+                return a.startTime.localeCompare(b.startTime);
+              }
+              return (
+                (b.startTime ? 1 : 0) - (a.startTime ? 1 : 0) ||
+                this.comparePriority(a, b)
+              );
+            });
+        },
+
+        /**
+         * PRIORITIES
+         * Tasks saved before priorities existed count as the default
+         */
+        getPriority(task) {
+          return task.priority || CONFIG.DEFAULT_PRIORITY;
+        },
+
+        /**
+         * Sort comparator: higher priority first
+         */
+        comparePriority(a, b) {
+          return (
+            CONFIG.PRIORITY_RANK[this.getPriority(a)] -
+            CONFIG.PRIORITY_RANK[this.getPriority(b)]
+          );
+        },
+
+        /**
+         * Latest day a task may be moved to (null = no limit)
+         * The deadline's day, and for goal sessions the day before the
+         * goal's target date, whichever comes first
+         */
+        getLatestDay(task) {
+          const dueDay = task.dueAt ? task.dueAt.slice(0, 10) : null;
+          const goal = GoalPlanner.getGoal(task.goalId);
+          const goalDay = goal ? Utils.addDays(goal.targetDate, -1) : null;
+
+          if (dueDay && goalDay) {
+            return dueDay < goalDay ? dueDay : goalDay;
+          }
+          return dueDay || goalDay;
+        },
+
+        /**
+         * Checks whether a date is after the latest day of a task
+         */
+        isPastLatestDay(task, dateKey) {
+          const latestDay = this.getLatestDay(task);
+          return Boolean(latestDay) && dateKey > latestDay;
+        },
+
+        /**
+         * TIME-OF-DAY SCHEDULING
+         * Gets the study window for a date (null = not available)
+         */
+        getAvailability(dateKey) {
+          const availability = AppStorage.studyData.settings.availability || {};
+          return availability[Utils.getDayConfig(dateKey).id] || null;
+        },
+
+        /**
+         * Finds timed sessions that overlap another session that day
+         * Algorithm: Sweep in start order tracking the latest end time
+         * Returns a Set of task IDs
+         */
+        findOverlaps(dateKey) {
+          const overlaps = new Set();
+          let latestEnd = -1;
+          let latestId = null;
+
+          this.getTasksByDay(dateKey)
+            .filter((t) => t.startTime && t.status !== CONFIG.STATUS.MISSED)
+            .forEach((task) => {
+              const start = Utils.timeToMinutes(task.startTime);
+              const end = start + task.duration;
+
+              if (start < latestEnd) {
+                overlaps.add(task.id);
+                overlaps.add(latestId);
+              }
+              if (end > latestEnd) {
+                latestEnd = end;
+                latestId = task.id;
+              }
+            });
+
+          return overlaps;
+        },
+
+        /**
+         * Finds the earliest gap of `duration` minutes inside a window
+         * Algorithm: Walk busy intervals in start order, moving a cursor
+         * Returns minutes after midnight, or null when nothing fits
+         */
+        findFreeSlot(busy, windowStart, windowEnd, duration) {
+          let cursor = windowStart;
+          const sorted = busy.slice().sort((a, b) => a.start - b.start);
+
+          for (const interval of sorted) {
+            if (cursor + duration > windowEnd) return null;
+            if (interval.start >= cursor + duration) return cursor;
+            cursor = Math.max(cursor, interval.end);
+          }
+
+          return cursor + duration <= windowEnd ? cursor : null;
+        },
+
+        /**
+         * AUTO-PLACEMENT
+         * Gives unscheduled sessions a start time inside availability
+         *
+         * Algorithm:
+         * 1. Skip past days, completed/missed tasks and timed sessions
+         * 2. Place approaching tasks first, then longest first
+         * 3. Each goes into the earliest free gap (existing times stay)
+         * Returns: { placed, unplaced }
+         */
+        async autoPlace(dateKeys) {
+          const today = Utils.getTodayKey();
+          const now = new Date();
+          let placed = 0;
+          let unplaced = 0;
+
+          dateKeys.forEach((dateKey) => {
+            if (dateKey < today) return;
+
+            const tasks = this.getTasksByDay(dateKey);
+            const pending = tasks.filter(
+              (t) =>
+                !t.startTime &&
+                (t.status === CONFIG.STATUS.NOT_COMPLETED ||
+                  t.status === CONFIG.STATUS.APPROACHING)
+            );
+            if (pending.length === 0) return;
+
+            const window = this.getAvailability(dateKey);
+            if (!window) {
+              unplaced += pending.length;
+              return;
+            }
+
+            // Never place into time that has already passed today
+            let windowStart = Utils.timeToMinutes(window.start);
+            if (dateKey === today) {
+              const nowMinutes = now.getHours() * 60 + now.getMinutes();
+              windowStart = Math.max(
+                windowStart,
+                Math.ceil(nowMinutes / 5) * 5
+              );
+            }
+            const windowEnd = Utils.timeToMinutes(window.end);
+
+            const busy = tasks
+              .filter((t) => t.startTime && t.status !== CONFIG.STATUS.MISSED)
+              .map((t) => {
+                const start = Utils.timeToMinutes(t.startTime);
+                return { start, end: start + t.duration };
+              });
+
+            pending.sort(
+              (a, b) =>
+                (b.status === CONFIG.STATUS.APPROACHING) -
+                  (a.status === CONFIG.STATUS.APPROACHING) ||
+                b.duration - a.duration
+            );
+
+            pending.forEach((task) => {
+              const start = this.findFreeSlot(
+                busy,
+                windowStart,
+                windowEnd,
+                task.duration
+              );
+              if (start === null) {
+                unplaced++;
+                return;
+              }
+
+              task.startTime = Utils.minutesToTime(start);
+              busy.push({ start, end: start + task.duration });
+              placed++;
+            });
+          });
+
+          if (placed > 0) {
+            await AppStorage.save();
+          }
+
+          return { placed, unplaced };
+        },
+
+        /**
+         * RECURRING TASKS
+         * A series stores the repeat rule; each occurrence is a normal task
+         * (with seriesId + occurrenceDate) so status, balancing and
+         * statistics are tracked per occurrence.
+         */
+        async addRecurringTask(
+          title,
+          duration,
+          startDate,
+          status,
+          recurrence,
+          options = {}
+        ) {
+          const titleValidation = Validator.validateTaskTitle(title);
+          if (!titleValidation.valid) {
+            throw new Error(titleValidation.error);
+          }
+
+          const durationValidation = Validator.validateDuration(duration);
+          if (!durationValidation.valid) {
+            throw new Error(durationValidation.error);
+          }
+
+          const dateValidation = Validator.validateDate(startDate);
+          if (!dateValidation.valid) {
+            throw new Error(dateValidation.error);
+          }
+
+          const ruleValidation = Validator.validateRecurrence(
+            recurrence,
+            dateValidation.value
+          );
+          if (!ruleValidation.valid) {
+            throw new Error(ruleValidation.error);
+          }
+
+          const startTimeValidation = Validator.validateStartTime(
+            options.startTime,
+            durationValidation.value
+          );
+          if (!startTimeValidation.valid) {
+            throw new Error(startTimeValidation.error);
+          }
+
+          const priorityValidation = Validator.validatePriority(
+            options.priority
+          );
+          if (!priorityValidation.valid) {
+            throw new Error(priorityValidation.error);
+          }
+
+          const reminderValidation = Validator.validateReminder(
+            options.reminderMinutes
+          );
+          if (!reminderValidation.valid) {
+            throw new Error(reminderValidation.error);
+          }
+
+          const subjectId = this.resolveSubjectId(options.subjectId);
+
+          const series = {
+            id: IDGenerator.generate("series"),
+            title: titleValidation.value,
+            duration: durationValidation.value,
+            startDate: dateValidation.value,
+            recurrence: ruleValidation.value,
+            priority: priorityValidation.value,
+            exceptions: [],
+            addedDate: new Date().toISOString(),
+          };
+
+          if (startTimeValidation.value) {
+            series.startTime = startTimeValidation.value;
+          }
+
+          if (reminderValidation.value !== null) {
+            series.reminderMinutes = reminderValidation.value;
+          }
+
+          if (subjectId) {
+            series.subjectId = subjectId;
+          }
+
+          const firstDate = this.findNextOccurrence(series, series.startDate);
+          if (!firstDate) {
+            throw new Error("This repeat rule does not produce any sessions");
+          }
+
+          AppStorage.studyData.series.push(series);
+
+          // Materialize the first week so the new series is visible
+          const created = this.generateOccurrences(
+            Utils.getWeekDates(Utils.getWeekStart(firstDate))
+          );
+
+          const firstTask = AppStorage.studyData.tasks.find(
+            (t) => t.seriesId === series.id && t.occurrenceDate === firstDate
+          );
+          if (status !== firstTask.status) {
+            this.setStatus(firstTask, status, "you");
+          }
+
+          this.balanceDays(created.map((t) => t.date));
+
+          if (firstTask.status === CONFIG.STATUS.MISSED) {
+            this.rescheduleTask(firstTask);
+          }
+
+          await AppStorage.save();
+          return firstTask;
+        },
+
+        /**
+         * Finds a series by ID
+         */
+        getSeries(seriesId) {
+          return AppStorage.studyData.series.find((s) => s.id === seriesId);
+        },
+
+        /**
+         * Checks whether a date fits the series' repeat pattern
+         * (ignores end conditions and skipped dates)
+         */
+        matchesRecurrence(series, dateKey) {
+          const rule = series.recurrence;
+          if (dateKey < series.startDate) return false;
+
+          if (rule.frequency === "daily") {
+            return (
+              Utils.daysBetween(series.startDate, dateKey) % rule.interval === 0
+            );
+          }
+
+          if (!rule.weekdays.includes(Utils.getDayConfig(dateKey).id)) {
+            return false;
+          }
+
+          const weeksApart =
+            Utils.daysBetween(
+              Utils.getWeekStart(series.startDate),
+              Utils.getWeekStart(dateKey)
+            ) / CONFIG.DAYS.length;
+          return weeksApart % rule.interval === 0;
+        },
+
+        /**
+         * Checks whether a series has an occurrence on a date
+         * Applies the end date and session count limits
+         */
+        occursOn(series, dateKey) {
+          const rule = series.recurrence;
+
+          if (!this.matchesRecurrence(series, dateKey)) return false;
+          if (rule.endDate && dateKey > rule.endDate) return false;
+
+          if (rule.count) {
+            // Count occurrences from the start (skipped ones still count)
+            let ordinal = 0;
+            for (
+              let current = series.startDate;
+              current <= dateKey;
+              current = Utils.addDays(current, 1)
+            ) {
+              if (this.matchesRecurrence(series, current)) ordinal++;
+              if (ordinal > rule.count) return false;
+            }
+          }
+
+          return true;
+        },
+
+        /**
+         * Finds the first occurrence on or after a date
+         */
+        findNextOccurrence(series, fromDate) {
+          for (let i = 0; i < CONFIG.RECURRENCE_LOOKAHEAD_DAYS; i++) {
+            const dateKey = Utils.addDays(fromDate, i);
+            if (
+              series.recurrence.endDate &&
+              dateKey > series.recurrence.endDate
+            ) {
+              return null;
+            }
+            if (this.occursOn(series, dateKey)) return dateKey;
+          }
+          return null;
+        },
+
+        /**
+         * Creates occurrence tasks for the given dates
+         * Skips dates already materialized or skipped by the user
+         * Returns the newly created tasks
+         */
+        generateOccurrences(dateKeys) {
+          const created = [];
+
+          AppStorage.studyData.series.forEach((series) => {
+            dateKeys.forEach((dateKey) => {
+              if (series.exceptions.includes(dateKey)) return;
+              if (!this.occursOn(series, dateKey)) return;
+
+              const exists = AppStorage.studyData.tasks.some(
+                (t) => t.seriesId === series.id && t.occurrenceDate === dateKey
+              );
+              if (exists) return;
+
+              const task = {
+                // Deterministic ID: every device generates the same occurrence
+                id: `${series.id}_${dateKey}`,
+                title: series.title,
+                duration: series.duration,
+                date: dateKey,
+                status: CONFIG.STATUS.NOT_COMPLETED,
+                priority: this.getPriority(series),
+                addedDate: series.addedDate,
+                seriesId: series.id,
+                occurrenceDate: dateKey,
+              };
+
+              if (series.startTime) {
+                task.startTime = series.startTime;
+              }
+
+              if (series.reminderMinutes !== undefined) {
+                task.reminderMinutes = series.reminderMinutes;
+              }
+
+              if (series.subjectId) {
+                task.subjectId = series.subjectId;
+              }
+
+              AppStorage.studyData.tasks.push(task);
+              created.push(task);
+            });
+          });
+
+          return created;
+        },
+
+        /**
+         * Records a skipped occurrence date on its series
+         */
+        addSeriesException(seriesId, dateKey) {
+          const series = this.getSeries(seriesId);
+          if (series && !series.exceptions.includes(dateKey)) {
+            series.exceptions.push(dateKey);
+          }
+        },
+
+        /**
+         * Checks whether an occurrence still follows its series
+         * (completed/missed occurrences are history and never change)
+         */
+        isPendingOccurrence(task) {
+          return (
+            task.status !== CONFIG.STATUS.COMPLETED &&
+            task.status !== CONFIG.STATUS.MISSED
+          );
+        },
+
+        /**
+         * Skips a single occurrence of a series
+         */
+        async skipOccurrence(taskId) {
+          const task = AppStorage.studyData.tasks.find((t) => t.id === taskId);
+          if (!task || !task.seriesId) {
+            throw new Error("Recurring task not found");
+          }
+
+          this.addSeriesException(task.seriesId, task.occurrenceDate);
+          AppStorage.studyData.tasks = AppStorage.studyData.tasks.filter(
+            (t) => t.id !== taskId
+          );
+
+          await AppStorage.save();
+          return true;
+        },
+
+        /**
+         * Edits a single occurrence without touching the series
+         */
+        async updateOccurrence(taskId, title, duration) {
+          const task = AppStorage.studyData.tasks.find((t) => t.id === taskId);
+          if (!task || !task.seriesId) {
+            throw new Error("Recurring task not found");
+          }
+
+          const titleValidation = Validator.validateTaskTitle(title);
+          if (!titleValidation.valid) {
+            throw new Error(titleValidation.error);
+          }
+
+          const durationValidation = Validator.validateDuration(duration);
+          if (!durationValidation.valid) {
+            throw new Error(durationValidation.error);
+          }
+
+          task.title = titleValidation.value;
+          task.duration = durationValidation.value;
+          task.detached = true; // later series edits leave it alone
+
+          this.autoBalance(task.date);
+
+          await AppStorage.save();
+          return task;
+        },
+
+        /**
+         * Edits a whole series (title, duration and repeat rule)
+         * Pending occurrences follow the change; history is kept.
+         */
+        async updateSeries(seriesId, title, duration, recurrence) {
+          const series = this.getSeries(seriesId);
+          if (!series) {
+            throw new Error("Recurring task not found");
+          }
+
+          const titleValidation = Validator.validateTaskTitle(title);
+          if (!titleValidation.valid) {
+            throw new Error(titleValidation.error);
+          }
+
+          const durationValidation = Validator.validateDuration(duration);
+          if (!durationValidation.valid) {
+            throw new Error(durationValidation.error);
+          }
+
+          const ruleValidation = Validator.validateRecurrence(
+            recurrence,
+            series.startDate
+          );
+          if (!ruleValidation.valid) {
+            throw new Error(ruleValidation.error);
+          }
+
+          series.title = titleValidation.value;
+          series.duration = durationValidation.value;
+          series.recurrence = ruleValidation.value;
+
+          // Drop pending occurrences the new rule no longer produces
+          AppStorage.studyData.tasks = AppStorage.studyData.tasks.filter(
+            (t) =>
+              t.seriesId !== seriesId ||
+              !this.isPendingOccurrence(t) ||
+              this.occursOn(series, t.occurrenceDate)
+          );
+
+          AppStorage.studyData.tasks.forEach((t) => {
+            if (
+              t.seriesId === seriesId &&
+              !t.detached &&
+              this.isPendingOccurrence(t)
+            ) {
+              t.title = series.title;
+              t.duration = series.duration;
+            }
+          });
+
+          await AppStorage.save();
+          return series;
+        },
+
+        /**
+         * Deletes a series and its pending occurrences
+         * Completed and missed occurrences stay as standalone history.
+         */
+        async deleteSeries(seriesId) {
+          AppStorage.studyData.series = AppStorage.studyData.series.filter(
+            (s) => s.id !== seriesId
+          );
+
+          AppStorage.studyData.tasks = AppStorage.studyData.tasks.filter(
+            (t) => t.seriesId !== seriesId || !this.isPendingOccurrence(t)
+          );
+
+          AppStorage.studyData.tasks.forEach((t) => {
+            if (t.seriesId === seriesId) {
+              delete t.seriesId;
+              delete t.occurrenceDate;
+              delete t.detached;
+            }
+          });
+
+          await AppStorage.save();
+          return true;
+        },
+
+        /**
+         * SUBJECTS
+         * Courses that group tasks; each has a name and a colour
+         */
+        getSubject(subjectId) {
+          return AppStorage.studyData.subjects.find((s) => s.id === subjectId);
+        },
+
+        /**
+         * Checks a subject reference from a form (blank = no subject)
+         */
+        resolveSubjectId(subjectId) {
+          if (!subjectId) return null;
+
+          if (!this.getSubject(subjectId)) {
+            throw new Error("Subject not found");
+          }
+          return subjectId;
+        },
+
+        /**
+         * Adds a subject; names are unique (case-insensitive)
+         */
+        async addSubject(name, color) {
+          const nameValidation = Validator.validateSubjectName(name);
+          if (!nameValidation.valid) {
+            throw new Error(nameValidation.error);
+          }
+
+          const colorValidation = Validator.validateColor(color);
+          if (!colorValidation.valid) {
+            throw new Error(colorValidation.error);
+          }
+
+          const subjects = AppStorage.studyData.subjects;
+          if (subjects.length >= CONFIG.MAX_SUBJECTS) {
+            throw new Error(
+              `You can have up to ${CONFIG.MAX_SUBJECTS} subjects`
+            );
+          }
+
+          if (
+            subjects.some(
+              (s) => s.name.toLowerCase() === nameValidation.value.toLowerCase()
+            )
+          ) {
+            throw new Error("A subject with this name already exists");
+          }
+
+          const subject = {
+            id: IDGenerator.generate("subject"),
+            name: nameValidation.value,
+            color: colorValidation.value,
+          };
+
+          AppStorage.studyData.subjects = [...subjects, subject];
+          await AppStorage.save();
+          return subject;
+        },
+
+        /**
+         * Deletes a subject; its tasks and series keep going without one
+         */
+        async deleteSubject(subjectId) {
+          AppStorage.studyData.subjects = AppStorage.studyData.subjects.filter(
+            (s) => s.id !== subjectId
+          );
+
+          [
+            ...AppStorage.studyData.tasks,
+            ...AppStorage.studyData.series,
+            ...AppStorage.studyData.goals,
+          ].forEach((item) => {
+            if (item.subjectId === subjectId) {
+              delete item.subjectId;
+            }
+          });
+
+          await AppStorage.save();
+          return true;
+        },
+
+        /**
+         * Counts tasks by status
+         */
+        getTaskCounts() {
+          return {
+            total: AppStorage.studyData.tasks.length,
+            completed: AppStorage.studyData.tasks.filter(
+              (t) => t.status === CONFIG.STATUS.COMPLETED
+            ).length,
+            notCompleted: AppStorage.studyData.tasks.filter(
+              (t) => t.status === CONFIG.STATUS.NOT_COMPLETED
+            ).length,
+            approaching: AppStorage.studyData.tasks.filter(
+              (t) => t.status === CONFIG.STATUS.APPROACHING
+            ).length,
+            missed: AppStorage.studyData.tasks.filter(
+              (t) => t.status === CONFIG.STATUS.MISSED
+            ).length,
+          };
+        },
+
+        /**
+         * Gets statistics
+         */
+        getStatistics() {
+          const tasks = AppStorage.studyData.tasks;
+          const counts = this.getTaskCounts();
+
+          const totalMinutes = tasks.reduce((sum, t) => sum + t.duration, 0);
+          const avgDuration =
+            tasks.length > 0 ? Math.round(totalMinutes / tasks.length) : 0;
+
+          // Planned vs actual, over tasks timed with the focus timer
+          const tracked = tasks.filter((t) => t.actualMinutes > 0);
+          const plannedTracked = tracked.reduce(
+            (sum, t) => sum + t.duration,
+            0
+          );
+          const actualTracked = tracked.reduce(
+            (sum, t) => sum + t.actualMinutes,
+            0
+          );
+
+          return {
+            ...counts,
+            totalMinutes,
+            avgDuration,
+            trackedTasks: tracked.length,
+            plannedTracked,
+            actualTracked,
+            actualVsPlanned:
+              plannedTracked > 0
+                ? Math.round((actualTracked / plannedTracked) * 100)
+                : 0,
+            interruptions: tasks.reduce(
+              (sum, t) => sum + (t.interruptions || 0),
+              0
+            ),
+            completionRate:
+              tasks.length > 0
+                ? Math.round((counts.completed / tasks.length) * 100)
+                : 0,
+          };
+        },
+      };
+
+      // ============================================
+      // 9. GOAL PLANNER (Back-scheduled Exam Revision)
+      // ============================================
+      const GoalPlanner = {
+        /**
+         * Finds a goal by ID (null when missing)
+         */
+        getGoal(goalId) {
+          return (
+            AppStorage.studyData.goals.find((g) => g.id === goalId) || null
+          );
+        },
+
+        /**
+         * Study sessions generated for a goal
+         */
+        getSessions(goal) {
+          return AppStorage.studyData.tasks.filter((t) => t.goalId === goal.id);
+        },
+
+        /**
+         * Progress toward a goal (minutes)
+         * Returns { completed, planned, missed, unplanned, total, percent }
+         * where unplanned is effort no open or completed session covers
+         */
+        getProgress(goal) {
+          let completed = 0;
+          let planned = 0;
+          let missed = 0;
+
+          this.getSessions(goal).forEach((task) => {
+            if (task.status === CONFIG.STATUS.COMPLETED) {
+              completed += task.duration;
+            } else if (task.status === CONFIG.STATUS.MISSED) {
+              missed += task.duration;
+            } else {
+              planned += task.duration;
+            }
+          });
+
+          const total = goal.totalMinutes;
+          return {
+            completed,
+            planned,
+            missed,
+            unplanned: Math.max(total - completed - planned, 0),
+            total,
+            percent: Math.min(Math.round((completed / total) * 100), 100),
+          };
+        },
+
+        /**
+         * Free minutes on a day under its limit and the weekly cap
+         */
+        getRoom(dateKey) {
+          const cap = AppStorage.studyData.settings.weeklyLimit;
+          const dayRoom =
+            TaskManager.getDayLimit(dateKey) -
+            TaskManager.calculateDayTime(dateKey);
+          const weekRoom = Number.isFinite(cap)
+            ? cap - TaskManager.calculateWeekTime(dateKey)
+            : Infinity;
+
+          return Math.max(Math.min(dayRoom, weekRoom), 0);
+        },
+
+        /**
+         * BACK-SCHEDULING ALGORITHM
+         * Spreads a goal's remaining effort over the days before its
+         * target date, within each day's limit and the weekly cap
+         *
+         * Algorithm:
+         * 1. Drop open sessions from today on that were not started
+         *    (sessions with focus time are kept)
+         * 2. Remaining = total − completed − kept open sessions
+         * 3. Days = today → the day before the target date, except days
+         *    where a session of the goal was missed
+         * 4. Each pass offers every day an equal share of what is left
+         *    (at least CONFIG.GOAL_MIN_SESSION), capped by its free room;
+         *    a day's share extends the goal's session on that day
+         * 5. Repeat until everything is placed or no day has room
+         * Returns: minutes that did not fit
+         */
+        plan(goal) {
+          const today = Utils.getTodayKey();
+
+          AppStorage.studyData.tasks = AppStorage.studyData.tasks.filter(
+            (t) =>
+              t.goalId !== goal.id ||
+              t.status !== CONFIG.STATUS.NOT_COMPLETED ||
+              t.date < today ||
+              t.actualMinutes > 0
+          );
+
+          const missedDays = new Set(
+            this.getSessions(goal)
+              .filter((t) => t.status === CONFIG.STATUS.MISSED)
+              .map((t) => t.date)
+          );
+          const days = [];
+          for (let day = today; day < goal.targetDate; ) {
+            if (!missedDays.has(day)) days.push(day);
+            day = Utils.getNextDay(day);
+          }
+
+          let left = this.getProgress(goal).unplanned;
+          if (days.length === 0) return left;
+
+          while (left > 0) {
+            const share = Math.max(
+              CONFIG.GOAL_MIN_SESSION,
+              Math.ceil(left / days.length / CONFIG.GOAL_SESSION_STEP) *
+                CONFIG.GOAL_SESSION_STEP
+            );
+            let placed = 0;
+
+            for (const day of days) {
+              if (left <= 0) break;
+
+              // Too short to be worth a session, unless it ends the goal
+              const minutes = Math.min(share, left, this.getRoom(day));
+              if (minutes < Math.min(CONFIG.GOAL_MIN_SESSION, left)) continue;
+
+              this.addSessionMinutes(goal, day, minutes);
+              left -= minutes;
+              placed += minutes;
+            }
+
+            if (placed === 0) break;
+          }
+
+          return left;
+        },
+
+        /**
+         * Adds minutes to the goal's open session on a day, or creates it
+         */
+        addSessionMinutes(goal, dateKey, minutes) {
+          const session = AppStorage.studyData.tasks.find(
+            (t) =>
+              t.goalId === goal.id &&
+              t.date === dateKey &&
+              t.status === CONFIG.STATUS.NOT_COMPLETED &&
+              !t.subtasks
+          );
+          if (session) {
+            session.duration += minutes;
+            return session;
+          }
+
+          const task = {
+            id: IDGenerator.generate(),
+            title: goal.title,
+            duration: minutes,
+            date: dateKey,
+            status: CONFIG.STATUS.NOT_COMPLETED,
+            priority: goal.priority,
+            addedDate: new Date().toISOString(),
+            goalId: goal.id,
+          };
+          if (goal.subjectId) {
+            task.subjectId = goal.subjectId;
+          }
+
+          AppStorage.studyData.tasks.push(task);
+          return task;
+        },
+
+        /**
+         * Creates a goal and plans its sessions
+         * Options: subjectId, priority
+         * Returns: { goal, unplanned } (unplanned = minutes that did not fit)
+         */
+        async addGoal(title, targetDate, hours, options = {}) {
+          if (AppStorage.studyData.goals.length >= CONFIG.MAX_GOALS) {
+            throw new Error(`You can track at most ${CONFIG.MAX_GOALS} goals`);
+          }
+
+          const titleValidation = Validator.validateTaskTitle(title);
+          if (!titleValidation.valid) {
+            throw new Error(titleValidation.error);
+          }
+
+          const dateValidation = Validator.validateGoalDate(targetDate);
+          if (!dateValidation.valid) {
+            throw new Error(dateValidation.error);
+          }
+
+          const hoursValidation = Validator.validateGoalHours(hours);
+          if (!hoursValidation.valid) {
+            throw new Error(hoursValidation.error);
+          }
+
+          const priorityValidation = Validator.validatePriority(
+            options.priority
+          );
+          if (!priorityValidation.valid) {
+            throw new Error(priorityValidation.error);
+          }
+
+          const subjectId = TaskManager.resolveSubjectId(options.subjectId);
+
+          const goal = {
+            id: IDGenerator.generate("goal"),
+            title: titleValidation.value,
+            targetDate: dateValidation.value,
+            totalMinutes: hoursValidation.value,
+            priority: priorityValidation.value,
+            createdAt: new Date().toISOString(),
+          };
+          if (subjectId) {
+            goal.subjectId = subjectId;
+          }
+
+          AppStorage.studyData.goals.push(goal);
+          const unplanned = this.plan(goal);
+
+          await AppStorage.save();
+          return { goal, unplanned };
+        },
+
+        /**
+         * Plans a goal's remaining effort again (e.g. after editing the
+         * limits or deleting sessions)
+         * Returns: minutes that did not fit
+         */
+        async replan(goalId) {
+          const goal = this.getGoal(goalId);
+          if (!goal) {
+            throw new Error("Goal not found");
+          }
+
+          const unplanned = this.plan(goal);
+          await AppStorage.save();
+          return unplanned;
+        },
+
+        /**
+         * Re-plans the goal of a missed session (called by the reschedule
+         * step; the caller saves)
+         */
+        replanAfterMiss(task) {
+          const goal = this.getGoal(task.goalId);
+          const title = Utils.unescapeHtml(goal.title);
+
+          if (goal.targetDate <= Utils.getTodayKey()) {
+            ErrorHandler.showUserError(
+              `"${title}" session missed - no days are left before the target date`,
+              "warning"
+            );
+            return;
+          }
+
+          const unplanned = this.plan(goal);
+          if (unplanned > 0) {
+            ErrorHandler.showUserError(
+              `"${title}" session missed - ${Utils.formatTime(
+                unplanned
+              )} no longer fit before ${Utils.formatDate(goal.targetDate)}`,
+              "warning"
+            );
+          } else {
+            ErrorHandler.showSuccess(
+              `"${title}" session missed - re-planned before ${Utils.formatDate(
+                goal.targetDate
+              )}`
+            );
+          }
+        },
+
+        /**
+         * Deletes a goal and its sessions that were not started
+         * Completed, missed and started sessions stay as plain tasks
+         */
+        async deleteGoal(goalId) {
+          AppStorage.studyData.goals = AppStorage.studyData.goals.filter(
+            (g) => g.id !== goalId
+          );
+
+          AppStorage.studyData.tasks = AppStorage.studyData.tasks.filter(
+            (t) =>
+              t.goalId !== goalId ||
+              !TaskManager.canMove(t) ||
+              t.actualMinutes > 0
+          );
+          AppStorage.studyData.tasks.forEach((t) => {
+            if (t.goalId === goalId) {
+              delete t.goalId;
+            }
+          });
+
+          await AppStorage.save();
+          return true;
+        },
+      };
+
+      // ============================================
+      // 10. TASK SEARCH (Full-text Search & Filters)
+      // ============================================
+      const TaskSearch = {
+        /**
+         * Active filters (empty string / null = not filtering)
+         * status: a CONFIG.STATUS value, day: a CONFIG.DAYS name,
+         * subjectId: a subject ID or "none", rescheduled: "yes" / "no"
+         */
+        filters: {
+          query: "",
+          status: "",
+          day: "",
+          subjectId: "",
+          minDuration: null,
+          maxDuration: null,
+          rescheduled: "",
+        },
+
+        /**
+         * URL query parameter of each filter
+         */
+        PARAMS: {
+          query: "q",
+          status: "status",
+          day: "day",
+          subjectId: "subject",
+          minDuration: "min",
+          maxDuration: "max",
+          rescheduled: "rescheduled",
+        },
+
+        /**
+         * Cleans raw filter values (form fields or URL parameters)
+         * Unknown values are dropped rather than reported
+         */
+        normalize(raw) {
+          const text = (value) => `${value == null ? "" : value}`.trim();
+          const minutes = (value) => {
+            const number = parseInt(text(value), 10);
+            return Number.isInteger(number) && number >= 0 ? number : null;
+          };
+          const oneOf = (value, allowed) =>
+            allowed.includes(text(value)) ? text(value) : "";
+
+          const filters = {
+            query: text(raw.query).slice(0, CONFIG.MAX_TITLE_LENGTH),
+            status: oneOf(raw.status, Object.values(CONFIG.STATUS)),
+            day: oneOf(raw.day, CONFIG.DAYS),
+            subjectId: text(raw.subjectId),
+            minDuration: minutes(raw.minDuration),
+            maxDuration: minutes(raw.maxDuration),
+            rescheduled: oneOf(raw.rescheduled, ["yes", "no"]),
+          };
+
+          // A reversed range is read the way it was meant
+          if (
+            filters.minDuration !== null &&
+            filters.maxDuration !== null &&
+            filters.minDuration > filters.maxDuration
+          ) {
+            [filters.minDuration, filters.maxDuration] = [
+              filters.maxDuration,
+              filters.minDuration,
+            ];
+          }
+
+          return filters;
+        },
+
+        /**
+         * Whether any filter is set
+         */
+        isActive() {
+          return this.filters.query !== "" || this.hasFieldFilters();
+        },
+
+        /**
+         * Whether a filter other than the search text is set
+         */
+        hasFieldFilters() {
+          return Object.entries(this.filters).some(
+            ([key, value]) => key !== "query" && value !== "" && value !== null
+          );
+        },
+
+        /**
+         * Text a task is searched by: title, subject and checklist steps
+         */
+        getSearchText(task) {
+          const subject = TaskManager.getSubject(task.subjectId);
+          return [
+            task.title,
+            subject ? subject.name : "",
+            ...(task.subtasks || []).map((step) => step.title),
+          ]
+            .map((text) => Utils.unescapeHtml(text).toLowerCase())
+            .join("\n");
+        },
+
+        /**
+         * Checks a task against every active filter
+         */
+        matches(task) {
+          const { query, status, day, subjectId, rescheduled } = this.filters;
+          const { minDuration, maxDuration } = this.filters;
+
+          if (
+            query &&
+            !this.getSearchText(task).includes(query.toLowerCase())
+          ) {
+            return false;
+          }
+          if (status && task.status !== status) return false;
+          if (day && Utils.getDayConfig(task.date).id !== day) return false;
+          if (subjectId && (task.subjectId || "none") !== subjectId) {
+            return false;
+          }
+          if (minDuration !== null && task.duration < minDuration) return false;
+          if (maxDuration !== null && task.duration > maxDuration) return false;
+          if (
+            rescheduled &&
+            task.rescheduleCount > 0 !== (rescheduled === "yes")
+          ) {
+            return false;
+          }
+
+          return true;
+        },
+
+        /**
+         * Every matching task across all weeks, in schedule order
+         */
+        getResults() {
+          return AppStorage.studyData.tasks
+            .filter((task) => this.matches(task))
+            .sort(
+              (a, b) =>
+                a.date.localeCompare(b.date) ||
+                (a.startTime || "").localeCompare(b.startTime || "")
+            );
+        },
+
+        /**
+         * Splits text into plain and matching pieces for highlighting
+         * Returns: [{ text, match }]
+         */
+        getHighlightParts(text) {
+          const query = this.filters.query.toLowerCase();
+          if (!query) return [{ text, match: false }];
+
+          const parts = [];
+          const lower = text.toLowerCase();
+          let from = 0;
+          let index = lower.indexOf(query);
+
+          while (index > -1) {
+            if (index > from) {
+              parts.push({ text: text.slice(from, index), match: false });
+            }
+            parts.push({
+              text: text.slice(index, index + query.length),
+              match: true,
+            });
+            from = index + query.length;
+            index = lower.indexOf(query, from);
+          }
+          if (from < text.length) {
+            parts.push({ text: text.slice(from), match: false });
+          }
+
+          return parts;
+        },
+
+        /**
+         * Applies new filters and mirrors them in the URL
+         */
+        setFilters(raw) {
+          this.filters = this.normalize(raw);
+          this.writeToUrl();
+        },
+
+        /**
+         * Clears every filter
+         */
+        clear() {
+          this.setFilters({});
+        },
+
+        /**
+         * Restores the filters from the page URL (survives reloads)
+         */
+        readFromUrl() {
+          try {
+            const params = new URLSearchParams(window.location.search);
+            const raw = {};
+            Object.entries(this.PARAMS).forEach(([key, param]) => {
+              raw[key] = params.get(param);
+            });
+            this.filters = this.normalize(raw);
+          } catch (error) {
+            console.warn(
+              "[Search] Could not read filters from the URL:",
+              error
+            );
+          }
+        },
+
+        /**
+         * Writes the active filters to the URL without adding history
+         * entries; other query parameters are kept
+         */
+        writeToUrl() {
+          try {
+            const params = new URLSearchParams(window.location.search);
+            Object.entries(this.PARAMS).forEach(([key, param]) => {
+              const value = this.filters[key];
+              if (value === "" || value === null) {
+                params.delete(param);
+              } else {
+                params.set(param, value);
+              }
+            });
+
+            const search = params.toString();
+            window.history.replaceState(
+              window.history.state,
+              "",
+              `${window.location.pathname}${search ? `?${search}` : ""}${
+                window.location.hash
+              }`
+            );
+          } catch (error) {
+            console.warn("[Search] Could not save filters to the URL:", error);
+          }
+        },
+      };
+
+      // ============================================
+      // 11. ANALYTICS (Week History & Trends)
+      // ============================================
+      const Analytics = {
+        /**
+         * Minutes studied on a task
+         * Focus-timer minutes when timed, otherwise the planned
+         * duration of completed tasks
+         */
+        getStudiedMinutes(task) {
+          if (task.actualMinutes > 0) return task.actualMinutes;
+          return task.status === CONFIG.STATUS.COMPLETED ? task.duration : 0;
+        },
+
+        /**
+         * Summarises one week of tasks
+         * Returns: { weekStart, planned, completed, missed, rescheduled,
+         *            plannedMinutes, studiedMinutes, days, subjects }
+         * days/subjects map a date or subject ID ("none") to minutes
+         */
+        summarizeWeek(weekStart, tasks) {
+          const summary = {
+            weekStart,
+            planned: tasks.length,
+            completed: 0,
+            missed: 0,
+            rescheduled: 0,
+            plannedMinutes: 0,
+            studiedMinutes: 0,
+            days: {},
+            subjects: {},
+          };
+
+          tasks.forEach((task) => {
+            const minutes = this.getStudiedMinutes(task);
+            summary.plannedMinutes += task.duration;
+            summary.studiedMinutes += minutes;
+
+            if (task.status === CONFIG.STATUS.COMPLETED) summary.completed++;
+            if (task.status === CONFIG.STATUS.MISSED) summary.missed++;
+            if (task.rescheduleCount > 0) summary.rescheduled++;
+
+            if (minutes > 0) {
+              const subjectKey = task.subjectId || "none";
+              summary.days[task.date] =
+                (summary.days[task.date] || 0) + minutes;
+              summary.subjects[subjectKey] =
+                (summary.subjects[subjectKey] || 0) + minutes;
+            }
+          });
+
+          return summary;
+        },
+
+        /**
+         * The fields of a task the week archive keeps (enough for
+         * summarizeWeek)
+         */
+        toRecord(task) {
+          const record = {
+            date: task.date,
+            duration: task.duration,
+            status: task.status,
+          };
+          if (task.actualMinutes > 0) record.actualMinutes = task.actualMinutes;
+          if (task.rescheduleCount > 0) {
+            record.rescheduleCount = task.rescheduleCount;
+          }
+          if (task.subjectId) record.subjectId = task.subjectId;
+          return record;
+        },
+
+        /**
+         * Summarises every week before `untilWeekStart`: the archived
+         * records of each week, updated from the tasks still in the plan
+         * Returns: summaries with their task records ({ taskId: record })
+         *
+         * Algorithm:
+         * 1. Start from each archived week's records
+         * 2. Drop records of tasks that now sit in another week
+         * 3. Overwrite with the current state of the week's live tasks,
+         *    so deleted tasks keep counting and edited ones are current
+         * Weeks archived without records are kept exactly as stored
+         */
+        summarizeTasks(untilWeekStart) {
+          const liveWeeks = {};
+          const byWeek = {};
+          AppStorage.studyData.tasks.forEach((task) => {
+            const weekStart = Utils.getWeekStart(task.date);
+            liveWeeks[task.id] = weekStart;
+            if (weekStart >= untilWeekStart) return;
+
+            if (!byWeek[weekStart]) byWeek[weekStart] = [];
+            byWeek[weekStart].push(task);
+          });
+
+          const weeks = new Map();
+          AppStorage.studyData.weekHistory.forEach((week) => {
+            if (week.weekStart < untilWeekStart) {
+              weeks.set(week.weekStart, week);
+            }
+          });
+          Object.keys(byWeek).forEach((weekStart) => {
+            if (!weeks.has(weekStart)) {
+              weeks.set(weekStart, { weekStart, records: {} });
+            }
+          });
+
+          return [...weeks.values()].map((week) => {
+            if (!week.records) return week;
+
+            const records = {};
+            Object.entries(week.records).forEach(([taskId, record]) => {
+              const liveWeek = liveWeeks[taskId];
+              if (!liveWeek || liveWeek === week.weekStart) {
+                records[taskId] = record;
+              }
+            });
+            (byWeek[week.weekStart] || []).forEach((task) => {
+              records[task.id] = this.toRecord(task);
+            });
+
+            return {
+              ...this.summarizeWeek(week.weekStart, Object.values(records)),
+              records,
+            };
+          });
+        },
+
+        /**
+         * WEEK ARCHIVE
+         * Keeps a record of every task of finished weeks so analytics
+         * survive deleted and cleared tasks
+         *
+         * Algorithm:
+         * 1. Summarise each week before `untilWeekStart` (summarizeTasks)
+         * 2. Store the summaries with their records
+         * 3. Keep the newest CONFIG.MAX_WEEK_HISTORY weeks
+         */
+        archiveWeeks(untilWeekStart = Utils.getWeekStart(Utils.getTodayKey())) {
+          const data = AppStorage.studyData;
+          const archive = new Map(
+            data.weekHistory.map((week) => [week.weekStart, week])
+          );
+          this.summarizeTasks(untilWeekStart).forEach((week) =>
+            archive.set(week.weekStart, week)
+          );
+
+          data.weekHistory = [...archive.values()]
+            .sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+            .slice(-CONFIG.MAX_WEEK_HISTORY);
+        },
+
+        /**
+         * Every week up to the current one, keyed by week start
+         * Archived records combined with the live tasks
+         */
+        getWeeks() {
+          const nextWeek = Utils.addDays(
+            Utils.getWeekStart(Utils.getTodayKey()),
+            CONFIG.DAYS.length
+          );
+          const weeks = {};
+          AppStorage.studyData.weekHistory.forEach((week) => {
+            weeks[week.weekStart] = week;
+          });
+          this.summarizeTasks(nextWeek).forEach((week) => {
+            weeks[week.weekStart] = week;
+          });
+          return weeks;
+        },
+
+        /**
+         * Per-week trend for the last `count` weeks (oldest first)
+         * completionRate is null for weeks with nothing planned
+         */
+        getWeeklyTrend(count = CONFIG.ANALYTICS_WEEKS) {
+          const weeks = this.getWeeks();
+          const currentWeek = Utils.getWeekStart(Utils.getTodayKey());
+
+          return Array.from({ length: count }, (_, idx) => {
+            const weekStart = Utils.addDays(
+              currentWeek,
+              (idx - count + 1) * CONFIG.DAYS.length
+            );
+            const week = weeks[weekStart];
+
+            return {
+              weekStart,
+              studiedMinutes: week ? week.studiedMinutes : 0,
+              missed: week ? week.missed : 0,
+              rescheduled: week ? week.rescheduled : 0,
+              completionRate:
+                week && week.planned > 0
+                  ? Math.round((week.completed / week.planned) * 100)
+                  : null,
+            };
+          });
+        },
+
+        /**
+         * Minutes studied per day, across all weeks
+         * Returns: { dateKey: minutes }
+         */
+        getStudyDays() {
+          const days = {};
+          Object.values(this.getWeeks()).forEach((week) => {
+            Object.entries(week.days || {}).forEach(([date, minutes]) => {
+              days[date] = (days[date] || 0) + minutes;
+            });
+          });
+          return days;
+        },
+
+        /**
+         * Minutes studied on each of the last `count` days (oldest first)
+         */
+        getDailyMinutes(count = CONFIG.ANALYTICS_DAYS) {
+          const days = this.getStudyDays();
+          const today = Utils.getTodayKey();
+
+          return Array.from({ length: count }, (_, idx) => {
+            const date = Utils.addDays(today, idx - count + 1);
+            return { date, minutes: days[date] || 0 };
+          });
+        },
+
+        /**
+         * Minutes studied per subject over the whole history
+         * Subjects deleted since are grouped with "No subject"
+         */
+        getSubjectMinutes() {
+          const totals = {};
+          Object.values(this.getWeeks()).forEach((week) => {
+            Object.entries(week.subjects || {}).forEach(([id, minutes]) => {
+              const key = TaskManager.getSubject(id) ? id : "none";
+              totals[key] = (totals[key] || 0) + minutes;
+            });
+          });
+
+          return Object.entries(totals)
+            .map(([id, minutes]) => {
+              const subject = TaskManager.getSubject(id);
+              return {
+                label: subject
+                  ? Utils.unescapeHtml(subject.name)
+                  : "No subject",
+                color: subject ? subject.color : "#bbb",
+                minutes,
+              };
+            })
+            .sort((a, b) => b.minutes - a.minutes);
+        },
+
+        /**
+         * STREAKS
+         * Consecutive days with study time
+         * The current streak still counts when today has no study yet
+         * Returns: { current, best }
+         */
+        getStreaks() {
+          const days = this.getStudyDays();
+          const studied = Object.keys(days)
+            .filter((date) => days[date] > 0)
+            .sort();
+
+          let best = 0;
+          let run = 0;
+          studied.forEach((date, idx) => {
+            run =
+              idx > 0 && Utils.daysBetween(studied[idx - 1], date) === 1
+                ? run + 1
+                : 1;
+            best = Math.max(best, run);
+          });
+
+          const today = Utils.getTodayKey();
+          let day = days[today] > 0 ? today : Utils.addDays(today, -1);
+          let current = 0;
+          while (days[day] > 0) {
+            current++;
+            day = Utils.addDays(day, -1);
+          }
+
+          return { current, best };
+        },
+      };
+
+      // ============================================
+      // 12. HISTORY (Undo / Redo)
+      // ============================================
+      const History = {
+        undoStack: [],
+        redoStack: [],
+        // Label of the action being recorded (null when idle)
+        recording: null,
+        // Recorded actions run one at a time (see record)
+        queue: Promise.resolve(),
+
+        /**
+         * Copies the plan state an action can change
+         * Tasks are keyed by ID so entries only touch what changed
+         */
+        capture() {
+          const data = AppStorage.studyData;
+          const tasks = {};
+          data.tasks.forEach((task) => {
+            tasks[task.id] = Utils.stableStringify(task);
+          });
+
+          return {
+            tasks,
+            order: data.tasks.map((task) => task.id),
+            meta: Utils.stableStringify({
+              series: data.series,
+              subjects: data.subjects,
+              goals: data.goals,
+              dailyLimit: data.dailyLimit,
+              settings: data.settings,
+            }),
+          };
+        },
+
+        /**
+         * COMMAND HISTORY
+         * Runs a user action and records what it changed
+         *
+         * Algorithm:
+         * 1. Capture the plan before the action
+         * 2. Run it (side effects such as auto-balance and reschedule
+         *    are part of the same action)
+         * 3. Diff before/after per task, plus account-level fields
+         * 4. Push one entry; a new action clears the redo stack
+         * Changes made before a failure are still recorded so they
+         * can be undone. Actions that overlap (e.g. a bulk action still
+         * saving when the next click lands) are queued, so each gets its
+         * own before/after pair instead of sharing one entry.
+         */
+        record(label, operation) {
+          const result = this.queue.then(() => this.perform(label, operation));
+          // A failed action must not hold up the ones queued after it
+          this.queue = result.catch(() => {});
+          return result;
+        },
+
+        /**
+         * Runs one queued action and pushes its entry
+         */
+        async perform(label, operation) {
+          const before = this.capture();
+          this.recording = label;
+
+          try {
+            return await operation();
+          } finally {
+            this.recording = null;
+            const entry = this.diff(label, before, this.capture());
+
+            if (entry) {
+              this.undoStack.push(entry);
+              if (this.undoStack.length > CONFIG.MAX_HISTORY) {
+                this.undoStack.shift();
+              }
+              this.redoStack = [];
+            }
+            this.updateButtons();
+          }
+        },
+
+        /**
+         * Builds a history entry (null when nothing changed)
+         * Entry: { label, tasks: { id: [before, after] }, meta, order }
+         */
+        diff(label, before, after) {
+          const tasks = {};
+          new Set([
+            ...Object.keys(before.tasks),
+            ...Object.keys(after.tasks),
+          ]).forEach((id) => {
+            if (before.tasks[id] !== after.tasks[id]) {
+              tasks[id] = [before.tasks[id] || null, after.tasks[id] || null];
+            }
+          });
+
+          const meta =
+            before.meta !== after.meta ? [before.meta, after.meta] : null;
+
+          if (Object.keys(tasks).length === 0 && !meta) {
+            return null;
+          }
+
+          return {
+            label,
+            tasks,
+            meta,
+            order: [before.order, after.order],
+          };
+        },
+
+        /**
+         * Puts one side of an entry back into the plan
+         * side: 0 = before (undo), 1 = after (redo)
+         * Tasks the entry did not touch are left alone, so edits made
+         * since (or synced from another device) survive.
+         */
+        restore(entry, side) {
+          const data = AppStorage.studyData;
+
+          Object.entries(entry.tasks).forEach(([id, versions]) => {
+            const value = versions[side];
+            const index = data.tasks.findIndex((t) => t.id === id);
+
+            if (value === null) {
+              if (index > -1) data.tasks.splice(index, 1);
+            } else if (index > -1) {
+              data.tasks[index] = JSON.parse(value);
+            } else {
+              data.tasks.push(JSON.parse(value));
+            }
+          });
+
+          // Keep the recorded order; tasks it does not know go last
+          const order = entry.order[side];
+          const rank = (task) => {
+            const index = order.indexOf(task.id);
+            return index === -1 ? Infinity : index;
+          };
+          data.tasks.sort((a, b) => rank(a) - rank(b) || 0);
+
+          if (entry.meta) {
+            const meta = JSON.parse(entry.meta[side]);
+            data.series = meta.series;
+            data.subjects = meta.subjects;
+            data.goals = meta.goals;
+            data.dailyLimit = meta.dailyLimit;
+            data.settings = meta.settings;
+          }
+        },
+
+        /**
+         * Undoes the latest action
+         */
+        async undo() {
+          const entry = this.undoStack.pop();
+          if (!entry) return null;
+
+          this.restore(entry, 0);
+          this.redoStack.push(entry);
+          await AppStorage.save();
+          this.updateButtons();
+          return entry;
+        },
+
+        /**
+         * Redoes the latest undone action
+         */
+        async redo() {
+          const entry = this.redoStack.pop();
+          if (!entry) return null;
+
+          this.restore(entry, 1);
+          this.undoStack.push(entry);
+          await AppStorage.save();
+          this.updateButtons();
+          return entry;
+        },
+
+        /**
+         * Forgets all history (new user or signed out)
+         */
+        clear() {
+          this.undoStack = [];
+          this.redoStack = [];
+          this.updateButtons();
+        },
+
+        /**
+         * Enables the toolbar buttons and names the action they affect
+         */
+        updateButtons() {
+          const undoBtn = document.getElementById("undoBtn");
+          const redoBtn = document.getElementById("redoBtn");
+          const nextUndo = this.undoStack[this.undoStack.length - 1];
+          const nextRedo = this.redoStack[this.redoStack.length - 1];
+
+          if (undoBtn) {
+            undoBtn.disabled = !nextUndo;
+            undoBtn.title = nextUndo
+              ? `Undo: ${nextUndo.label} (Ctrl+Z)`
+              : "Nothing to undo";
+          }
+          if (redoBtn) {
+            redoBtn.disabled = !nextRedo;
+            redoBtn.title = nextRedo
+              ? `Redo: ${nextRedo.label} (Ctrl+Shift+Z)`
+              : "Nothing to redo";
+          }
+        },
+      };
+
+      // ============================================
+      // 13. WEEK OPTIMIZER (Whole-week Scheduling)
+      // ============================================
+      const WeekOptimizer = {
+        // Proposal waiting for the user to accept or reject
+        pendingProposal: null,
+
+        /**
+         * Checks whether the optimizer may move a task
+         * Finished work and sessions with a start time stay put
+         */
+        isMovable(task) {
+          return (
+            !task.startTime &&
+            (task.status === CONFIG.STATUS.NOT_COMPLETED ||
+              task.status === CONFIG.STATUS.APPROACHING)
+          );
+        },
+
+        /**
+         * Orders tasks so the most constrained are placed first
+         * Order: earliest latest day (deadline or goal target) →
+         *        earliest deadline → priority → approaching → longest →
+         *        earliest date
+         */
+        compareUrgency(a, b) {
+          const latestA = TaskManager.getLatestDay(a) || "9999";
+          const latestB = TaskManager.getLatestDay(b) || "9999";
+          if (latestA !== latestB) {
+            return latestA.localeCompare(latestB);
+          }
+
+          const dueA = a.dueAt || "9999";
+          const dueB = b.dueAt || "9999";
+          if (dueA !== dueB) {
+            return dueA.localeCompare(dueB);
+          }
+
+          return (
+            TaskManager.comparePriority(a, b) ||
+            (b.status === CONFIG.STATUS.APPROACHING) -
+              (a.status === CONFIG.STATUS.APPROACHING) ||
+            b.duration - a.duration ||
+            a.date.localeCompare(b.date)
+          );
+        },
+
+        /**
+         * WHOLE-WEEK OPTIMIZER
+         * Builds a balanced plan for one week without changing anything
+         *
+         * Algorithm:
+         * 1. Fixed work (completed, timed) is counted first; past days
+         *    never receive tasks
+         * 2. Movable tasks are placed most urgent first, each between
+         *    the first open day and its latest day (deadline, or the day
+         *    before a goal's target date) or the week end
+         * 3. Each goes to the feasible day with the lowest resulting
+         *    load/limit ratio; its current day wins within a tolerance
+         *    so the plan does not churn
+         * 4. The weekly cap is respected across all placements
+         * 5. Tasks that fit nowhere stay on (or move up to) their
+         *    earliest allowed day and are reported as unfit
+         * Returns: { weekStart, moves, unfit, before, after, limits }
+         */
+        propose(weekStart) {
+          const dates = Utils.getWeekDates(weekStart);
+          const today = Utils.getTodayKey();
+          const firstOpen = dates.find((dateKey) => dateKey >= today);
+
+          const tasks = dates
+            .flatMap((dateKey) => TaskManager.getTasksByDay(dateKey))
+            .filter((t) => t.status !== CONFIG.STATUS.MISSED);
+          const movable = firstOpen
+            ? tasks.filter((t) => this.isMovable(t))
+            : [];
+
+          const before = {};
+          const after = {};
+          const limits = {};
+          dates.forEach((dateKey) => {
+            before[dateKey] = TaskManager.calculateDayTime(dateKey);
+            after[dateKey] = 0;
+            limits[dateKey] = TaskManager.getDayLimit(dateKey);
+          });
+
+          tasks
+            .filter((t) => !movable.includes(t))
+            .forEach((t) => {
+              after[t.date] += t.duration;
+            });
+
+          const weeklyCap = AppStorage.studyData.settings.weeklyLimit;
+          let weekLoad = Object.values(after).reduce((sum, m) => sum + m, 0);
+          const placement = {};
+          const unfit = [];
+
+          movable
+            .slice()
+            .sort((a, b) => this.compareUrgency(a, b))
+            .forEach((task) => {
+              // Latest allowed day: the deadline's day or the day before
+              // a goal's target date, never before today
+              const latestDay = TaskManager.getLatestDay(task);
+              let lastDay = dates[6];
+              if (latestDay && latestDay < lastDay) {
+                lastDay = latestDay < firstOpen ? firstOpen : latestDay;
+              }
+
+              const candidates = dates.filter(
+                (dateKey) => dateKey >= firstOpen && dateKey <= lastDay
+              );
+              const ratio = (dateKey) =>
+                limits[dateKey] > 0
+                  ? (after[dateKey] + task.duration) / limits[dateKey]
+                  : Infinity;
+
+              const weekFits =
+                !Number.isFinite(weeklyCap) ||
+                weekLoad + task.duration <= weeklyCap;
+              const feasible = weekFits
+                ? candidates.filter(
+                    (dateKey) =>
+                      after[dateKey] + task.duration <= limits[dateKey]
+                  )
+                : [];
+
+              let target;
+              if (feasible.length === 0) {
+                target = candidates.includes(task.date)
+                  ? task.date
+                  : candidates[0];
+                unfit.push(task);
+              } else {
+                const best = feasible.reduce((a, b) =>
+                  ratio(b) < ratio(a) ? b : a
+                );
+                const keepCurrent =
+                  feasible.includes(task.date) &&
+                  ratio(task.date) <=
+                    ratio(best) + CONFIG.OPTIMIZER_KEEP_TOLERANCE;
+                target = keepCurrent ? task.date : best;
+              }
+
+              after[target] += task.duration;
+              weekLoad += task.duration;
+              placement[task.id] = target;
+            });
+
+          const moves = movable
+            .filter((task) => placement[task.id] !== task.date)
+            .map((task) => ({
+              taskId: task.id,
+              title: task.title,
+              duration: task.duration,
+              from: task.date,
+              to: placement[task.id],
+            }));
+
+          return {
+            weekStart,
+            moves,
+            unfit: unfit.map((task) => ({
+              taskId: task.id,
+              title: task.title,
+            })),
+            before,
+            after,
+            limits,
+          };
+        },
+
+        /**
+         * Applies an accepted proposal in one save
+         * Moves whose task changed since the preview are skipped
+         */
+        async apply(proposal) {
+          let applied = 0;
+
+          proposal.moves.forEach((move) => {
+            const task = AppStorage.studyData.tasks.find(
+              (t) => t.id === move.taskId
+            );
+            if (!task || task.date !== move.from || !this.isMovable(task)) {
+              return;
+            }
+
+            task.date = move.to;
+            applied++;
+          });
+
+          if (applied > 0) {
+            await AppStorage.save();
+          }
+
+          return applied;
+        },
+      };
+
+      // ============================================
+      // 14. PLAN TRANSFER (Import / Export)
+      // ============================================
+      const PlanTransfer = {
+        CSV_COLUMNS: [
+          "title",
+          "date",
+          "startTime",
+          "duration",
+          "status",
+          "dueAt",
+          "priority",
+          "subject",
+        ],
+
+        // Task fields holding the ID of another task
+        LINK_FIELDS: [
+          "rescheduledFrom",
+          "originalId",
+          "continuedFrom",
+          "partOf",
+        ],
+
+        // Import preview waiting for confirmation
+        pendingImport: null,
+
+        /**
+         * Exports tasks, repeat series and settings as versioned JSON
+         * Titles are stored unescaped; importers re-validate them.
+         */
+        exportJSON() {
+          const data = AppStorage.studyData;
+
+          return JSON.stringify(
+            {
+              app: CONFIG.EXPORT_APP_ID,
+              version: CONFIG.EXPORT_VERSION,
+              exportedAt: new Date().toISOString(),
+              dailyLimit: data.dailyLimit,
+              settings: data.settings,
+              subjects: data.subjects.map((subject) => ({
+                ...subject,
+                name: Utils.unescapeHtml(subject.name),
+              })),
+              series: data.series.map((series) => ({
+                ...series,
+                title: Utils.unescapeHtml(series.title),
+              })),
+              goals: data.goals.map((goal) => ({
+                ...goal,
+                title: Utils.unescapeHtml(goal.title),
+              })),
+              tasks: data.tasks.map((task) => ({
+                ...task,
+                title: Utils.unescapeHtml(task.title),
+                subtasks:
+                  task.subtasks &&
+                  task.subtasks.map((step) => ({
+                    ...step,
+                    title: Utils.unescapeHtml(step.title),
+                  })),
+              })),
+            },
+            null,
+            2
+          );
+        },
+
+        /**
+         * Exports tasks as CSV (one row per session)
+         * Technique: RFC 4180 quoting for commas, quotes and newlines
+         */
+        exportCSV() {
+          const quote = (value) => {
+            const text =
+              value === undefined || value === null ? "" : `${value}`;
+            return /[",\r\n]/.test(text)
+              ? `"${text.replace(/"/g, '""')}"`
+              : text;
+          };
+
+          const rows = this.getSortedTasks().map((task) =>
+            [
+              Utils.unescapeHtml(task.title),
+              task.date,
+              task.startTime || "",
+              task.duration,
+              task.status,
+              task.dueAt || "",
+              TaskManager.getPriority(task),
+              this.getSubjectName(task),
+            ]
+              .map(quote)
+              .join(",")
+          );
+
+          return [this.CSV_COLUMNS.join(","), ...rows].join("\r\n");
+        },
+
+        /**
+         * Exports tasks as an iCalendar file
+         * Timed sessions become timed events, the rest all-day events;
+         * X-STUDY-* properties keep duration/status for re-import.
+         */
+        exportICS() {
+          const stamp = this.toICSDateTime(new Date());
+          const lines = [
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            `PRODID:-//${CONFIG.EXPORT_APP_ID}//EN`,
+            "CALSCALE:GREGORIAN",
+          ];
+
+          this.getSortedTasks().forEach((task) => {
+            const title = Utils.unescapeHtml(task.title);
+            const status = task.status.replace("-", " ");
+
+            lines.push(
+              "BEGIN:VEVENT",
+              `UID:${task.id}@${CONFIG.EXPORT_APP_ID}`,
+              `DTSTAMP:${stamp}`,
+              ...this.getICSEventTimes(task),
+              `SUMMARY:${this.escapeICS(
+                `${title} (${Utils.formatTime(task.duration)})`
+              )}`,
+              `DESCRIPTION:${this.escapeICS(
+                `Duration: ${Utils.formatTime(
+                  task.duration
+                )}\nStatus: ${status}`
+              )}`,
+              `X-STUDY-TITLE:${this.escapeICS(title)}`,
+              `X-STUDY-DURATION:${task.duration}`,
+              `X-STUDY-STATUS:${task.status}`,
+              `PRIORITY:${CONFIG.ICS_PRIORITY[TaskManager.getPriority(task)]}`
+            );
+
+            if (task.dueAt) {
+              lines.push(`X-STUDY-DUE:${task.dueAt}`);
+            }
+
+            if (task.subjectId) {
+              lines.push(
+                `CATEGORIES:${this.escapeICS(this.getSubjectName(task))}`
+              );
+            }
+
+            lines.push("END:VEVENT");
+          });
+
+          lines.push("END:VCALENDAR");
+          return lines.map((line) => this.foldICSLine(line)).join("\r\n");
+        },
+
+        /**
+         * DTSTART/DTEND lines for a task (floating local time if timed)
+         */
+        getICSEventTimes(task) {
+          if (!task.startTime) {
+            return [
+              `DTSTART;VALUE=DATE:${task.date.replace(/-/g, "")}`,
+              `DTEND;VALUE=DATE:${Utils.addDays(task.date, 1).replace(
+                /-/g,
+                ""
+              )}`,
+            ];
+          }
+
+          const start = Utils.parseDateKey(task.date);
+          start.setMinutes(Utils.timeToMinutes(task.startTime));
+          const end = new Date(start.getTime() + task.duration * 60000);
+          return [
+            `DTSTART:${this.toICSLocalDateTime(start)}`,
+            `DTEND:${this.toICSLocalDateTime(end)}`,
+          ];
+        },
+
+        /**
+         * Formats a Date as an iCalendar floating (local) date-time
+         */
+        toICSLocalDateTime(date) {
+          return `${Utils.toDateKey(date).replace(
+            /-/g,
+            ""
+          )}T${Utils.minutesToTime(
+            date.getHours() * 60 + date.getMinutes()
+          ).replace(":", "")}00`;
+        },
+
+        /**
+         * Plain-text subject name of a task ("" when it has none)
+         */
+        getSubjectName(task) {
+          const subject = TaskManager.getSubject(task.subjectId);
+          return subject ? Utils.unescapeHtml(subject.name) : "";
+        },
+
+        /**
+         * Tasks in date order for CSV/ICS output
+         */
+        getSortedTasks() {
+          return AppStorage.studyData.tasks
+            .slice()
+            .sort((a, b) => a.date.localeCompare(b.date));
+        },
+
+        /**
+         * Escapes iCalendar TEXT values (RFC 5545 3.3.11)
+         */
+        escapeICS(text) {
+          return text
+            .replace(/\\/g, "\\\\")
+            .replace(/;/g, "\\;")
+            .replace(/,/g, "\\,")
+            .replace(/\n/g, "\\n");
+        },
+
+        /**
+         * Reverses escapeICS
+         */
+        unescapeICS(text) {
+          return text.replace(/\\([\;,nN])/g, (match, char) =>
+            char.toLowerCase() === "n" ? "\n" : char
+          );
+        },
+
+        /**
+         * Folds lines longer than 75 octets (RFC 5545 3.1)
+         * Counts UTF-8 bytes and only breaks between code points, so
+         * accented titles and emoji stay valid
+         */
+        foldICSLine(line) {
+          const encoder = new TextEncoder();
+          const parts = [];
+          let part = "";
+          let size = 0;
+
+          for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            // Continuation lines start with a space, leaving 74 octets
+            if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+              parts.push(part);
+              part = "";
+              size = 0;
+            }
+            part += char;
+            size += bytes;
+          }
+          parts.push(part);
+
+          return parts.join("\r\n ");
+        },
+
+        /**
+         * Formats a Date as an iCalendar UTC date-time
+         */
+        toICSDateTime(date) {
+          return date
+            .toISOString()
+            .replace(/[-:]/g, "")
+            .replace(/\.\d{3}/, "");
+        },
+
+        /**
+         * Triggers a browser download for exported content
+         */
+        download(content, extension, mimeType) {
+          const blob = new Blob([content], { type: mimeType });
+          const url = URL.createObjectURL(blob);
+          const link = document.createElement("a");
+
+          link.href = url;
+          link.download = `study-plan-${Utils.getTodayKey()}.${extension}`;
+          document.body.appendChild(link);
+          link.click();
+          link.remove();
+          URL.revokeObjectURL(url);
+        },
+
+        /**
+         * Picks a parser from the file extension (falls back to content)
+         */
+        detectFormat(fileName, text) {
+          const extension = (fileName.split(".").pop() || "").toLowerCase();
+          if (["json", "csv", "ics"].includes(extension)) {
+            return extension;
+          }
+
+          const start = text.trim();
+          if (start.startsWith("{")) return "json";
+          if (start.startsWith("BEGIN:VCALENDAR")) return "ics";
+          return "csv";
+        },
+
+        /**
+         * Parses a versioned JSON export
+         * Returns: { rows, series, goals, settings }
+         */
+        parseJSON(text) {
+          let data;
+          try {
+            data = JSON.parse(text);
+          } catch (error) {
+            throw new Error("This file is not valid JSON");
+          }
+
+          if (!data || data.app !== CONFIG.EXPORT_APP_ID) {
+            throw new Error("This JSON file is not a Study Plan export");
+          }
+
+          if (!(data.version <= CONFIG.EXPORT_VERSION)) {
+            throw new Error(
+              "This export was made by a newer version of the app"
+            );
+          }
+
+          // Subjects travel by name; colours come along when valid
+          const subjects = {};
+          (Array.isArray(data.subjects) ? data.subjects : []).forEach(
+            (subject) => {
+              if (subject && subject.id) subjects[subject.id] = subject;
+            }
+          );
+          const withSubject = (item) =>
+            item && subjects[item.subjectId]
+              ? {
+                  ...item,
+                  subject: subjects[item.subjectId].name,
+                  subjectColor: subjects[item.subjectId].color,
+                }
+              : item;
+
+          return {
+            rows: (Array.isArray(data.tasks) ? data.tasks : []).map(
+              (task, index) => ({
+                label: `Task ${index + 1}`,
+                data: withSubject(task),
+              })
+            ),
+            series: (Array.isArray(data.series) ? data.series : []).map(
+              withSubject
+            ),
+            goals: (Array.isArray(data.goals) ? data.goals : []).map(
+              withSubject
+            ),
+            settings: {
+              dailyLimit: data.dailyLimit,
+              ...(data.settings || {}),
+            },
+          };
+        },
+
+        /**
+         * Parses CSV with a header row (columns in any order)
+         * Technique: Character scanner that honours quoted fields
+         */
+        parseCSV(text) {
+          const records = [];
+          let record = [];
+          let field = "";
+          let inQuotes = false;
+
+          for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+              if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+              } else if (char === '"') {
+                inQuotes = false;
+              } else {
+                field += char;
+              }
+            } else if (char === '"') {
+              inQuotes = true;
+            } else if (char === ",") {
+              record.push(field);
+              field = "";
+            } else if (char === "\n" || char === "\r") {
+              if (char === "\r" && text[i + 1] === "\n") i++;
+              record.push(field);
+              records.push(record);
+              record = [];
+              field = "";
+            } else {
+              field += char;
+            }
+          }
+
+          if (field || record.length > 0) {
+            record.push(field);
+            records.push(record);
+          }
+
+          const nonEmpty = records.filter((r) => r.some((cell) => cell.trim()));
+          if (nonEmpty.length === 0) {
+            throw new Error("This CSV file is empty");
+          }
+
+          const header = nonEmpty[0].map((cell) => cell.trim().toLowerCase());
+          const columns = {};
+          this.CSV_COLUMNS.forEach((name) => {
+            columns[name] = header.indexOf(name.toLowerCase());
+          });
+
+          if (
+            columns.title === -1 ||
+            columns.date === -1 ||
+            columns.duration === -1
+          ) {
+            throw new Error("CSV needs title, date and duration columns");
+          }
+
+          return {
+            rows: nonEmpty.slice(1).map((cells, index) => {
+              const data = {};
+              this.CSV_COLUMNS.forEach((name) => {
+                if (columns[name] > -1) {
+                  data[name] = (cells[columns[name]] || "").trim();
+                }
+              });
+              return { label: `Row ${index + 2}`, data };
+            }),
+            series: [],
+            goals: [],
+            settings: null,
+          };
+        },
+
+        /**
+         * Parses VEVENTs from an iCalendar file
+         * Duration comes from X-STUDY-DURATION, DURATION or DTEND - DTSTART
+         */
+        parseICS(text) {
+          // Unfold continuation lines (RFC 5545 3.1)
+          const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+          const rows = [];
+          let event = null;
+
+          lines.forEach((line) => {
+            if (line === "BEGIN:VEVENT") {
+              event = {};
+              return;
+            }
+
+            if (line === "END:VEVENT") {
+              if (event) {
+                rows.push({
+                  label: `Event ${rows.length + 1}`,
+                  data: this.eventToTask(event),
+                });
+              }
+              event = null;
+              return;
+            }
+
+            const separator = line.indexOf(":");
+            if (!event || separator === -1) return;
+
+            const [name, ...params] = line.slice(0, separator).split(";");
+            event[name.toUpperCase()] = {
+              value: line.slice(separator + 1),
+              params: params.map((param) => param.toUpperCase()),
+            };
+          });
+
+          if (!/BEGIN:VCALENDAR/.test(text)) {
+            throw new Error("This file is not an iCalendar file");
+          }
+
+          return { rows, series: [], goals: [], settings: null };
+        },
+
+        /**
+         * Maps VEVENT properties to raw task fields
+         */
+        eventToTask(event) {
+          const start = event.DTSTART && this.parseICSDate(event.DTSTART.value);
+          const end = event.DTEND && this.parseICSDate(event.DTEND.value);
+          const summary = event["X-STUDY-TITLE"] || event.SUMMARY;
+
+          let duration = event["X-STUDY-DURATION"]
+            ? event["X-STUDY-DURATION"].value
+            : "";
+          if (!duration && event.DURATION) {
+            duration = this.parseICSDuration(event.DURATION.value);
+          }
+          if (!duration && start && end && start.hasTime) {
+            duration = Math.round((end.date - start.date) / 60000);
+          }
+
+          return {
+            title: summary ? this.unescapeICS(summary.value) : "",
+            date: start ? Utils.toDateKey(start.date) : "",
+            startTime:
+              start && start.hasTime
+                ? Utils.minutesToTime(
+                    start.date.getHours() * 60 + start.date.getMinutes()
+                  )
+                : "",
+            duration,
+            status: event["X-STUDY-STATUS"]
+              ? event["X-STUDY-STATUS"].value
+              : "",
+            dueAt: event["X-STUDY-DUE"] ? event["X-STUDY-DUE"].value : "",
+            priority: event.PRIORITY
+              ? this.parseICSPriority(event.PRIORITY.value)
+              : "",
+            subject: event.CATEGORIES
+              ? this.unescapeICS(event.CATEGORIES.value.split(/(?<!\\),/)[0])
+              : "",
+          };
+        },
+
+        /**
+         * Maps an iCalendar PRIORITY (1 = highest, 9 = lowest, 0 = none)
+         */
+        parseICSPriority(value) {
+          const level = parseInt(value);
+          if (!(level > 0)) return "";
+          if (level <= 4) return CONFIG.PRIORITY.HIGH;
+          return level === 5 ? CONFIG.PRIORITY.MEDIUM : CONFIG.PRIORITY.LOW;
+        },
+
+        /**
+         * Parses DATE (YYYYMMDD) and DATE-TIME (YYYYMMDDTHHMMSS[Z]) values
+         */
+        parseICSDate(value) {
+          const match = value.match(
+            /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/
+          );
+          if (!match) return null;
+
+          const [, y, m, d, hh, mm, ss, utc] = match;
+          if (!hh) {
+            return { date: new Date(+y, +m - 1, +d), hasTime: false };
+          }
+
+          const date = utc
+            ? new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss))
+            : new Date(+y, +m - 1, +d, +hh, +mm, +ss);
+          return { date, hasTime: true };
+        },
+
+        /**
+         * Converts an iCalendar DURATION (e.g. PT1H30M) to minutes
+         */
+        parseICSDuration(value) {
+          const match = value.match(
+            /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/
+          );
+          if (!match) return "";
+
+          const [, weeks, days, hours, minutes] = match.map(
+            (part) => parseInt(part) || 0
+          );
+          return (weeks * 7 + days) * 1440 + hours * 60 + minutes;
+        },
+
+        /**
+         * Validates one imported row with the app's Validator rules
+         * Returns: { valid, error, value: task }
+         */
+        validateRow(data) {
+          if (!data || typeof data !== "object") {
+            return { valid: false, error: "Not a task" };
+          }
+
+          // Older exports marked reschedules with title prefixes
+          const legacy = Utils.stripReschedulePrefix(`${data.title || ""}`);
+          const title = Validator.validateTaskTitle(legacy.title);
+          if (!title.valid) return title;
+
+          const duration = Validator.validateDuration(data.duration);
+          if (!duration.valid) return duration;
+
+          const date = Validator.validateDate(data.date);
+          if (!date.valid) return date;
+
+          const status = data.status || CONFIG.STATUS.NOT_COMPLETED;
+          if (!Object.values(CONFIG.STATUS).includes(status)) {
+            return { valid: false, error: `Unknown status "${status}"` };
+          }
+
+          // Past deadlines are kept: the deadline monitor marks them missed
+          const deadline = Validator.validateDeadline(data.dueAt, true);
+          if (!deadline.valid) return deadline;
+
+          const startTime = Validator.validateStartTime(
+            data.startTime,
+            duration.value
+          );
+          if (!startTime.valid) return startTime;
+
+          const priority = Validator.validatePriority(data.priority);
+          if (!priority.valid) return priority;
+
+          const subject = this.validateSubject(data);
+          if (!subject.valid) return subject;
+
+          const task = {
+            title: title.value,
+            duration: duration.value,
+            date: date.value,
+            status,
+            priority: priority.value,
+            addedDate: new Date().toISOString(),
+          };
+          if (subject.value) {
+            task.subject = subject.value;
+          }
+
+          // Focus-timer figures from a JSON backup
+          ["actualMinutes", "interruptions"].forEach((key) => {
+            const value = parseInt(data[key]);
+            if (value > 0) task[key] = value;
+          });
+
+          // Status history from a JSON backup (malformed entries dropped)
+          if (Array.isArray(data.statusLog)) {
+            const statuses = Object.values(CONFIG.STATUS);
+            const statusLog = data.statusLog
+              .filter(
+                (entry) =>
+                  entry &&
+                  statuses.includes(entry.from) &&
+                  statuses.includes(entry.to) &&
+                  !isNaN(new Date(entry.at)) &&
+                  typeof entry.source === "string"
+              )
+              .map(({ from, to, at, source }) => ({
+                from,
+                to,
+                at: new Date(at).toISOString(),
+                source: source.slice(0, 20),
+              }))
+              .slice(-CONFIG.MAX_STATUS_LOG);
+            if (statusLog.length > 0) task.statusLog = statusLog;
+          }
+
+          // Checklist from a JSON backup: the steps set the minutes
+          if (Array.isArray(data.subtasks) && data.subtasks.length > 0) {
+            const subtasks = Validator.validateSubtasks(data.subtasks);
+            if (!subtasks.valid) return subtasks;
+
+            task.subtasks = subtasks.value;
+            task.duration = TaskManager.getPlannedMinutes(task);
+            if (
+              startTime.value &&
+              !Validator.validateStartTime(startTime.value, task.duration).valid
+            ) {
+              return { valid: false, error: "Steps run past midnight" };
+            }
+          }
+
+          // Reschedule lineage
+          const attempt = (parseInt(data.rescheduleCount) || 0) + legacy.count;
+          if (attempt > 0) {
+            task.rescheduleCount = attempt;
+          }
+          // Links to other tasks (IDs are re-linked by preview)
+          this.LINK_FIELDS.forEach((key) => {
+            if (typeof data[key] === "string" && data[key]) {
+              task[key] = data[key];
+            }
+          });
+          if (deadline.value) {
+            task.dueAt = deadline.value;
+          }
+          if (startTime.value) {
+            task.startTime = startTime.value;
+          }
+
+          // Invalid reminders fall back to the default lead time
+          const reminder = Validator.validateReminder(data.reminderMinutes);
+          if (reminder.valid && reminder.value !== null) {
+            task.reminderMinutes = reminder.value;
+          }
+
+          // An invalid part size leaves the task unsplittable
+          const minChunk = Validator.validateMinChunk(data.minChunk);
+          if (minChunk.valid && minChunk.value !== null) {
+            task.minChunk = minChunk.value;
+          }
+
+          return { valid: true, value: task };
+        },
+
+        /**
+         * Validates the subject carried by an imported row or series
+         * Returns: { valid, error, value: { name, color } | null }
+         */
+        validateSubject(data) {
+          if (!data.subject) {
+            return { valid: true, value: null };
+          }
+
+          const name = Validator.validateSubjectName(`${data.subject}`);
+          if (!name.valid) return name;
+
+          const color = Validator.validateColor(data.subjectColor);
+          return {
+            valid: true,
+            value: {
+              name: name.value,
+              color: color.valid ? color.value : null,
+            },
+          };
+        },
+
+        /**
+         * Finds or plans the subject for an imported name
+         * New subjects are collected in `created` (added on apply)
+         */
+        resolveSubject(subject, created) {
+          const all = [...AppStorage.studyData.subjects, ...created];
+          const existing = all.find(
+            (s) => s.name.toLowerCase() === subject.name.toLowerCase()
+          );
+          if (existing) return existing.id;
+          if (all.length >= CONFIG.MAX_SUBJECTS) return null;
+
+          const fresh = {
+            id: IDGenerator.generate("subject"),
+            name: subject.name,
+            color:
+              subject.color ||
+              CONFIG.SUBJECT_COLORS[all.length % CONFIG.SUBJECT_COLORS.length],
+          };
+          created.push(fresh);
+          return fresh.id;
+        },
+
+        /**
+         * Validates a goal from a JSON export
+         * Past target dates are kept: the goal is simply over
+         */
+        validateGoal(goal) {
+          if (!goal || typeof goal.id !== "string" || !goal.id) {
+            return { valid: false, error: "Goal is missing an id" };
+          }
+
+          const title = Validator.validateTaskTitle(`${goal.title || ""}`);
+          if (!title.valid) return title;
+
+          const date = Validator.validateDate(goal.targetDate);
+          if (!date.valid) return date;
+
+          const hours = Validator.validateGoalHours(goal.totalMinutes / 60);
+          if (!hours.valid) return hours;
+
+          const priority = Validator.validatePriority(goal.priority);
+          if (!priority.valid) return priority;
+
+          const subject = this.validateSubject(goal);
+          if (!subject.valid) return subject;
+
+          const value = {
+            id: goal.id,
+            title: title.value,
+            targetDate: date.value,
+            totalMinutes: hours.value,
+            priority: priority.value,
+            createdAt: isNaN(new Date(goal.createdAt))
+              ? new Date().toISOString()
+              : new Date(goal.createdAt).toISOString(),
+          };
+          if (subject.value) {
+            value.subject = subject.value;
+          }
+
+          return { valid: true, value };
+        },
+
+        /**
+         * Validates a repeat series from a JSON export
+         */
+        validateSeries(series) {
+          if (!series || !series.id) {
+            return { valid: false, error: "Series is missing an id" };
+          }
+
+          const title = Validator.validateTaskTitle(`${series.title || ""}`);
+          if (!title.valid) return title;
+
+          const duration = Validator.validateDuration(series.duration);
+          if (!duration.valid) return duration;
+
+          const date = Validator.validateDate(series.startDate);
+          if (!date.valid) return date;
+
+          const recurrence = Validator.validateRecurrence(
+            series.recurrence,
+            date.value
+          );
+          if (!recurrence.valid) return recurrence;
+
+          const priority = Validator.validatePriority(series.priority);
+          if (!priority.valid) return priority;
+
+          const subject = this.validateSubject(series);
+          if (!subject.valid) return subject;
+
+          if (
+            series.exceptions !== undefined &&
+            !Array.isArray(series.exceptions)
+          ) {
+            return {
+              valid: false,
+              error: "Series exceptions must be a list of dates",
+            };
+          }
+
+          return {
+            valid: true,
+            value: {
+              id: series.id,
+              title: title.value,
+              duration: duration.value,
+              startDate: date.value,
+              recurrence: recurrence.value,
+              priority: priority.value,
+              ...(subject.value ? { subject: subject.value } : {}),
+              exceptions: (series.exceptions || []).filter(
+                (dateKey) => Validator.validateDate(dateKey).valid
+              ),
+              addedDate: series.addedDate || new Date().toISOString(),
+              ...(Validator.validateStartTime(series.startTime, duration.value)
+                .value
+                ? { startTime: series.startTime }
+                : {}),
+              ...(Validator.validateReminder(series.reminderMinutes).value !==
+              null
+                ? { reminderMinutes: series.reminderMinutes }
+                : {}),
+            },
+          };
+        },
+
+        /**
+         * DRY RUN: parses and validates a file without changing the plan
+         * Returns: { fileName, format, toAdd, series, subjects, skipped,
+         *            rejected, settings }
+         */
+        preview(fileName, text) {
+          const format = this.detectFormat(fileName, text);
+          const parsed =
+            format === "json"
+              ? this.parseJSON(text)
+              : format === "ics"
+              ? this.parseICS(text)
+              : this.parseCSV(text);
+
+          // Series new to this plan (existing ones are left untouched)
+          const series = [];
+          const subjects = [];
+          const rejected = [];
+          const linkSubject = (item) => {
+            if (!item.subject) return;
+            const subjectId = this.resolveSubject(item.subject, subjects);
+            if (subjectId) item.subjectId = subjectId;
+            delete item.subject;
+          };
+
+          parsed.series.forEach((raw, index) => {
+            if (TaskManager.getSeries(raw && raw.id)) return;
+
+            const result = this.validateSeries(raw);
+            if (result.valid) {
+              series.push(result.value);
+            } else {
+              rejected.push({
+                label: `Series ${index + 1}`,
+                error: result.error,
+              });
+            }
+          });
+
+          const knownSeries = new Set([
+            ...AppStorage.studyData.series.map((s) => s.id),
+            ...series.map((s) => s.id),
+          ]);
+
+          // Goals new to this plan (existing ones are left untouched)
+          const goals = [];
+          parsed.goals.forEach((raw, index) => {
+            if (GoalPlanner.getGoal(raw && raw.id)) return;
+
+            const result = this.validateGoal(raw);
+            if (result.valid) {
+              goals.push(result.value);
+            } else {
+              rejected.push({
+                label: `Goal ${index + 1}`,
+                error: result.error,
+              });
+            }
+          });
+          const knownGoals = new Set([
+            ...AppStorage.studyData.goals.map((g) => g.id),
+            ...goals.map((g) => g.id),
+          ]);
+          const seen = new Set();
+          const toAdd = [];
+          const skipped = [];
+          // Exported task ID → ID given to the imported copy
+          const importedIds = {};
+
+          parsed.rows.forEach((row) => {
+            const result = this.validateRow(row.data);
+            if (!result.valid) {
+              rejected.push({ label: row.label, error: result.error });
+              return;
+            }
+
+            const task = result.value;
+            const key = `${task.title}|${task.date}|${task.duration}`;
+            if (AppStorage.isDuplicateTask(task) || seen.has(key)) {
+              skipped.push({ label: row.label, task });
+              return;
+            }
+            seen.add(key);
+            linkSubject(task);
+
+            // Keep occurrences linked when their series comes along
+            const { seriesId, occurrenceDate, detached } = row.data;
+            if (seriesId && knownSeries.has(seriesId) && occurrenceDate) {
+              task.id = `${seriesId}_${occurrenceDate}`;
+              task.seriesId = seriesId;
+              task.occurrenceDate = occurrenceDate;
+              if (detached) task.detached = true;
+            } else {
+              task.id = IDGenerator.generate();
+            }
+
+            // Sessions stay with their goal when it comes along
+            if (knownGoals.has(row.data.goalId)) {
+              task.goalId = row.data.goalId;
+            }
+
+            if (typeof row.data.id === "string") {
+              importedIds[row.data.id] = task.id;
+            }
+            toAdd.push(task);
+          });
+
+          // Keep reschedule chains, split checklists and split parts
+          // pointing at the imported copies
+          toAdd.forEach((task) => {
+            this.LINK_FIELDS.forEach((key) => {
+              if (task[key] && importedIds[task[key]]) {
+                task[key] = importedIds[task[key]];
+              }
+            });
+          });
+
+          // Only series and goals that are actually added create subjects
+          series.forEach(linkSubject);
+          goals.forEach(linkSubject);
+
+          return {
+            fileName,
+            format,
+            toAdd,
+            series,
+            goals,
+            subjects,
+            skipped,
+            rejected,
+            settings: this.validateSettings(parsed.settings),
+          };
+        },
+
+        /**
+         * Validates settings carried by a JSON export (null if unusable)
+         */
+        validateSettings(settings) {
+          if (!settings) return null;
+
+          const dailyLimit = parseInt(settings.dailyLimit);
+          const windowHours = parseInt(settings.approachingWindowHours);
+          if (
+            isNaN(dailyLimit) ||
+            dailyLimit <= 0 ||
+            isNaN(windowHours) ||
+            windowHours <= 0 ||
+            windowHours > CONFIG.MAX_APPROACHING_WINDOW_HOURS
+          ) {
+            return null;
+          }
+
+          // Keep only valid weekday windows (older exports have none)
+          const availability = { ...CONFIG.DEFAULT_SETTINGS.availability };
+          Object.keys(availability).forEach((dayId) => {
+            if (settings.availability && dayId in settings.availability) {
+              const window = Validator.validateAvailability(
+                settings.availability[dayId]
+              );
+              if (window.valid) availability[dayId] = window.value;
+            }
+          });
+
+          const dayLimits = {};
+          Object.entries(settings.dayLimits || {}).forEach(([dayId, limit]) => {
+            const validation = Validator.validateLimit(limit);
+            if (
+              CONFIG.DAYS.includes(dayId) &&
+              validation.valid &&
+              validation.value !== null
+            ) {
+              dayLimits[dayId] = validation.value;
+            }
+          });
+
+          const limitOverrides = {};
+          Object.entries(settings.limitOverrides || {}).forEach(
+            ([dateKey, limit]) => {
+              const validation = Validator.validateLimit(limit);
+              if (
+                Validator.validateDate(dateKey).valid &&
+                validation.valid &&
+                validation.value !== null
+              ) {
+                limitOverrides[dateKey] = validation.value;
+              }
+            }
+          );
+
+          const weekly = Validator.validateLimit(
+            settings.weeklyLimit,
+            1,
+            CONFIG.MAX_WEEKLY_LIMIT
+          );
+
+          return {
+            dailyLimit,
+            approachingWindowHours: windowHours,
+            availability,
+            dayLimits,
+            limitOverrides,
+            weeklyLimit: weekly.valid ? weekly.value : null,
+            focusMode: CONFIG.FOCUS_MODES.includes(settings.focusMode)
+              ? settings.focusMode
+              : CONFIG.DEFAULT_SETTINGS.focusMode,
+            focusAutoComplete:
+              typeof settings.focusAutoComplete === "boolean"
+                ? settings.focusAutoComplete
+                : CONFIG.DEFAULT_SETTINGS.focusAutoComplete,
+            rescheduleDaysAhead: Validator.validateRescheduleDays(
+              settings.rescheduleDaysAhead
+            ).valid
+              ? parseInt(settings.rescheduleDaysAhead)
+              : CONFIG.DEFAULT_SETTINGS.rescheduleDaysAhead,
+            maxReschedules: Validator.validateMaxReschedules(
+              settings.maxReschedules
+            ).valid
+              ? parseInt(settings.maxReschedules)
+              : CONFIG.DEFAULT_SETTINGS.maxReschedules,
+            ...this.validateReminderSettings(settings),
+          };
+        },
+
+        /**
+         * Reminder settings from a JSON export (defaults when invalid)
+         * Notifications stay off: this browser has to grant permission
+         */
+        validateReminderSettings(settings) {
+          const defaults = CONFIG.DEFAULT_SETTINGS;
+          const lead = Validator.validateReminder(settings.reminderMinutes);
+          const time = (value, fallback) => {
+            if (value === null) return null;
+            const validation = Validator.validateStartTime(value);
+            return validation.valid && validation.value
+              ? validation.value
+              : fallback;
+          };
+
+          return {
+            reminderMinutes: Number.isInteger(lead.value)
+              ? lead.value
+              : defaults.reminderMinutes,
+            digestTime: time(settings.digestTime, defaults.digestTime),
+            nudgeTime: time(settings.nudgeTime, defaults.nudgeTime),
+          };
+        },
+
+        /**
+         * Adds a previewed import to the plan
+         * Algorithm: Add subjects → Add series and goals → Add tasks →
+         *            Optional settings → Save
+         */
+        async apply(preview, restoreSettings) {
+          const data = AppStorage.studyData;
+
+          data.subjects = [...data.subjects, ...preview.subjects];
+          data.series.push(...preview.series);
+          data.goals.push(...preview.goals);
+          data.tasks.push(...preview.toAdd);
+
+          if (restoreSettings && preview.settings) {
+            data.dailyLimit = preview.settings.dailyLimit;
+            data.settings.approachingWindowHours =
+              preview.settings.approachingWindowHours;
+            data.settings.availability = preview.settings.availability;
+            data.settings.dayLimits = preview.settings.dayLimits;
+            data.settings.limitOverrides = preview.settings.limitOverrides;
+            data.settings.weeklyLimit = preview.settings.weeklyLimit;
+            data.settings.focusMode = preview.settings.focusMode;
+            data.settings.focusAutoComplete =
+              preview.settings.focusAutoComplete;
+            data.settings.rescheduleDaysAhead =
+              preview.settings.rescheduleDaysAhead;
+            data.settings.maxReschedules = preview.settings.maxReschedules;
+            data.settings.reminderMinutes = preview.settings.reminderMinutes;
+            data.settings.digestTime = preview.settings.digestTime;
+            data.settings.nudgeTime = preview.settings.nudgeTime;
+          }
+
+          TaskManager.evaluateDeadlines();
+          await AppStorage.save();
+          return preview.toAdd.length;
+        },
+      };
+
+      // ============================================
+      // 15. DOM BUILDER (Factory Pattern)
+      // ============================================
+      const DOMBuilder = {
+        /**
+         * Builds the display label for a task
+         * Recurring occurrences get a 🔁 marker
+         */
+        getTaskLabel(task) {
+          const marker = task.seriesId ? "🔁 " : "";
+          const time = task.startTime ? `${task.startTime} ` : "";
+          return `${marker}${time}${task.title} (${task.duration}m)`;
+        },
+
+        /**
+         * Fills an element with a task's label, wrapping search matches
+         * in <mark> (only when the task passes every filter)
+         */
+        setHighlightedLabel(element, task) {
+          const text = this.getTaskLabel(task);
+          const parts = TaskSearch.matches(task)
+            ? TaskSearch.getHighlightParts(text)
+            : [{ text, match: false }];
+
+          element.textContent = "";
+          parts.forEach((part) => {
+            if (part.match) {
+              const mark = document.createElement("mark");
+              mark.textContent = part.text;
+              element.appendChild(mark);
+            } else {
+              element.appendChild(document.createTextNode(part.text));
+            }
+          });
+        },
+
+        /**
+         * Flags a task element as a search match, or dims it when
+         * filters are active and it does not match
+         */
+        markSearchMatch(element, task) {
+          if (!TaskSearch.isActive()) return;
+          element.classList.add(
+            TaskSearch.matches(task) ? "search-match" : "search-dimmed"
+          );
+        },
+
+        /**
+         * Creates the priority flag and subject chip for a task
+         * Medium priority is the default and gets no flag
+         */
+        createTaskTags(task) {
+          const tags = document.createElement("span");
+          tags.className = "task-tags";
+
+          const priority = TaskManager.getPriority(task);
+          if (priority !== CONFIG.DEFAULT_PRIORITY) {
+            const flag = document.createElement("span");
+            flag.className = `priority-flag ${priority}`;
+            flag.textContent = CONFIG.PRIORITY_LABELS[priority];
+            tags.appendChild(flag);
+          }
+
+          if (task.rescheduleCount > 0) {
+            const badge = document.createElement("span");
+            badge.className = "reschedule-badge";
+            badge.textContent = `↻ ${task.rescheduleCount}`;
+            badge.title = `Rescheduled ${task.rescheduleCount} time(s)`;
+            tags.appendChild(badge);
+          }
+
+          const partLabel = TaskManager.getPartLabel(task);
+          if (partLabel) {
+            const badge = document.createElement("span");
+            badge.className = "part-badge";
+            badge.textContent = partLabel;
+            badge.title =
+              "Split to fit the daily limit - parts are completed together";
+            tags.appendChild(badge);
+          }
+
+          if (GoalPlanner.getGoal(task.goalId)) {
+            const badge = document.createElement("span");
+            badge.className = "goal-badge";
+            badge.textContent = "🎯";
+            badge.title = "Planned session of a goal";
+            tags.appendChild(badge);
+          }
+
+          if (task.continuedFrom) {
+            const badge = document.createElement("span");
+            badge.className = "continued-badge";
+            badge.textContent = "↪ continued";
+            badge.title = "Remaining steps moved here to fit the daily limit";
+            tags.appendChild(badge);
+          }
+
+          const subject = TaskManager.getSubject(task.subjectId);
+          if (subject) {
+            const chip = document.createElement("span");
+            chip.className = "subject-chip";
+            chip.style.backgroundColor = subject.color;
+            chip.textContent = Utils.unescapeHtml(subject.name);
+            tags.appendChild(chip);
+          }
+
+          return tags;
+        },
+
+        /**
+         * Creates the "first attempt → ... → latest" line of a
+         * rescheduled task (null when it was never rescheduled)
+         */
+        createRescheduleChain(task) {
+          const chain = TaskManager.getRescheduleChain(task);
+          if (chain.length < 2) return null;
+
+          const line = document.createElement("div");
+          line.className = "reschedule-chain";
+          line.textContent = `↻ ${chain
+            .map(
+              (attempt) =>
+                `${Utils.formatDate(attempt.date)} (${
+                  attempt.id === task.id
+                    ? "this"
+                    : attempt.status.replace("-", " ")
+                })`
+            )
+            .join(" → ")}`;
+          return line;
+        },
+
+        /**
+         * Creates the collapsible status history of a task
+         * (null when its status never changed)
+         */
+        createStatusLog(task) {
+          if (!task.statusLog || task.statusLog.length === 0) return null;
+
+          const details = document.createElement("details");
+          details.className = "status-log";
+
+          const summary = document.createElement("summary");
+          summary.textContent = `Status history (${task.statusLog.length})`;
+          details.appendChild(summary);
+
+          const list = document.createElement("ul");
+          [...task.statusLog].reverse().forEach((entry) => {
+            const item = document.createElement("li");
+            item.textContent = `${Utils.formatTimestamp(
+              entry.at
+            )}: ${entry.from.replace("-", " ")} → ${entry.to.replace(
+              "-",
+              " "
+            )} (${entry.source})`;
+            list.appendChild(item);
+          });
+          details.appendChild(list);
+
+          return details;
+        },
+
+        /**
+         * Creates a goal's row: countdown, progress bar and actions
+         */
+        createGoalItem(goal) {
+          const progress = GoalPlanner.getProgress(goal);
+          const today = Utils.getTodayKey();
+          const daysLeft = Utils.daysBetween(today, goal.targetDate);
+
+          const item = document.createElement("li");
+          item.className = "goal-item";
+
+          const header = document.createElement("div");
+          header.className = "goal-header";
+
+          const title = document.createElement("strong");
+          title.textContent = Utils.unescapeHtml(goal.title);
+
+          const due = document.createElement("small");
+          due.textContent = `🎯 ${Utils.formatDate(goal.targetDate)} - ${
+            daysLeft > 0 ? `${daysLeft} day(s) left` : "target date reached"
+          }`;
+
+          header.appendChild(title);
+          header.appendChild(due);
+          item.appendChild(header);
+
+          const bar = document.createElement("div");
+          bar.className = "goal-progress-bar";
+          bar.setAttribute("role", "progressbar");
+          bar.setAttribute("aria-valuemin", "0");
+          bar.setAttribute("aria-valuemax", "100");
+          bar.setAttribute("aria-valuenow", progress.percent);
+
+          const fill = document.createElement("div");
+          fill.className = "goal-progress-fill";
+          fill.style.width = `${progress.percent}%`;
+          bar.appendChild(fill);
+          item.appendChild(bar);
+
+          const details = document.createElement("small");
+          details.className = "goal-details";
+          details.textContent = `${Utils.formatTime(
+            progress.completed
+          )} of ${Utils.formatTime(progress.total)} done · ${Utils.formatTime(
+            progress.planned
+          )} planned${
+            progress.missed > 0
+              ? ` · ${Utils.formatTime(progress.missed)} missed`
+              : ""
+          }`;
+          item.appendChild(details);
+
+          if (progress.unplanned > 0 && daysLeft > 0) {
+            const warning = document.createElement("small");
+            warning.className = "goal-warning";
+            warning.textContent = `⚠️ ${Utils.formatTime(
+              progress.unplanned
+            )} not planned yet - raise your limits, then re-plan`;
+            item.appendChild(warning);
+          }
+
+          const actions = document.createElement("div");
+          actions.className = "goal-actions";
+
+          if (daysLeft > 0) {
+            const replanBtn = document.createElement("button");
+            replanBtn.className = "edit-btn";
+            replanBtn.textContent = "Re-plan";
+            replanBtn.onclick = () => Handlers.handleReplanGoal(goal.id);
+            actions.appendChild(replanBtn);
+          }
+
+          const deleteBtn = document.createElement("button");
+          deleteBtn.className = "delete-btn";
+          deleteBtn.textContent = "×";
+          deleteBtn.setAttribute("aria-label", "Delete goal");
+          deleteBtn.onclick = () => Handlers.handleDeleteGoal(goal.id);
+          actions.appendChild(deleteBtn);
+
+          item.appendChild(actions);
+          return item;
+        },
+
+        /**
+         * Creates the checklist progress bar of a task
+         * (null when it has no steps)
+         */
+        createSubtaskProgress(task) {
+          const progress = TaskManager.getSubtaskProgress(task);
+          if (!progress) return null;
+
+          const wrapper = document.createElement("span");
+          wrapper.className = "subtask-progress";
+
+          const bar = document.createElement("span");
+          bar.className = "subtask-progress-bar";
+          bar.setAttribute("role", "progressbar");
+          bar.setAttribute("aria-valuemin", "0");
+          bar.setAttribute("aria-valuemax", progress.totalMinutes);
+          bar.setAttribute("aria-valuenow", progress.doneMinutes);
+
+          const fill = document.createElement("span");
+          fill.className = "subtask-progress-fill";
+          fill.style.width = `${Math.round(
+            (progress.doneMinutes / progress.totalMinutes) * 100
+          )}%`;
+          bar.appendChild(fill);
+
+          const label = document.createElement("span");
+          label.className = "subtask-progress-label";
+          label.textContent = `${progress.done}/${progress.total} steps`;
+
+          wrapper.appendChild(bar);
+          wrapper.appendChild(label);
+          return wrapper;
+        },
+
+        /**
+         * Creates the checklist of a task for the day detail
+         * Steps can be ticked unless the task was missed; adding,
+         * removing and reordering needs a task that is still open
+         */
+        createSubtaskList(task) {
+          const editable = TaskManager.canMove(task);
+          if (!task.subtasks && !editable) return null;
+
+          const wrapper = document.createElement("div");
+          wrapper.className = "subtask-list";
+
+          const list = document.createElement("ol");
+          (task.subtasks || []).forEach((step, index, steps) => {
+            const item = document.createElement("li");
+            item.className = step.done ? "subtask-item done" : "subtask-item";
+            if (step.remainder) {
+              item.classList.add("remainder");
+              item.title =
+                "Planned minutes no step covers yet - new steps take their time from here";
+            }
+
+            const label = document.createElement("label");
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = step.done;
+            checkbox.disabled = task.status === CONFIG.STATUS.MISSED;
+            checkbox.onchange = () =>
+              Handlers.handleToggleSubtask(task.id, step.id);
+
+            const title = document.createElement("span");
+            title.textContent = `${Utils.unescapeHtml(step.title)} (${
+              step.duration
+            }m)`;
+
+            label.appendChild(checkbox);
+            label.appendChild(title);
+            item.appendChild(label);
+
+            if (editable) {
+              const addButton = (text, ariaLabel, disabled, onclick) => {
+                const button = document.createElement("button");
+                button.type = "button";
+                button.className = "subtask-btn";
+                button.textContent = text;
+                button.setAttribute("aria-label", ariaLabel);
+                button.disabled = disabled;
+                button.onclick = onclick;
+                item.appendChild(button);
+              };
+
+              addButton("↑", "Move step up", index === 0, () =>
+                Handlers.handleMoveSubtask(task.id, step.id, -1)
+              );
+              addButton("↓", "Move step down", index === steps.length - 1, () =>
+                Handlers.handleMoveSubtask(task.id, step.id, 1)
+              );
+              addButton(
+                "×",
+                step.remainder
+                  ? "Remove unassigned time (shortens the task)"
+                  : "Remove step",
+                false,
+                () => Handlers.handleRemoveSubtask(task.id, step.id)
+              );
+            }
+
+            list.appendChild(item);
+          });
+          wrapper.appendChild(list);
+
+          if (editable) {
+            const form = document.createElement("form");
+            form.className = "subtask-add";
+
+            const title = document.createElement("input");
+            title.type = "text";
+            title.name = "subtaskTitle";
+            title.placeholder = task.subtasks
+              ? "Next step"
+              : "Break into steps";
+            title.maxLength = CONFIG.MAX_TITLE_LENGTH;
+
+            const duration = document.createElement("input");
+            duration.type = "number";
+            duration.name = "subtaskDuration";
+            duration.placeholder = "min";
+            duration.min = 1;
+            duration.max = CONFIG.MAX_TASK_DURATION;
+
+            const addBtn = document.createElement("button");
+            addBtn.type = "submit";
+            addBtn.className = "edit-btn";
+            addBtn.textContent = "+ Step";
+
+            form.appendChild(title);
+            form.appendChild(duration);
+            form.appendChild(addBtn);
+            form.onsubmit = (e) => {
+              e.preventDefault();
+              Handlers.handleAddSubtask(task.id, form);
+            };
+            wrapper.appendChild(form);
+
+            if (!task.subtasks) {
+              const hint = document.createElement("small");
+              hint.className = "modal-hint";
+              hint.textContent =
+                "Steps share the task's minutes; the task only grows if they need more.";
+              wrapper.appendChild(hint);
+            }
+          }
+
+          return wrapper;
+        },
+
+        /**
+         * Creates a button that starts the focus timer for a task
+         */
+        createFocusButton(task, label) {
+          const button = document.createElement("button");
+          button.className = "focus-btn";
+          button.textContent = label;
+          button.setAttribute(
+            "aria-label",
+            `Start focus timer for ${task.title}`
+          );
+          button.onclick = (e) => {
+            e.stopPropagation();
+            Handlers.handleStartFocus(task.id);
+          };
+          return button;
+        },
+
+        /**
+         * Creates the inline edit form for a task
+         * Enter saves, Escape (or Cancel) calls onCancel
+         */
+        createTaskEditForm(task, onCancel) {
+          const form = document.createElement("form");
+          form.className = "task-edit-form";
+
+          const addField = (label, input) => {
+            const wrapper = document.createElement("label");
+            wrapper.textContent = label;
+            wrapper.appendChild(input);
+            form.appendChild(wrapper);
+            return input;
+          };
+
+          const createInput = (type, name, value) => {
+            const input = document.createElement("input");
+            input.type = type;
+            input.name = name;
+            input.value = value;
+            return input;
+          };
+
+          const title = addField(
+            "Title",
+            createInput("text", "title", Utils.unescapeHtml(task.title))
+          );
+          title.maxLength = CONFIG.MAX_TITLE_LENGTH;
+
+          const duration = addField(
+            "Minutes",
+            createInput("number", "duration", task.duration)
+          );
+          duration.min = 1;
+          duration.max = CONFIG.MAX_TASK_DURATION;
+          if (task.subtasks) {
+            duration.readOnly = true;
+            duration.title = "Total of the task's steps";
+          }
+
+          addField("Date", createInput("date", "date", task.date));
+          addField(
+            "Start",
+            createInput("time", "startTime", task.startTime || "")
+          );
+
+          const priority = document.createElement("select");
+          priority.name = "priority";
+          Object.values(CONFIG.PRIORITY).forEach((level) => {
+            const option = document.createElement("option");
+            option.value = level;
+            option.textContent = CONFIG.PRIORITY_LABELS[level];
+            priority.appendChild(option);
+          });
+          priority.value = TaskManager.getPriority(task);
+          addField("Priority", priority);
+
+          const subject = document.createElement("select");
+          subject.name = "subjectId";
+          subject.innerHTML = '<option value="">No subject</option>';
+          AppStorage.studyData.subjects.forEach((s) => {
+            const option = document.createElement("option");
+            option.value = s.id;
+            option.textContent = Utils.unescapeHtml(s.name);
+            subject.appendChild(option);
+          });
+          subject.value = task.subjectId || "";
+          addField("Subject", subject);
+
+          const reminder = document.createElement("select");
+          reminder.name = "reminderMinutes";
+          reminder.innerHTML =
+            '<option value="">Default reminder</option><option value="off">No reminder</option>';
+          CONFIG.REMINDER_CHOICES.forEach((minutes) => {
+            const option = document.createElement("option");
+            option.value = minutes;
+            option.textContent =
+              minutes === 0 ? "At start" : `${minutes} min before`;
+            reminder.appendChild(option);
+          });
+          // Custom lead times from imports still show up
+          if (
+            Number.isInteger(task.reminderMinutes) &&
+            !CONFIG.REMINDER_CHOICES.includes(task.reminderMinutes)
+          ) {
+            const option = document.createElement("option");
+            option.value = task.reminderMinutes;
+            option.textContent = `${task.reminderMinutes} min before`;
+            reminder.appendChild(option);
+          }
+          reminder.value =
+            task.reminderMinutes === undefined ? "" : task.reminderMinutes;
+          addField("Reminder", reminder);
+
+          // Occurrences of a repeating task are never split
+          if (!task.seriesId) {
+            const minChunk = document.createElement("select");
+            minChunk.name = "minChunk";
+            minChunk.innerHTML = '<option value="">Keep whole</option>';
+            // Custom part sizes from imports still show up
+            const choices =
+              task.minChunk && !CONFIG.CHUNK_CHOICES.includes(task.minChunk)
+                ? [...CONFIG.CHUNK_CHOICES, task.minChunk]
+                : CONFIG.CHUNK_CHOICES;
+            choices.forEach((minutes) => {
+              const option = document.createElement("option");
+              option.value = minutes;
+              option.textContent = `Parts of ${minutes}+ min`;
+              minChunk.appendChild(option);
+            });
+            minChunk.value = task.minChunk || "";
+            addField("Split", minChunk);
+          }
+
+          // Occurrences of a repeating task cannot carry a deadline
+          if (!task.seriesId) {
+            addField(
+              "Deadline",
+              createInput("datetime-local", "dueAt", task.dueAt || "")
+            );
+          }
+
+          const actions = document.createElement("div");
+          actions.className = "task-edit-actions";
+
+          const saveBtn = document.createElement("button");
+          saveBtn.type = "submit";
+          saveBtn.className = "edit-btn";
+          saveBtn.textContent = "Save";
+
+          const cancelBtn = document.createElement("button");
+          cancelBtn.type = "button";
+          cancelBtn.className = "skip-btn";
+          cancelBtn.textContent = "Cancel";
+          cancelBtn.onclick = onCancel;
+
+          actions.appendChild(saveBtn);
+          actions.appendChild(cancelBtn);
+          form.appendChild(actions);
+
+          form.onsubmit = (e) => {
+            e.preventDefault();
+            Handlers.handleSaveTaskEdit(task.id, form);
+          };
+
+          // Keep clicks and Escape inside the form (day cards and modals
+          // listen for them)
+          form.onclick = (e) => e.stopPropagation();
+          form.onkeydown = (e) => {
+            if (e.key === "Escape") {
+              e.stopPropagation();
+              onCancel();
+            }
+          };
+
+          setTimeout(() => title.focus(), 0);
+          return form;
+        },
+
+        /**
+         * Swaps an element for a task's edit form until saved or cancelled
+         */
+        startInlineEdit(element, task) {
+          const holder = document.createElement(element.tagName);
+          holder.className = `${element.className} editing`;
+
+          holder.appendChild(
+            this.createTaskEditForm(task, () => holder.replaceWith(element))
+          );
+          element.replaceWith(holder);
+        },
+
+        /**
+         * Creates a task list item element
+         */
+        createTaskElement(task) {
+          const li = document.createElement("li");
+          li.className = `task-item ${task.status}`;
+
+          const infoDiv = document.createElement("div");
+          infoDiv.className = "task-item-info";
+
+          const titleSpan = document.createElement("span");
+          this.setHighlightedLabel(titleSpan, task);
+
+          const badge = document.createElement("span");
+          badge.className = `status-badge ${task.status}`;
+          badge.textContent = task.status.replace("-", " ").toUpperCase();
+
+          infoDiv.appendChild(titleSpan);
+          infoDiv.appendChild(this.createTaskTags(task));
+          const progress = this.createSubtaskProgress(task);
+          if (progress) infoDiv.appendChild(progress);
+          infoDiv.appendChild(badge);
+
+          const editBtn = document.createElement("button");
+          editBtn.className = "edit-btn";
+          editBtn.textContent = "✎";
+          editBtn.setAttribute("aria-label", "Edit task");
+          editBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.startInlineEdit(li, task);
+          };
+
+          const deleteBtn = document.createElement("button");
+          deleteBtn.className = "delete-btn";
+          deleteBtn.textContent = "×";
+          deleteBtn.onclick = (e) => {
+            e.stopPropagation();
+            Handlers.handleDeleteTask(task.id);
+          };
+
+          const actions = document.createElement("div");
+          actions.className = "task-item-actions";
+          actions.appendChild(editBtn);
+          actions.appendChild(deleteBtn);
+
+          li.appendChild(infoDiv);
+          li.appendChild(actions);
+          this.markSearchMatch(li, task);
+          DragDrop.makeDraggable(li, task);
+
+          return li;
+        },
+
+        /**
+         * Creates a day card element for a calendar date
+         */
+        createDayCard(dateKey, tasks, totalTime) {
+          const dayConfig = Utils.getDayConfig(dateKey);
+          const card = document.createElement("div");
+          card.className = "day-card";
+
+          const dayLimit = TaskManager.getDayLimit(dateKey);
+          const isOverLimit = totalTime > dayLimit;
+          if (isOverLimit) {
+            card.classList.add("over-limit");
+          }
+          if (dayLimit === 0) {
+            card.classList.add("rest-day");
+          }
+
+          if (dateKey === Utils.getTodayKey()) {
+            card.classList.add("today");
+          }
+
+          // Header
+          const header = document.createElement("div");
+          header.className = "day-card-header";
+
+          const title = document.createElement("h3");
+          title.textContent = `${dayConfig.emoji} ${dayConfig.name}`;
+
+          const dateLabel = document.createElement("small");
+          dateLabel.className = "day-date";
+          dateLabel.textContent = Utils.formatDate(dateKey);
+          title.appendChild(dateLabel);
+
+          const timeSpan = document.createElement("span");
+          timeSpan.className = "day-time";
+          timeSpan.textContent = `${Utils.formatTime(totalTime)} / ${
+            dayLimit === 0 ? "rest day" : Utils.formatTime(dayLimit)
+          }`;
+
+          header.appendChild(title);
+          header.appendChild(timeSpan);
+
+          // Task list
+          const ul = document.createElement("ul");
+          ul.className = "task-list";
+
+          if (tasks.length === 0) {
+            const li = document.createElement("li");
+            li.className = "task-item";
+            li.textContent = "No tasks scheduled";
+            ul.appendChild(li);
+          } else {
+            tasks.forEach((task) => {
+              ul.appendChild(this.createTaskElement(task));
+            });
+          }
+
+          card.appendChild(header);
+          card.appendChild(ul);
+          DragDrop.makeDropTarget(card, dateKey);
+
+          // Click handler
+          card.onclick = () => {
+            UI.showDayDetail(dateKey, totalTime);
+          };
+
+          return card;
+        },
+
+        /**
+         * Creates calendar day element for a calendar date
+         */
+        createCalendarDay(dateKey, tasks, totalTime) {
+          const dayConfig = Utils.getDayConfig(dateKey);
+          const div = document.createElement("div");
+          div.className = "calendar-day";
+
+          if (dateKey === Utils.getTodayKey()) {
+            div.classList.add("today");
+          }
+
+          const header = document.createElement("div");
+          header.className = "calendar-day-header";
+          header.textContent = `${dayConfig.emoji} ${
+            dayConfig.name
+          }, ${Utils.formatDate(dateKey)} - ${Utils.formatTime(totalTime)}`;
+
+          div.appendChild(header);
+
+          if (tasks.length === 0) {
+            const emptyDiv = document.createElement("div");
+            emptyDiv.style.padding = "5px 0";
+            emptyDiv.style.color = "#999";
+            emptyDiv.style.fontSize = "13px";
+            emptyDiv.textContent = "No tasks";
+            div.appendChild(emptyDiv);
+          } else {
+            tasks.forEach((task) => {
+              const taskDiv = document.createElement("div");
+              taskDiv.className = "calendar-task";
+              taskDiv.style.color = CONFIG.STATUS_COLORS[task.status];
+              const label = document.createElement("span");
+              this.setHighlightedLabel(label, task);
+              taskDiv.appendChild(label);
+              this.markSearchMatch(taskDiv, task);
+              DragDrop.makeDraggable(taskDiv, task);
+              div.appendChild(taskDiv);
+            });
+          }
+
+          DragDrop.makeDropTarget(div, dateKey);
+          return div;
+        },
+
+        /**
+         * Creates the hour-by-hour grid for a week
+         * Technique: Absolute positioning (minutes → pixels)
+         * Shows availability windows, timed sessions, overlaps and
+         * a list of unscheduled sessions under each day.
+         */
+        createTimeGrid(dateKeys) {
+          const windows = dateKeys.map((d) => TaskManager.getAvailability(d));
+          const timed = dateKeys
+            .flatMap((d) => TaskManager.getTasksByDay(d))
+            .filter((t) => t.startTime);
+
+          // Default hours, stretched to fit every window and session
+          let startHour = CONFIG.GRID_START_HOUR;
+          let endHour = CONFIG.GRID_END_HOUR;
+          const spans = [
+            ...windows
+              .filter(Boolean)
+              .map((w) => [
+                Utils.timeToMinutes(w.start),
+                Utils.timeToMinutes(w.end),
+              ]),
+            ...timed.map((t) => {
+              const start = Utils.timeToMinutes(t.startTime);
+              return [start, start + t.duration];
+            }),
+          ];
+          spans.forEach(([start, end]) => {
+            startHour = Math.min(startHour, Math.floor(start / 60));
+            endHour = Math.max(endHour, Math.ceil(end / 60));
+          });
+          endHour = Math.min(endHour, 24);
+
+          const pxPerMinute = CONFIG.GRID_HOUR_HEIGHT / 60;
+          const toPx = (minutes) =>
+            `${(minutes - startHour * 60) * pxPerMinute}px`;
+          const bodyHeight = `${
+            (endHour - startHour) * CONFIG.GRID_HOUR_HEIGHT
+          }px`;
+
+          const grid = document.createElement("div");
+          grid.className = "time-grid";
+
+          // Hour labels column
+          const hoursColumn = document.createElement("div");
+          hoursColumn.className = "time-grid-hours";
+          const corner = document.createElement("div");
+          corner.className = "time-grid-day-header";
+          hoursColumn.appendChild(corner);
+
+          const hoursBody = document.createElement("div");
+          hoursBody.className = "time-grid-hours-body";
+          hoursBody.style.height = bodyHeight;
+          for (let hour = startHour; hour < endHour; hour++) {
+            const label = document.createElement("div");
+            label.className = "time-grid-hour";
+            label.style.top = toPx(hour * 60);
+            label.textContent = Utils.minutesToTime(hour * 60);
+            hoursBody.appendChild(label);
+          }
+          hoursColumn.appendChild(hoursBody);
+          grid.appendChild(hoursColumn);
+
+          dateKeys.forEach((dateKey, index) => {
+            const dayConfig = Utils.getDayConfig(dateKey);
+            const tasks = TaskManager.getTasksByDay(dateKey);
+            const overlaps = TaskManager.findOverlaps(dateKey);
+            const openDetail = () =>
+              UI.showDayDetail(dateKey, TaskManager.calculateDayTime(dateKey));
+
+            const column = document.createElement("div");
+            column.className = "time-grid-day";
+            if (dateKey === Utils.getTodayKey()) {
+              column.classList.add("today");
+            }
+
+            const header = document.createElement("div");
+            header.className = "time-grid-day-header";
+            header.textContent = `${dayConfig.name.slice(
+              0,
+              3
+            )} ${Utils.formatDate(dateKey)}`;
+            header.onclick = openDetail;
+            column.appendChild(header);
+
+            const body = document.createElement("div");
+            body.className = "time-grid-body";
+            body.style.height = bodyHeight;
+            body.style.backgroundSize = `100% ${CONFIG.GRID_HOUR_HEIGHT}px`;
+
+            const window = windows[index];
+            if (window) {
+              const start = Utils.timeToMinutes(window.start);
+              const available = document.createElement("div");
+              available.className = "time-grid-available";
+              available.style.top = toPx(start);
+              available.style.height = `${
+                (Utils.timeToMinutes(window.end) - start) * pxPerMinute
+              }px`;
+              body.appendChild(available);
+            }
+
+            let overlapIndex = 0;
+            tasks
+              .filter((t) => t.startTime)
+              .forEach((task) => {
+                const block = document.createElement("div");
+                block.className = `time-grid-session ${task.status}`;
+                block.style.top = toPx(Utils.timeToMinutes(task.startTime));
+                block.style.height = `${task.duration * pxPerMinute}px`;
+                block.style.borderLeftColor = CONFIG.STATUS_COLORS[task.status];
+                block.textContent = `${Utils.formatTimeRange(
+                  task.startTime,
+                  task.duration
+                )} ${task.title}`;
+
+                // Overlapping sessions share the column side by side
+                if (overlaps.has(task.id)) {
+                  block.classList.add("overlap");
+                  block.classList.add(overlapIndex++ % 2 ? "right" : "left");
+                  block.title = "Overlaps another session";
+                  block.textContent = `⚠️ ${block.textContent}`;
+                }
+
+                block.onclick = openDetail;
+                body.appendChild(block);
+              });
+            column.appendChild(body);
+
+            const unscheduled = tasks.filter((t) => !t.startTime);
+            if (unscheduled.length > 0) {
+              const list = document.createElement("div");
+              list.className = "time-grid-unscheduled";
+              unscheduled.forEach((task) => {
+                const taskDiv = document.createElement("div");
+                taskDiv.className = "calendar-task";
+                taskDiv.style.color = CONFIG.STATUS_COLORS[task.status];
+                taskDiv.textContent = this.getTaskLabel(task);
+                list.appendChild(taskDiv);
+              });
+              column.appendChild(list);
+            }
+
+            grid.appendChild(column);
+          });
+
+          return grid;
+        },
+
+        /**
+         * Creates an SVG element with attributes
+         */
+        createSvgElement(tag, attributes = {}) {
+          const element = document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            tag
+          );
+          Object.entries(attributes).forEach(([name, value]) =>
+            element.setAttribute(name, value)
+          );
+          return element;
+        },
+
+        /**
+         * Adds a hover tooltip to an SVG element
+         */
+        addSvgTitle(element, text) {
+          const title = this.createSvgElement("title");
+          title.textContent = text;
+          element.appendChild(title);
+          return element;
+        },
+
+        /**
+         * Creates a (grouped) bar chart
+         * series: [{ name, values, className }], one value per label
+         * Only every few labels are printed so they never overlap
+         */
+        createBarChart({ title, labels, series, formatValue }) {
+          const width = 320;
+          const height = 160;
+          const top = 16;
+          const plotHeight = height - top - 20;
+          const max = Math.max(1, ...series.flatMap((s) => s.values));
+          const groupWidth = width / labels.length;
+          const barWidth = (groupWidth * 0.7) / series.length;
+          const labelEvery = Math.ceil(labels.length / 7);
+
+          const svg = this.createSvgElement("svg", {
+            class: "chart",
+            viewBox: `0 0 ${width} ${height}`,
+            role: "img",
+            "aria-label": title,
+          });
+
+          const maxLabel = this.createSvgElement("text", {
+            class: "chart-axis",
+            x: 0,
+            y: 10,
+          });
+          maxLabel.textContent = formatValue(max);
+          svg.appendChild(maxLabel);
+          svg.appendChild(
+            this.createSvgElement("line", {
+              class: "chart-baseline",
+              x1: 0,
+              x2: width,
+              y1: top + plotHeight,
+              y2: top + plotHeight,
+            })
+          );
+
+          labels.forEach((label, idx) => {
+            series.forEach((s, seriesIdx) => {
+              const value = s.values[idx];
+              const barHeight = (value / max) * plotHeight;
+              const bar = this.createSvgElement("rect", {
+                class: `chart-bar ${s.className || ""}`,
+                x: idx * groupWidth + groupWidth * 0.15 + seriesIdx * barWidth,
+                y: top + plotHeight - barHeight,
+                width: barWidth,
+                height: barHeight,
+              });
+              svg.appendChild(
+                this.addSvgTitle(
+                  bar,
+                  `${s.name ? `${s.name}, ` : ""}${label}: ${formatValue(
+                    value
+                  )}`
+                )
+              );
+            });
+
+            if (idx % labelEvery === 0) {
+              const text = this.createSvgElement("text", {
+                class: "chart-label",
+                x: idx * groupWidth + groupWidth / 2,
+                y: height - 4,
+              });
+              text.textContent = label;
+              svg.appendChild(text);
+            }
+          });
+
+          return svg;
+        },
+
+        /**
+         * Creates a 0-100% line chart; null values leave a gap
+         */
+        createLineChart({ title, labels, values, formatValue }) {
+          const width = 320;
+          const height = 160;
+          const top = 16;
+          const plotHeight = height - top - 20;
+          const step = width / labels.length;
+          const labelEvery = Math.ceil(labels.length / 7);
+          const pointAt = (idx) => ({
+            x: idx * step + step / 2,
+            y: top + plotHeight - (values[idx] / 100) * plotHeight,
+          });
+
+          const svg = this.createSvgElement("svg", {
+            class: "chart",
+            viewBox: `0 0 ${width} ${height}`,
+            role: "img",
+            "aria-label": title,
+          });
+
+          [100, 50, 0].forEach((percent) => {
+            const y = top + plotHeight - (percent / 100) * plotHeight;
+            svg.appendChild(
+              this.createSvgElement("line", {
+                class: percent === 0 ? "chart-baseline" : "chart-grid",
+                x1: 0,
+                x2: width,
+                y1: y,
+                y2: y,
+              })
+            );
+            const text = this.createSvgElement("text", {
+              class: "chart-axis",
+              x: 0,
+              y: y - 3,
+            });
+            text.textContent = `${percent}%`;
+            svg.appendChild(text);
+          });
+
+          // One polyline per run of known values
+          let run = [];
+          const flushRun = () => {
+            if (run.length > 1) {
+              svg.appendChild(
+                this.createSvgElement("polyline", {
+                  class: "chart-line",
+                  points: run.map((p) => `${p.x},${p.y}`).join(" "),
+                })
+              );
+            }
+            run = [];
+          };
+
+          labels.forEach((label, idx) => {
+            if (values[idx] === null) {
+              flushRun();
+            } else {
+              const point = pointAt(idx);
+              run.push(point);
+              svg.appendChild(
+                this.addSvgTitle(
+                  this.createSvgElement("circle", {
+                    class: "chart-point",
+                    cx: point.x,
+                    cy: point.y,
+                    r: 3,
+                  }),
+                  `${label}: ${formatValue(values[idx])}`
+                )
+              );
+            }
+
+            if (idx % labelEvery === 0) {
+              const text = this.createSvgElement("text", {
+                class: "chart-label",
+                x: idx * step + step / 2,
+                y: height - 4,
+              });
+              text.textContent = label;
+              svg.appendChild(text);
+            }
+          });
+          flushRun();
+
+          return svg;
+        },
+
+        /**
+         * Creates a horizontal bar chart, one row per item
+         * items: [{ label, value, color }]
+         */
+        createHorizontalBarChart({ title, items, formatValue }) {
+          const width = 320;
+          const rowHeight = 24;
+          const labelWidth = 100;
+          const valueWidth = 50;
+          const max = Math.max(1, ...items.map((item) => item.value));
+
+          const svg = this.createSvgElement("svg", {
+            class: "chart",
+            viewBox: `0 0 ${width} ${items.length * rowHeight}`,
+            role: "img",
+            "aria-label": title,
+          });
+
+          items.forEach((item, idx) => {
+            const y = idx * rowHeight;
+            const barWidth =
+              (item.value / max) * (width - labelWidth - valueWidth);
+
+            const label = this.createSvgElement("text", {
+              class: "chart-label chart-label-start",
+              x: 0,
+              y: y + 16,
+            });
+            label.textContent =
+              item.label.length > 14
+                ? `${item.label.slice(0, 13)}…`
+                : item.label;
+            svg.appendChild(this.addSvgTitle(label, item.label));
+
+            svg.appendChild(
+              this.addSvgTitle(
+                this.createSvgElement("rect", {
+                  class: "chart-subject-bar",
+                  x: labelWidth,
+                  y: y + 5,
+                  width: barWidth,
+                  height: rowHeight - 10,
+                  fill: item.color,
+                }),
+                `${item.label}: ${formatValue(item.value)}`
+              )
+            );
+
+            const value = this.createSvgElement("text", {
+              class: "chart-label chart-label-start",
+              x: labelWidth + barWidth + 6,
+              y: y + 16,
+            });
+            value.textContent = formatValue(item.value);
+            svg.appendChild(value);
+          });
+
+          return svg;
+        },
+
+        /**
+         * Creates one weekday row of the limit settings
+         * Blank = default daily limit, 0 = rest day
+         */
+        createDayLimitRow(dayConfig, limit) {
+          const row = document.createElement("div");
+          row.className = "day-limit-row";
+          row.dataset.day = dayConfig.id;
+
+          const label = document.createElement("label");
+          label.textContent = dayConfig.name.slice(0, 3);
+
+          const input = document.createElement("input");
+          input.type = "number";
+          input.className = "day-limit-input";
+          input.min = "0";
+          input.max = `${CONFIG.MAX_TASK_DURATION}`;
+          input.placeholder = "Default";
+          input.value = Number.isFinite(limit) ? limit : "";
+
+          row.appendChild(label);
+          row.appendChild(input);
+          return row;
+        },
+
+        /**
+         * Creates one weekday row of the availability settings
+         */
+        createAvailabilityRow(dayConfig, window) {
+          const fallback = CONFIG.DEFAULT_SETTINGS.availability[dayConfig.id];
+          const row = document.createElement("div");
+          row.className = "availability-row";
+          row.dataset.day = dayConfig.id;
+
+          const label = document.createElement("label");
+          const enabled = document.createElement("input");
+          enabled.type = "checkbox";
+          enabled.className = "availability-enabled";
+          enabled.checked = !!window;
+          label.appendChild(enabled);
+          label.appendChild(
+            document.createTextNode(` ${dayConfig.name.slice(0, 3)}`)
+          );
+
+          const start = document.createElement("input");
+          start.type = "time";
+          start.className = "availability-start";
+          start.value = (window || fallback).start;
+
+          const separator = document.createElement("span");
+          separator.textContent = "–";
+
+          const end = document.createElement("input");
+          end.type = "time";
+          end.className = "availability-end";
+          end.value = (window || fallback).end;
+
+          const toggleInputs = () => {
+            start.disabled = !enabled.checked;
+            end.disabled = !enabled.checked;
+          };
+          enabled.onchange = toggleInputs;
+          toggleInputs();
+
+          row.appendChild(label);
+          row.appendChild(start);
+          row.appendChild(separator);
+          row.appendChild(end);
+          return row;
+        },
+      };
+
+      // ============================================
+      // 16. DRAG AND DROP (Moving Tasks Between Days)
+      // ============================================
+      const DragDrop = {
+        // Task being moved (mouse, touch or keyboard)
+        draggedTaskId: null,
+        // Keyboard moves: index of the highlighted day, -1 when idle
+        keyboardIndex: -1,
+        // Touch moves: day under the finger
+        touchTarget: null,
+
+        /**
+         * Makes a task element movable by mouse, touch and keyboard
+         * Mouse: native drag and drop on the whole element
+         * Touch: drag from the ⠿ handle (the rest of the page scrolls)
+         * Keyboard: Space/Enter picks up, arrows choose a day,
+         *           Space/Enter drops, Escape cancels
+         */
+        makeDraggable(element, task) {
+          if (!TaskManager.canMove(task)) return;
+
+          element.draggable = true;
+          element.tabIndex = 0;
+          element.dataset.taskId = task.id;
+          element.classList.add("draggable");
+          element.title = "Drag to another day (or press Space)";
+
+          element.addEventListener("dragstart", (e) => {
+            e.stopPropagation();
+            e.dataTransfer.effectAllowed = "move";
+            e.dataTransfer.setData("text/plain", task.id);
+            this.start(task.id);
+          });
+          element.addEventListener("dragend", () => this.end());
+
+          const handle = document.createElement("span");
+          handle.className = "drag-handle";
+          handle.textContent = "⠿";
+          handle.setAttribute("aria-hidden", "true");
+          handle.addEventListener(
+            "touchstart",
+            (e) => {
+              e.preventDefault(); // no scrolling or synthetic click
+              this.start(task.id);
+            },
+            { passive: false }
+          );
+          handle.addEventListener("touchmove", (e) => this.handleTouchMove(e), {
+            passive: false,
+          });
+          handle.addEventListener("touchend", () => this.handleTouchEnd());
+          handle.addEventListener("touchcancel", () => this.end());
+          element.prepend(handle);
+
+          element.addEventListener("keydown", (e) =>
+            this.handleKeydown(e, element, task)
+          );
+          element.addEventListener("blur", () => {
+            if (this.keyboardIndex > -1) {
+              this.end();
+              this.announce("Move cancelled");
+            }
+          });
+        },
+
+        /**
+         * Lets a day element accept dropped tasks
+         */
+        makeDropTarget(element, dateKey) {
+          element.dataset.dropDate = dateKey;
+
+          element.addEventListener("dragover", (e) => {
+            if (!this.draggedTaskId) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "move";
+            this.highlight(element);
+          });
+          element.addEventListener("dragleave", (e) => {
+            if (!element.contains(e.relatedTarget)) {
+              this.clearHighlight(element);
+            }
+          });
+          element.addEventListener("drop", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.drop(dateKey);
+          });
+        },
+
+        /**
+         * Drop targets in the visible section (home page or calendar)
+         */
+        getTargets() {
+          return Array.from(
+            document.querySelectorAll(".section.active [data-drop-date]")
+          );
+        },
+
+        /**
+         * Day total if the dragged task landed on a date
+         * Returns: { total, limit, fits }
+         */
+        getCapacity(dateKey) {
+          const task = AppStorage.studyData.tasks.find(
+            (t) => t.id === this.draggedTaskId
+          );
+          const limit = TaskManager.getDayLimit(dateKey);
+          const total =
+            TaskManager.calculateDayTime(dateKey) +
+            (task && task.date !== dateKey ? task.duration : 0);
+
+          return { total, limit, fits: total <= limit };
+        },
+
+        /**
+         * Marks the day under the pointer with its capacity after a drop
+         */
+        highlight(element) {
+          this.getTargets().forEach((target) => {
+            if (target !== element) this.clearHighlight(target);
+          });
+
+          const { total, limit, fits } = this.getCapacity(
+            element.dataset.dropDate
+          );
+          element.classList.add("drop-target");
+          element.classList.toggle("drop-over-limit", !fits);
+          element.dataset.capacity = `${Utils.formatTime(total)} / ${
+            limit === 0 ? "rest day" : Utils.formatTime(limit)
+          }`;
+
+          return { total, limit, fits };
+        },
+
+        clearHighlight(element) {
+          element.classList.remove("drop-target", "drop-over-limit");
+          delete element.dataset.capacity;
+        },
+
+        start(taskId) {
+          this.draggedTaskId = taskId;
+          document
+            .querySelectorAll(`[data-task-id="${taskId}"]`)
+            .forEach((el) => el.classList.add("dragging"));
+        },
+
+        /**
+         * Clears all drag state and highlights
+         */
+        end() {
+          this.draggedTaskId = null;
+          this.keyboardIndex = -1;
+          this.touchTarget = null;
+
+          this.getTargets().forEach((target) => this.clearHighlight(target));
+          document
+            .querySelectorAll(".dragging")
+            .forEach((el) => el.classList.remove("dragging"));
+        },
+
+        /**
+         * Moves the dragged task to a date
+         */
+        drop(dateKey) {
+          const taskId = this.draggedTaskId;
+          this.end();
+
+          if (taskId) {
+            Handlers.handleMoveTask(taskId, dateKey);
+          }
+        },
+
+        handleTouchMove(e) {
+          if (!this.draggedTaskId) return;
+          e.preventDefault();
+
+          const touch = e.touches[0];
+          const element = document.elementFromPoint(
+            touch.clientX,
+            touch.clientY
+          );
+          const target = element && element.closest("[data-drop-date]");
+
+          if (target) {
+            this.highlight(target);
+          } else if (this.touchTarget) {
+            this.clearHighlight(this.touchTarget);
+          }
+          this.touchTarget = target;
+        },
+
+        handleTouchEnd() {
+          if (this.touchTarget) {
+            this.drop(this.touchTarget.dataset.dropDate);
+          } else {
+            this.end();
+          }
+        },
+
+        /**
+         * Keyboard equivalent of dragging
+         * Only handles keys pressed on the task itself (not its buttons)
+         */
+        handleKeydown(e, element, task) {
+          if (e.target !== element) return;
+
+          const isPick = e.key === " " || e.key === "Enter";
+          const targets = this.getTargets();
+
+          if (this.keyboardIndex === -1) {
+            if (!isPick) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            this.start(task.id);
+            this.keyboardIndex = Math.max(
+              targets.findIndex((t) => t.dataset.dropDate === task.date),
+              0
+            );
+            this.announceTarget(targets[this.keyboardIndex], true);
+            return;
+          }
+
+          if (isPick) {
+            e.preventDefault();
+            e.stopPropagation();
+            this.drop(targets[this.keyboardIndex].dataset.dropDate);
+          } else if (e.key === "Escape") {
+            e.preventDefault();
+            e.stopPropagation(); // keep an open modal open
+            this.end();
+            this.announce("Move cancelled");
+          } else if (
+            ["ArrowLeft", "ArrowUp", "ArrowRight", "ArrowDown"].includes(e.key)
+          ) {
+            e.preventDefault();
+            const step = e.key === "ArrowLeft" || e.key === "ArrowUp" ? -1 : 1;
+            this.keyboardIndex = Math.min(
+              Math.max(this.keyboardIndex + step, 0),
+              targets.length - 1
+            );
+            this.announceTarget(targets[this.keyboardIndex], false);
+          }
+        },
+
+        /**
+         * Highlights a day for a keyboard move and reads out its capacity
+         */
+        announceTarget(target, pickedUp) {
+          const { total, limit, fits } = this.highlight(target);
+          const dateKey = target.dataset.dropDate;
+          const prefix = pickedUp
+            ? "Picked up. Use the arrow keys to choose a day, Space to drop, Escape to cancel. "
+            : "";
+
+          this.announce(
+            `${prefix}${Utils.getDayConfig(dateKey).name}, ${Utils.formatDate(
+              dateKey
+            )}: ${Utils.formatTime(total)} of ${Utils.formatTime(limit)}${
+              fits ? "" : ", over the limit"
+            }`
+          );
+        },
+
+        /**
+         * Reads a message to screen readers (aria-live region)
+         */
+        announce(message) {
+          const region = document.getElementById("dragAnnouncer");
+          if (region) {
+            region.textContent = message;
+          }
+        },
+      };
+
+      // ============================================
+      // 17. FOCUS TIMER (Pomodoro / Stopwatch)
+      // ============================================
+      const FocusTimer = {
+        /**
+         * Active session (one at a time, kept in memory)
+         * - phaseMs: time banked in the current phase before a pause
+         * - phaseStartedAt: when the phase last resumed (null = paused)
+         * - focusMs: focus time from finished Pomodoro phases
+         */
+        session: null,
+        tickTimer: null,
+
+        /**
+         * Starts timing a task
+         * Pomodoro: focus and break phases (only focus time counts)
+         * Stopwatch: counts up until stopped
+         */
+        start(taskId, mode = AppStorage.studyData.settings.focusMode) {
+          if (this.session) {
+            throw new Error("Finish the current focus session first");
+          }
+
+          const task = AppStorage.studyData.tasks.find((t) => t.id === taskId);
+          if (!task) {
+            throw new Error("Task not found");
+          }
+          if (
+            task.status === CONFIG.STATUS.COMPLETED ||
+            task.status === CONFIG.STATUS.MISSED
+          ) {
+            throw new Error("Only open tasks can be timed");
+          }
+
+          this.session = {
+            taskId,
+            mode: CONFIG.FOCUS_MODES.includes(mode) ? mode : "pomodoro",
+            phase: "focus",
+            round: 1,
+            phaseMs: 0,
+            phaseStartedAt: Date.now(),
+            focusMs: 0,
+            interruptions: 0,
+          };
+
+          clearInterval(this.tickTimer);
+          this.tickTimer = setInterval(() => this.tick(), 1000);
+          return this.session;
+        },
+
+        isRunning() {
+          return !!(this.session && this.session.phaseStartedAt);
+        },
+
+        /**
+         * Time spent in the current phase (ms)
+         */
+        getPhaseMs() {
+          const session = this.session;
+          if (!session) return 0;
+
+          return (
+            session.phaseMs +
+            (session.phaseStartedAt ? Date.now() - session.phaseStartedAt : 0)
+          );
+        },
+
+        /**
+         * Length of the current phase (ms); stopwatch phases never end
+         */
+        getPhaseLength() {
+          const session = this.session;
+          if (!session || session.mode !== "pomodoro") return Infinity;
+
+          return (
+            (session.phase === "focus"
+              ? CONFIG.POMODORO_FOCUS_MINUTES
+              : CONFIG.POMODORO_BREAK_MINUTES) * 60000
+          );
+        },
+
+        /**
+         * Focus time so far (ms), breaks excluded
+         */
+        getFocusMs() {
+          const session = this.session;
+          if (!session) return 0;
+
+          return (
+            session.focusMs +
+            (session.phase === "focus" ? this.getPhaseMs() : 0)
+          );
+        },
+
+        /**
+         * Runs every second: switches Pomodoro phases and redraws
+         */
+        tick() {
+          const session = this.session;
+          if (!session) return;
+
+          if (this.getPhaseMs() >= this.getPhaseLength()) {
+            if (session.phase === "focus") {
+              session.focusMs += this.getPhaseLength();
+              session.phase = "break";
+              ErrorHandler.showSuccess(
+                `Focus round done! Take a ${CONFIG.POMODORO_BREAK_MINUTES}-minute break.`
+              );
+            } else {
+              session.phase = "focus";
+              session.round++;
+              ErrorHandler.showSuccess("Break over. Back to focus!");
+            }
+
+            session.phaseMs = 0;
+            session.phaseStartedAt = Date.now();
+          }
+
+          UI.updateFocusPanel();
+        },
+
+        /**
+         * Pauses or resumes; pausing during focus counts as an interruption
+         */
+        togglePause() {
+          const session = this.session;
+          if (!session) return;
+
+          if (session.phaseStartedAt) {
+            session.phaseMs = this.getPhaseMs();
+            session.phaseStartedAt = null;
+            if (session.phase === "focus") {
+              session.interruptions++;
+            }
+          } else {
+            session.phaseStartedAt = Date.now();
+          }
+        },
+
+        /**
+         * Ends the session
+         * Returns: { taskId, minutes, interruptions } (null if none)
+         */
+        stop() {
+          const session = this.session;
+          if (!session) return null;
+
+          const result = {
+            taskId: session.taskId,
+            minutes: Math.round(this.getFocusMs() / 60000),
+            interruptions: session.interruptions,
+          };
+
+          clearInterval(this.tickTimer);
+          this.tickTimer = null;
+          this.session = null;
+          return result;
+        },
+      };
+
+      // ============================================
+      // 18. REMINDERS (Notifications API + Service Worker)
+      // ============================================
+      const Reminders = {
+        registration: null,
+        checkTimer: null,
+        // Reminders shown today, saved per device so reloads stay quiet
+        // (page fallback only; the service worker keeps its own record)
+        sent: { date: "", keys: [] },
+        // Schedule last handed to the service worker (serialized)
+        lastSchedule: null,
+
+        isSupported() {
+          return typeof Notification !== "undefined";
+        },
+
+        /**
+         * Starts reminders
+         * With a service worker, the coming days' reminders are handed to
+         * it (sync) so they also fire once the app is closed: as
+         * Notification Triggers where the browser has them, otherwise on
+         * periodic background sync (installed app). Without one, a page
+         * timer shows plain Notification objects while the app is open.
+         */
+        async init(registration = null) {
+          this.registration = registration;
+
+          if (registration && registration.periodicSync) {
+            registration.periodicSync
+              .register(CONFIG.REMINDER_SYNC_TAG, {
+                minInterval: CONFIG.REMINDER_SYNC_INTERVAL,
+              })
+              .catch(() => {
+                // Not installed or not allowed: triggers and the open
+                // page still deliver reminders
+              });
+          }
+
+          try {
+            const sent = await LocalStore.get("reminders", "sent");
+            if (sent) this.sent = sent;
+          } catch (error) {
+            // No IndexedDB: today's reminders are tracked in memory only
+          }
+
+          if (this.checkTimer) return;
+          this.checkTimer = setInterval(() => {
+            ErrorHandler.handle(() =>
+              this.registration ? this.sync() : this.check()
+            );
+          }, CONFIG.REMINDER_CHECK_INTERVAL);
+        },
+
+        /**
+         * Asks the browser for permission to notify
+         * Throws when notifications are unsupported or blocked
+         */
+        async requestPermission() {
+          if (!this.isSupported()) {
+            throw new Error("This browser does not support notifications");
+          }
+
+          const permission =
+            Notification.permission === "granted"
+              ? "granted"
+              : await Notification.requestPermission();
+          if (permission !== "granted") {
+            throw new Error(
+              "Notifications are blocked. Allow them in your browser settings."
+            );
+          }
+        },
+
+        canNotify() {
+          return (
+            this.isSupported() &&
+            Notification.permission === "granted" &&
+            AppStorage.studyData.settings.remindersEnabled
+          );
+        },
+
+        /**
+         * Minutes before a session its reminder fires (null = none)
+         * A task's own choice overrides the default lead time
+         */
+        getLeadMinutes(task) {
+          if (task.reminderMinutes === "off") return null;
+          return Number.isInteger(task.reminderMinutes)
+            ? task.reminderMinutes
+            : AppStorage.studyData.settings.reminderMinutes;
+        },
+
+        /**
+         * REMINDER SCHEDULE
+         * Lists a day's reminders with the time window each may be shown in
+         *
+         * 1. Timed sessions: from `lead` minutes before until they start
+         * 2. Morning digest of the day's sessions, from digestTime until
+         *    nudgeTime
+         * 3. Evening nudge while the day's tasks are open, from nudgeTime
+         *    until midnight
+         * Returns: [{ key, title, body, at, until }] (key is unique;
+         *          at/until are timestamps in ms)
+         */
+        getDayReminders(dateKey) {
+          const { digestTime, nudgeTime } = AppStorage.studyData.settings;
+          const time = (minutes) => {
+            const date = Utils.parseDateKey(dateKey);
+            date.setMinutes(minutes);
+            return date.getTime();
+          };
+          const endOfDay = time(24 * 60);
+          const tasks = TaskManager.getTasksByDay(dateKey);
+          const open = tasks.filter(
+            (t) =>
+              t.status === CONFIG.STATUS.NOT_COMPLETED ||
+              t.status === CONFIG.STATUS.APPROACHING
+          );
+          const describe = (task) =>
+            `${task.startTime ? `${task.startTime} ` : ""}${Utils.unescapeHtml(
+              task.title
+            )} (${Utils.formatTime(task.duration)})`;
+          const reminders = [];
+
+          open.forEach((task) => {
+            const lead = this.getLeadMinutes(task);
+            if (!task.startTime || lead === null) return;
+
+            const start = Utils.timeToMinutes(task.startTime);
+            reminders.push({
+              key: `${dateKey}_session_${task.id}`,
+              title: `Study session at ${task.startTime}`,
+              body: describe(task),
+              at: time(start - lead),
+              until: time(start + 1),
+            });
+          });
+
+          if (digestTime && open.length > 0) {
+            reminders.push({
+              key: `${dateKey}_digest`,
+              title: `Today: ${open.length} session(s), ${Utils.formatTime(
+                open.reduce((sum, t) => sum + t.duration, 0)
+              )}`,
+              body: open.map(describe).join("\n"),
+              at: time(Utils.timeToMinutes(digestTime)),
+              until: nudgeTime
+                ? time(Utils.timeToMinutes(nudgeTime))
+                : endOfDay,
+            });
+          }
+
+          if (nudgeTime && open.length > 0) {
+            reminders.push({
+              key: `${dateKey}_nudge`,
+              title: `${open.length} task(s) still open today`,
+              body: `${open
+                .map(describe)
+                .join("\n")}\nMark what you finished as completed.`,
+              at: time(Utils.timeToMinutes(nudgeTime)),
+              until: endOfDay,
+            });
+          }
+
+          return reminders.filter((reminder) => reminder.at < reminder.until);
+        },
+
+        /**
+         * Lists the reminders due at `now`, shown or not
+         */
+        getDueReminders(now = new Date()) {
+          return this.getDayReminders(Utils.toDateKey(now)).filter(
+            (reminder) =>
+              reminder.at <= now.getTime() && now.getTime() < reminder.until
+          );
+        },
+
+        /**
+         * Every reminder from `now` to CONFIG.REMINDER_SCHEDULE_DAYS ahead
+         * that can still be shown
+         */
+        getSchedule(now = new Date()) {
+          const today = Utils.toDateKey(now);
+          const reminders = [];
+          for (let i = 0; i < CONFIG.REMINDER_SCHEDULE_DAYS; i++) {
+            reminders.push(...this.getDayReminders(Utils.addDays(today, i)));
+          }
+          return reminders.filter((reminder) => reminder.until > now.getTime());
+        },
+
+        /**
+         * Hands the schedule to the service worker (see sw.js), which
+         * shows each reminder on time even after the app is closed
+         * Unchanged schedules are not sent again; the worker is then only
+         * asked to show what is due. Called on every save and by the
+         * reminder timer.
+         */
+        async sync(now = new Date()) {
+          const worker = this.registration && this.registration.active;
+          if (!worker) return;
+
+          // Turning reminders off sends an empty schedule
+          const reminders = this.canNotify() ? this.getSchedule(now) : [];
+          const schedule = JSON.stringify(reminders);
+
+          if (schedule !== this.lastSchedule) {
+            worker.postMessage({
+              type: "schedule-reminders",
+              reminders,
+              url: location.href,
+            });
+            this.lastSchedule = schedule;
+          } else {
+            worker.postMessage({ type: "check-reminders" });
+          }
+        },
+
+        /**
+         * Shows reminders that are due and not yet shown today
+         * (page fallback when there is no service worker)
+         * Returns the number of notifications shown
+         */
+        async check(now = new Date()) {
+          if (!this.canNotify()) return 0;
+
+          const today = Utils.toDateKey(now);
+          if (this.sent.date !== today) {
+            this.sent = { date: today, keys: [] };
+          }
+
+          const due = this.getDueReminders(now).filter(
+            (reminder) => !this.sent.keys.includes(reminder.key)
+          );
+          for (const reminder of due) {
+            await this.show(reminder);
+            this.sent.keys.push(reminder.key);
+          }
+
+          if (due.length > 0) {
+            await LocalStore.put("reminders", "sent", this.sent).catch(() => {
+              // Kept in memory; a reload may repeat today's reminders
+            });
+          }
+          return due.length;
+        },
+
+        /**
+         * Shows one notification
+         * Clicking it brings the app to the front
+         */
+        async show({ key, title, body }) {
+          const options = { body, tag: key };
+
+          const notification = new Notification(title, options);
+          notification.onclick = () => {
+            window.focus();
+            notification.close();
+          };
+        },
+      };
+
+      // ============================================
+      // 19. MODAL MANAGER
+      // ============================================
+      const Modal = {
+        currentModal: null,
+
+        /**
+         * Opens modal with accessibility features
+         */
+        open(modalId) {
+          const modal = document.getElementById(modalId);
+          if (!modal) return;
+
+          this.currentModal = modal;
+          modal.classList.add("show");
+
+          // Focus first input
+          const firstInput = modal.querySelector("input, button");
+          if (firstInput) {
+            setTimeout(() => firstInput.focus(), 100);
+          }
+
+          // Add keyboard listener
+          document.addEventListener("keydown", this.handleKeydown);
+
+          // Prevent body scroll
+          document.body.style.overflow = "hidden";
+        },
+
+        /**
+         * Closes current modal
+         */
+        close() {
+          if (!this.currentModal) return;
+
+          this.currentModal.classList.remove("show");
+          document.removeEventListener("keydown", this.handleKeydown);
+          document.body.style.overflow = "";
+          this.currentModal = null;
+        },
+
+        /**
+         * Handles ESC key to close
+         */
+        handleKeydown(e) {
+          if (e.key === "Escape") {
+            Modal.close();
+          }
+        },
+      };
+
+      // ============================================
+      // 20. UI MANAGER
+      // ============================================
+      const UI = {
+        calendarView: "list", // "list" or "grid"
+        analyticsRange: "day", // minutes chart: "day", "week" or "subject"
+        selectedTaskIds: new Set(), // to-do list bulk selection
+        selectionAnchor: null, // last ticked task, start of shift-click ranges
+
+        /**
+         * Shows global loading spinner
+         * Technique: Simple state toggle for async feedback
+         */
+        showLoading() {
+          try {
+            const spinner = document.getElementById("loadingSpinner");
+            if (spinner) {
+              spinner.classList.add("show");
+            }
+          } catch (error) {
+            console.error("[UI] Error in showLoading:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Hides global loading spinner
+         * Technique: Simple state toggle for async feedback
+         */
+        hideLoading() {
+          try {
+            const spinner = document.getElementById("loadingSpinner");
+            if (spinner) {
+              spinner.classList.remove("show");
+            }
+          } catch (error) {
+            console.error("[UI] Error in hideLoading:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Shows a specific view (login/signup/timetable)
+         * Technique: DOM manipulation with error handling
+         * Try/Catch: Prevents crashes if DOM elements not found
+         */
+        showView(viewName) {
+          try {
+            // Use forEach (higher-order function) to iterate all views
+            document
+              .querySelectorAll(".view")
+              .forEach((v) => v.classList.remove("active"));
+
+            const view = document.getElementById(viewName + "View");
+            if (view) {
+              view.classList.add("active");
+            } else {
+              console.warn(`[UI] View not found: ${viewName}View`);
+            }
+
+            // Clear form errors using centralized error handler
+            ErrorHandler.clearAllFieldErrors();
+          } catch (error) {
+            console.error("[UI] Error in showView:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Shows a specific section within timetable
+         * Technique: Event-driven UI updates with try/catch
+         * Try/Catch: Handles missing DOM elements gracefully
+         */
+        showSection(sectionName) {
+          try {
+            // Remove active class from all sections (array iteration)
+            document
+              .querySelectorAll(".section")
+              .forEach((s) => s.classList.remove("active"));
+            document
+              .querySelectorAll(".nav-btn")
+              .forEach((btn) => btn.classList.remove("active"));
+
+            const section = document.getElementById(sectionName + "Section");
+            if (section) {
+              section.classList.add("active");
+            } else {
+              console.warn(`[UI] Section not found: ${sectionName}Section`);
+            }
+
+            // Search works on the task views only
+            const searchPanel = document.getElementById("searchPanel");
+            if (searchPanel) {
+              searchPanel.classList.toggle(
+                "hidden",
+                sectionName === "settings"
+              );
+            }
+
+            // Update active nav button (DOM event handling)
+            if (event && event.target) {
+              event.target.classList.add("active");
+            }
+          } catch (error) {
+            console.error("[UI] Error in showSection:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Gets the date keys of the week currently on screen
+         */
+        getVisibleWeekDates() {
+          return Utils.getWeekDates(AppStorage.studyData.currentWeekStart);
+        },
+
+        /**
+         * Moves the visible week backwards or forwards
+         * Technique: Date arithmetic on the week start key
+         */
+        changeWeek(offset) {
+          AppStorage.studyData.currentWeekStart = Utils.addDays(
+            AppStorage.studyData.currentWeekStart,
+            offset * CONFIG.DAYS.length
+          );
+          this.refresh();
+        },
+
+        /**
+         * Jumps back to the week containing today
+         */
+        goToCurrentWeek() {
+          this.showWeekOf(Utils.getTodayKey());
+        },
+
+        /**
+         * Shows the week that contains a given date
+         */
+        showWeekOf(dateKey) {
+          AppStorage.studyData.currentWeekStart = Utils.getWeekStart(dateKey);
+          this.refresh();
+        },
+
+        /**
+         * Generates recurring occurrences for the visible week
+         * New occurrences are persisted in the background
+         */
+        syncOccurrences() {
+          try {
+            const created = TaskManager.generateOccurrences(
+              this.getVisibleWeekDates()
+            );
+            if (created.length > 0) {
+              // New sessions can push their days over the limit
+              TaskManager.balanceDays(created.map((t) => t.date));
+              ErrorHandler.handle(() => AppStorage.save());
+            }
+          } catch (error) {
+            console.error("[UI] Error in syncOccurrences:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Shows the repeat options that apply to the chosen rule
+         * Works for any form using the "<prefix>Repeat..." field IDs
+         */
+        toggleRecurrenceFields(prefix) {
+          const frequency = document.getElementById(`${prefix}Repeat`).value;
+          const endType = document.getElementById(`${prefix}RepeatEnd`).value;
+
+          document
+            .getElementById(`${prefix}RecurrenceFields`)
+            .classList.toggle("hidden", frequency === "none");
+          document
+            .getElementById(`${prefix}RepeatWeekdays`)
+            .classList.toggle("hidden", frequency !== "weekly");
+          document.getElementById(`${prefix}RepeatUnit`).textContent =
+            frequency === "daily" ? "day(s)" : "week(s)";
+          document
+            .getElementById(`${prefix}RepeatUntil`)
+            .classList.toggle("hidden", endType !== "date");
+          document
+            .getElementById(`${prefix}RepeatCount`)
+            .classList.toggle("hidden", endType !== "count");
+        },
+
+        /**
+         * Fills a repeat-rule form from an existing rule
+         */
+        fillRecurrenceFields(prefix, rule) {
+          document.getElementById(`${prefix}Repeat`).value = rule.frequency;
+          document.getElementById(`${prefix}RepeatInterval`).value =
+            rule.interval;
+          document
+            .querySelectorAll(`#${prefix}RepeatWeekdays input[type="checkbox"]`)
+            .forEach((box) => {
+              box.checked = rule.weekdays.includes(box.value);
+            });
+          document.getElementById(`${prefix}RepeatEnd`).value = rule.endDate
+            ? "date"
+            : rule.count
+            ? "count"
+            : "never";
+          document.getElementById(`${prefix}RepeatUntil`).value =
+            rule.endDate || "";
+          document.getElementById(`${prefix}RepeatCount`).value =
+            rule.count || "";
+          this.toggleRecurrenceFields(prefix);
+        },
+
+        /**
+         * Opens the editor for a recurring occurrence
+         * Technique: Modal pattern + form prefill
+         */
+        showSeriesEditor(taskId) {
+          try {
+            const task = AppStorage.studyData.tasks.find(
+              (t) => t.id === taskId
+            );
+            const series = task && TaskManager.getSeries(task.seriesId);
+            if (!series) {
+              ErrorHandler.showUserError("Recurring task not found");
+              return;
+            }
+
+            AppStorage.studyData.currentEditTaskId = taskId;
+
+            document.getElementById("editTitle").value = Utils.unescapeHtml(
+              task.title
+            );
+            document.getElementById("editDuration").value = task.duration;
+            document.getElementById("editScopeOccurrence").checked = true;
+            document.getElementById("editOccurrenceDate").textContent = `${
+              Utils.getDayConfig(task.occurrenceDate).name
+            }, ${Utils.formatDate(task.occurrenceDate)}`;
+            this.fillRecurrenceFields("edit", series.recurrence);
+            this.toggleSeriesScope();
+
+            Modal.close();
+            Modal.open("seriesEditModal");
+          } catch (error) {
+            console.error("[UI] Error in showSeriesEditor:", error);
+            ErrorHandler.logError(error);
+            ErrorHandler.showUserError("Failed to open recurring task");
+          }
+        },
+
+        /**
+         * Shows the optimizer's proposed moves as a before/after diff
+         */
+        showOptimizeProposal(proposal) {
+          try {
+            const summary = document.getElementById("optimizeSummary");
+            if (proposal.moves.length > 0) {
+              summary.textContent = `${proposal.moves.length} move(s) proposed. Nothing is saved until you apply them.`;
+            } else {
+              summary.textContent = "Your week is already balanced.";
+            }
+
+            const unfitEl = document.getElementById("optimizeUnfit");
+            unfitEl.textContent =
+              proposal.unfit.length > 0
+                ? `⚠️ ${
+                    proposal.unfit.length
+                  } task(s) still do not fit your limits: ${proposal.unfit
+                    .map((t) => t.title)
+                    .join(", ")}`
+                : "";
+            unfitEl.style.display =
+              proposal.unfit.length > 0 ? "block" : "none";
+
+            // Day loads before → after
+            const days = document.getElementById("optimizeDays");
+            days.innerHTML = "";
+            Object.keys(proposal.after).forEach((dateKey) => {
+              const row = document.createElement("li");
+              row.className = "optimize-day";
+              if (proposal.after[dateKey] > proposal.limits[dateKey]) {
+                row.classList.add("over-limit");
+              }
+
+              const label = document.createElement("span");
+              label.textContent = `${Utils.getDayConfig(dateKey).name.slice(
+                0,
+                3
+              )}, ${Utils.formatDate(dateKey)}`;
+
+              const loads = document.createElement("span");
+              loads.textContent = `${Utils.formatTime(
+                proposal.before[dateKey]
+              )} → ${Utils.formatTime(
+                proposal.after[dateKey]
+              )} / ${Utils.formatTime(proposal.limits[dateKey])}`;
+
+              row.appendChild(label);
+              row.appendChild(loads);
+              days.appendChild(row);
+            });
+
+            // Individual moves
+            const moves = document.getElementById("optimizeMoves");
+            moves.innerHTML = "";
+            proposal.moves.forEach((move) => {
+              const item = document.createElement("li");
+              item.className = "session-item";
+
+              const title = document.createElement("span");
+              title.textContent = `${move.title} (${move.duration}m)`;
+
+              const change = document.createElement("small");
+              change.textContent = `${Utils.formatDate(move.from)} → ${
+                Utils.getDayConfig(move.to).name
+              }, ${Utils.formatDate(move.to)}`;
+
+              item.appendChild(title);
+              item.appendChild(change);
+              moves.appendChild(item);
+            });
+
+            document.getElementById("optimizeApplyBtn").disabled =
+              proposal.moves.length === 0;
+
+            Modal.close();
+            Modal.open("optimizeModal");
+          } catch (error) {
+            console.error("[UI] Error in showOptimizeProposal:", error);
+            ErrorHandler.logError(error);
+            ErrorHandler.showUserError("Failed to show the optimized plan");
+          }
+        },
+
+        /**
+         * Shows the dry-run summary of a file import
+         */
+        showImportPreview(preview) {
+          try {
+            const lines = [
+              `${preview.toAdd.length} task(s) will be added`,
+              `${preview.skipped.length} duplicate(s) will be skipped`,
+              `${preview.rejected.length} item(s) rejected`,
+            ];
+            if (preview.series.length > 0) {
+              lines.splice(1, 0, `${preview.series.length} repeat series`);
+            }
+            if (preview.goals.length > 0) {
+              lines.splice(1, 0, `${preview.goals.length} goal(s)`);
+            }
+            if (preview.subjects.length > 0) {
+              lines.splice(1, 0, `${preview.subjects.length} new subject(s)`);
+            }
+
+            document.getElementById("importFileName").textContent = `${
+              preview.fileName
+            } (${preview.format.toUpperCase()})`;
+
+            const summary = document.getElementById("importSummary");
+            summary.innerHTML = "";
+            lines.forEach((line) => {
+              const li = document.createElement("li");
+              li.textContent = line;
+              summary.appendChild(li);
+            });
+
+            const rejectedList = document.getElementById("importRejected");
+            rejectedList.innerHTML = "";
+            preview.rejected.forEach((item) => {
+              const li = document.createElement("li");
+              li.className = "session-item";
+              li.textContent = `${item.label}: ${item.error}`;
+              rejectedList.appendChild(li);
+            });
+            document
+              .getElementById("importRejectedList")
+              .classList.toggle("hidden", preview.rejected.length === 0);
+
+            document
+              .getElementById("importSettingsOption")
+              .classList.toggle("hidden", !preview.settings);
+            document.getElementById("importRestoreSettings").checked = false;
+
+            const confirmBtn = document.getElementById("importConfirmBtn");
+            const hasChanges =
+              preview.toAdd.length > 0 ||
+              preview.series.length > 0 ||
+              preview.goals.length > 0 ||
+              !!preview.settings;
+            confirmBtn.disabled = !hasChanges;
+            confirmBtn.textContent = `Import ${preview.toAdd.length} Task(s)`;
+
+            Modal.close();
+            Modal.open("importModal");
+          } catch (error) {
+            console.error("[UI] Error in showImportPreview:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Opens the guest import preview after sign-in
+         * Defaults to the guest daily limit when the account is empty
+         */
+        showGuestImport(guestPlan) {
+          try {
+            AppStorage.pendingGuestPlan = guestPlan;
+            document.getElementById("guestImportLimit").checked =
+              AppStorage.studyData.tasks.length === 0;
+            this.updateGuestImportPreview();
+
+            Modal.close();
+            Modal.open("guestImportModal");
+          } catch (error) {
+            console.error("[UI] Error in showGuestImport:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Renders what importing the guest plan will combine
+         */
+        updateGuestImportPreview() {
+          try {
+            const guestPlan = AppStorage.pendingGuestPlan;
+            if (!guestPlan) return;
+
+            const useGuestLimit =
+              document.getElementById("guestImportLimit").checked;
+            const preview = AppStorage.previewGuestMerge(
+              guestPlan,
+              useGuestLimit
+            );
+
+            document.getElementById("guestImportLimitValue").textContent =
+              Utils.formatTime(preview.guestLimit);
+
+            const lines = [
+              `${preview.toAdd.length} guest task(s) will be added`,
+              `${preview.accountTaskCount} task(s) already in your account`,
+            ];
+            if (preview.duplicates > 0) {
+              lines.push(`${preview.duplicates} duplicate(s) will be skipped`);
+            }
+            if (preview.overLimitDates.length > 0) {
+              lines.push(
+                `Over the daily limit on: ${preview.overLimitDates
+                  .map((dateKey) => Utils.formatDate(dateKey))
+                  .join(", ")}`
+              );
+            }
+
+            const summary = document.getElementById("guestImportSummary");
+            summary.innerHTML = "";
+            lines.forEach((line) => {
+              const li = document.createElement("li");
+              li.textContent = line;
+              summary.appendChild(li);
+            });
+
+            const list = document.getElementById("guestImportTasks");
+            list.innerHTML = "";
+            preview.toAdd
+              .slice()
+              .sort((a, b) => a.date.localeCompare(b.date))
+              .forEach((task) => {
+                const li = document.createElement("li");
+                li.className = "session-item";
+                li.innerHTML = `
+                  <span>${DOMBuilder.getTaskLabel(task)}</span>
+                  <span>${
+                    Utils.getDayConfig(task.date).name
+                  }, ${Utils.formatDate(task.date)}</span>
+                `;
+                list.appendChild(li);
+              });
+          } catch (error) {
+            console.error("[UI] Error in updateGuestImportPreview:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Shows the oldest unresolved sync conflict
+         * Conflicts are resolved one at a time; the modal is not stacked
+         * on top of another open dialog.
+         */
+        showNextConflict() {
+          try {
+            const conflict = AppStorage.conflicts[0];
+            if (!conflict || Modal.currentModal) return;
+
+            document.getElementById("conflictLocal").innerHTML =
+              this.describeConflictVersion(conflict.local);
+            document.getElementById("conflictRemote").innerHTML =
+              this.describeConflictVersion(conflict.remote);
+
+            Modal.open("conflictModal");
+          } catch (error) {
+            console.error("[UI] Error in showNextConflict:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Summarizes one side of a conflict (null = deleted)
+         */
+        describeConflictVersion(task) {
+          if (!task) {
+            return '<p class="modal-hint">Deleted</p>';
+          }
+
+          const dayName = Utils.getDayConfig(task.date).name;
+          return `
+            <p><strong>${task.title}</strong></p>
+            <p>${Utils.formatTime(task.duration)}</p>
+            <p>${dayName}, ${Utils.formatDate(task.date)}</p>
+            <span class="status-badge ${task.status}">
+              ${task.status.replace("-", " ").toUpperCase()}
+            </span>
+          `;
+        },
+
+        /**
+         * Shows repeat rule fields only when editing the whole series
+         */
+        toggleSeriesScope() {
+          const wholeSeries =
+            document.getElementById("editScopeSeries").checked;
+          document
+            .getElementById("editSeriesFields")
+            .classList.toggle("hidden", !wholeSeries);
+        },
+
+        /**
+         * Updates every week navigation label
+         */
+        updateWeekLabels() {
+          try {
+            const weekStart = AppStorage.studyData.currentWeekStart;
+            const isCurrentWeek =
+              weekStart === Utils.getWeekStart(Utils.getTodayKey());
+
+            document.querySelectorAll(".week-label").forEach((label) => {
+              label.textContent = Utils.formatWeekRange(weekStart);
+            });
+            document.querySelectorAll(".week-today-btn").forEach((btn) => {
+              btn.disabled = isCurrentWeek;
+            });
+          } catch (error) {
+            console.error("[UI] Error in updateWeekLabels:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Updates homepage view with day cards
+         * Technique: Factory pattern + forEach iteration
+         * Try/Catch: Prevents rendering errors from breaking app
+         */
+        updateHomepage() {
+          try {
+            const container = document.getElementById("daysContainer");
+            if (!container) {
+              console.warn("[UI] daysContainer not found");
+              return;
+            }
+
+            // Clear existing content
+            container.innerHTML = "";
+
+            // Iterate through the visible week's dates (higher-order function)
+            this.getVisibleWeekDates().forEach((dateKey) => {
+              // Get tasks using filter() higher-order function in TaskManager
+              const tasks = TaskManager.getTasksByDay(dateKey);
+
+              // Calculate total using reduce() higher-order function
+              const totalTime = TaskManager.calculateDayTime(dateKey);
+
+              // Use Factory pattern to create DOM elements
+              const card = DOMBuilder.createDayCard(dateKey, tasks, totalTime);
+              container.appendChild(card);
+            });
+          } catch (error) {
+            console.error("[UI] Error in updateHomepage:", error);
+            ErrorHandler.logError(error);
+            ErrorHandler.showUserError("Failed to update homepage view");
+          }
+        },
+
+        /**
+         * Updates calendar view
+         * Technique: Factory pattern + array iteration
+         * Try/Catch: Robust error handling for rendering
+         */
+        updateCalendar() {
+          try {
+            const container = document.getElementById("calendarContainer");
+            if (!container) {
+              console.warn("[UI] calendarContainer not found");
+              return;
+            }
+
+            container.innerHTML = "";
+
+            const isGrid = this.calendarView === "grid";
+            document
+              .querySelectorAll(".calendar-toolbar .view-toggle-btn")
+              .forEach((btn) =>
+                btn.classList.toggle(
+                  "active",
+                  btn.dataset.view === this.calendarView
+                )
+              );
+            const autoPlaceBtn = document.getElementById("autoPlaceBtn");
+            if (autoPlaceBtn) {
+              autoPlaceBtn.classList.toggle("hidden", !isGrid);
+            }
+
+            if (isGrid) {
+              container.appendChild(
+                DOMBuilder.createTimeGrid(this.getVisibleWeekDates())
+              );
+              return;
+            }
+
+            // Use forEach to iterate and create calendar days
+            this.getVisibleWeekDates().forEach((dateKey) => {
+              const tasks = TaskManager.getTasksByDay(dateKey);
+              const totalTime = TaskManager.calculateDayTime(dateKey);
+
+              // Factory pattern: DOMBuilder creates standardized elements
+              const dayEl = DOMBuilder.createCalendarDay(
+                dateKey,
+                tasks,
+                totalTime
+              );
+              container.appendChild(dayEl);
+            });
+          } catch (error) {
+            console.error("[UI] Error in updateCalendar:", error);
+            ErrorHandler.logError(error);
+            ErrorHandler.showUserError("Failed to update calendar view");
+          }
+        },
+
+        /**
+         * Switches the calendar between the day list and the time grid
+         */
+        setCalendarView(view) {
+          this.calendarView = view;
+          this.updateCalendar();
+        },
+
+        /**
+         * Updates to-do list view with task status
+         * Technique: DOM manipulation + conditional rendering
+         * Try/Catch: Handles rendering errors gracefully
+         */
+        updateTodoList() {
+          try {
+            const container = document.getElementById("todoContainer");
+            const missedCount = document.getElementById("missedCount");
+            const deadlineAlerts = document.getElementById("deadlineAlerts");
+
+            if (!container) return;
+
+            // Update missed count
+            const counts = TaskManager.getTaskCounts();
+            if (missedCount) {
+              missedCount.textContent = counts.missed;
+            }
+
+            // Show deadline alerts (computed from real deadlines)
+            const alertTasks = TaskManager.getDeadlineAlerts();
+            if (deadlineAlerts && alertTasks.length > 0) {
+              deadlineAlerts.innerHTML = `
+                        <div class="deadline-alert">
+                            ⚠️ <strong>Deadline Alert!</strong> 
+                            ${alertTasks.length} task(s) approaching deadline!
+                            <ul class="deadline-list"></ul>
+                        </div>
+                    `;
+
+              const list = deadlineAlerts.querySelector(".deadline-list");
+              alertTasks.forEach((task) => {
+                const li = document.createElement("li");
+                li.textContent = `${task.title} — due ${Utils.formatDeadline(
+                  task.dueAt
+                )}`;
+                list.appendChild(li);
+              });
+            } else if (deadlineAlerts) {
+              deadlineAlerts.innerHTML = "";
+            }
+
+            // Build to-do list by day
+            container.innerHTML = "";
+
+            // Only tasks on screen stay selected
+            const visibleIds = new Set(this.getTodoOrder());
+            this.selectedTaskIds = new Set(
+              [...this.selectedTaskIds].filter((id) => visibleIds.has(id))
+            );
+            this.updateBulkToolbar();
+
+            this.getVisibleWeekDates().forEach((dateKey) => {
+              const tasks = TaskManager.getTasksByDay(dateKey);
+              if (tasks.length === 0) return;
+
+              const dayConfig = Utils.getDayConfig(dateKey);
+              const daySection = document.createElement("div");
+              daySection.className = "todo-day-section";
+
+              const header = document.createElement("h4");
+              header.textContent = `${dayConfig.emoji} ${
+                dayConfig.name
+              }, ${Utils.formatDate(dateKey)}`;
+
+              // Select-all for the day (indeterminate when partly selected)
+              const selectedCount = tasks.filter((t) =>
+                this.selectedTaskIds.has(t.id)
+              ).length;
+              const dayCheckbox = document.createElement("input");
+              dayCheckbox.type = "checkbox";
+              dayCheckbox.className = "bulk-checkbox";
+              dayCheckbox.checked = selectedCount === tasks.length;
+              dayCheckbox.indeterminate =
+                selectedCount > 0 && selectedCount < tasks.length;
+              dayCheckbox.setAttribute(
+                "aria-label",
+                `Select all tasks on ${dayConfig.name}`
+              );
+              dayCheckbox.onchange = () =>
+                this.selectDay(dateKey, dayCheckbox.checked);
+              header.prepend(dayCheckbox);
+              daySection.appendChild(header);
+
+              tasks.forEach((task) => {
+                const taskDiv = document.createElement("div");
+                taskDiv.className = "todo-task";
+
+                const selected = this.selectedTaskIds.has(task.id);
+                taskDiv.classList.toggle("selected", selected);
+
+                const checkbox = document.createElement("input");
+                checkbox.type = "checkbox";
+                checkbox.className = "bulk-checkbox";
+                checkbox.checked = selected;
+                checkbox.setAttribute("aria-label", "Select task");
+                checkbox.onclick = (e) =>
+                  this.selectTask(task.id, checkbox.checked, e.shiftKey);
+
+                const infoSpan = document.createElement("span");
+                infoSpan.className = "todo-task-info";
+                infoSpan.style.color = CONFIG.STATUS_COLORS[task.status];
+                DOMBuilder.setHighlightedLabel(infoSpan, task);
+                DOMBuilder.markSearchMatch(taskDiv, task);
+
+                if (task.dueAt) {
+                  const dueSmall = document.createElement("small");
+                  dueSmall.className = "task-due";
+                  dueSmall.textContent = `⏰ Due ${Utils.formatDeadline(
+                    task.dueAt
+                  )}`;
+                  infoSpan.appendChild(dueSmall);
+                }
+                if (task.actualMinutes) {
+                  const actualSmall = document.createElement("small");
+                  actualSmall.className = "task-due";
+                  actualSmall.textContent = `⏱ ${Utils.formatTime(
+                    task.actualMinutes
+                  )} of ${Utils.formatTime(task.duration)}`;
+                  infoSpan.appendChild(actualSmall);
+                }
+                infoSpan.appendChild(DOMBuilder.createTaskTags(task));
+                const progress = DOMBuilder.createSubtaskProgress(task);
+                if (progress) infoSpan.appendChild(progress);
+
+                const actionsDiv = document.createElement("div");
+                actionsDiv.className = "todo-actions";
+
+                // Status select
+                // Only the current status and the changes allowed from it
+                const select = document.createElement("select");
+                select.value = task.status;
+                [
+                  task.status,
+                  ...CONFIG.STATUS_TRANSITIONS[task.status],
+                ].forEach((status) => {
+                  const option = document.createElement("option");
+                  option.value = status;
+                  option.textContent = status.replace("-", " ").toUpperCase();
+                  if (status === task.status) option.selected = true;
+                  select.appendChild(option);
+                });
+                select.onchange = () =>
+                  Handlers.handleStatusChange(task.id, select.value);
+
+                const editBtn = document.createElement("button");
+                editBtn.className = "edit-btn";
+                editBtn.textContent = "✎";
+                editBtn.setAttribute("aria-label", "Edit task");
+                editBtn.onclick = () =>
+                  DOMBuilder.startInlineEdit(taskDiv, task);
+
+                // Delete button
+                const deleteBtn = document.createElement("button");
+                deleteBtn.className = "delete-btn";
+                deleteBtn.textContent = "×";
+                deleteBtn.onclick = () => Handlers.handleDeleteTask(task.id);
+
+                actionsDiv.appendChild(select);
+                if (TaskManager.canMove(task)) {
+                  actionsDiv.appendChild(
+                    DOMBuilder.createFocusButton(task, "▶")
+                  );
+                }
+                actionsDiv.appendChild(editBtn);
+                actionsDiv.appendChild(deleteBtn);
+
+                taskDiv.appendChild(checkbox);
+                taskDiv.appendChild(infoSpan);
+                taskDiv.appendChild(actionsDiv);
+                daySection.appendChild(taskDiv);
+              });
+
+              container.appendChild(daySection);
+            });
+          } catch (error) {
+            console.error("[UI] Error in updateTodoList:", error);
+            ErrorHandler.logError(error);
+            ErrorHandler.showUserError("Failed to update to-do list");
+          }
+        },
+
+        /**
+         * Task IDs in the order the to-do list shows them
+         */
+        getTodoOrder() {
+          return this.getVisibleWeekDates()
+            .flatMap((dateKey) => TaskManager.getTasksByDay(dateKey))
+            .map((task) => task.id);
+        },
+
+        /**
+         * Ticks or unticks a task; with Shift, every task between the
+         * last ticked one and this one follows
+         */
+        selectTask(taskId, selected, extendRange = false) {
+          const order = this.getTodoOrder();
+          const from = order.indexOf(this.selectionAnchor);
+          const to = order.indexOf(taskId);
+
+          const ids =
+            extendRange && from > -1
+              ? order.slice(Math.min(from, to), Math.max(from, to) + 1)
+              : [taskId];
+          ids.forEach((id) =>
+            selected
+              ? this.selectedTaskIds.add(id)
+              : this.selectedTaskIds.delete(id)
+          );
+
+          this.selectionAnchor = taskId;
+          this.updateTodoList();
+        },
+
+        /**
+         * Ticks or unticks every task of a day
+         */
+        selectDay(dateKey, selected) {
+          TaskManager.getTasksByDay(dateKey).forEach((task) =>
+            selected
+              ? this.selectedTaskIds.add(task.id)
+              : this.selectedTaskIds.delete(task.id)
+          );
+          this.selectionAnchor = null;
+          this.updateTodoList();
+        },
+
+        /**
+         * Unticks everything
+         */
+        clearSelection() {
+          this.selectedTaskIds = new Set();
+          this.selectionAnchor = null;
+          this.updateTodoList();
+        },
+
+        /**
+         * Shows the bulk action bar while tasks are selected
+         */
+        updateBulkToolbar() {
+          const toolbar = document.getElementById("bulkToolbar");
+          if (!toolbar) return;
+
+          const count = this.selectedTaskIds.size;
+          toolbar.classList.toggle("hidden", count === 0);
+          document.getElementById(
+            "bulkCount"
+          ).textContent = `${count} selected`;
+        },
+
+        /**
+         * Updates statistics view
+         * Technique: Template literals + data aggregation
+         * Try/Catch: Prevents stats calculation errors
+         */
+        updateStatistics() {
+          try {
+            const container = document.getElementById("statsContainer");
+            if (!container) {
+              console.warn("[UI] statsContainer not found");
+              return;
+            }
+
+            // Get statistics using reduce() and filter() higher-order functions
+            const stats = TaskManager.getStatistics();
+
+            const streaks = Analytics.getStreaks();
+            const rows = [
+              ["Total Tasks", stats.total],
+              ["Completed", `${stats.completed} (${stats.completionRate}%)`],
+              ["Not Completed", stats.notCompleted],
+              ["Approaching", stats.approaching],
+              ["Missed", stats.missed],
+              ["Total Time", Utils.formatTime(stats.totalMinutes)],
+              ["Average Task Duration", `${stats.avgDuration}m`],
+              [
+                "Planned vs Actual",
+                stats.trackedTasks > 0
+                  ? `${Utils.formatTime(
+                      stats.plannedTracked
+                    )} / ${Utils.formatTime(stats.actualTracked)} (${
+                      stats.actualVsPlanned
+                    }%, ${stats.trackedTasks} timed task(s))`
+                  : "No timed tasks yet",
+              ],
+              ["Interruptions", stats.interruptions],
+              [
+                "Study Streak",
+                `${streaks.current} day(s) (best ${streaks.best})`,
+              ],
+            ];
+
+            container.innerHTML = `
+                    <div class="stats-list">
+                        ${rows
+                          .map(
+                            ([label, value]) => `
+                        <div class="stats-row">
+                            <strong>${label}:</strong> ${value}
+                        </div>`
+                          )
+                          .join("")}
+                    </div>
+                `;
+          } catch (error) {
+            console.error("[UI] Error in updateStatistics:", error);
+            ErrorHandler.logError(error);
+            ErrorHandler.showUserError("Failed to update statistics");
+          }
+        },
+
+        /**
+         * Draws the analytics charts from the week history
+         * Technique: SVG charts built by DOMBuilder
+         */
+        updateAnalytics() {
+          try {
+            const completionChart = document.getElementById("completionChart");
+            const minutesChart = document.getElementById("minutesChart");
+            const missedChart = document.getElementById("missedChart");
+            if (!completionChart || !minutesChart || !missedChart) return;
+
+            const trend = Analytics.getWeeklyTrend();
+            const weekLabels = trend.map((week) =>
+              Utils.formatDate(week.weekStart)
+            );
+            const formatMinutes = (minutes) => Utils.formatTime(minutes);
+
+            completionChart.innerHTML = "";
+            completionChart.appendChild(
+              DOMBuilder.createLineChart({
+                title: "Completion rate by week",
+                labels: weekLabels,
+                values: trend.map((week) => week.completionRate),
+                formatValue: (percent) => `${percent}%`,
+              })
+            );
+
+            document
+              .querySelectorAll(".analytics-toggle .view-toggle-btn")
+              .forEach((btn) =>
+                btn.classList.toggle(
+                  "active",
+                  btn.dataset.range === this.analyticsRange
+                )
+              );
+
+            if (this.analyticsRange === "subject") {
+              const subjects = Analytics.getSubjectMinutes();
+              if (subjects.length === 0) {
+                minutesChart.innerHTML =
+                  '<p class="modal-hint">No study time recorded yet.</p>';
+              } else {
+                minutesChart.innerHTML = "";
+                minutesChart.appendChild(
+                  DOMBuilder.createHorizontalBarChart({
+                    title: "Minutes studied per subject",
+                    items: subjects.map((subject) => ({
+                      label: subject.label,
+                      value: subject.minutes,
+                      color: subject.color,
+                    })),
+                    formatValue: formatMinutes,
+                  })
+                );
+              }
+            } else {
+              const byDay = this.analyticsRange === "day";
+              const days = Analytics.getDailyMinutes();
+              minutesChart.innerHTML = "";
+              minutesChart.appendChild(
+                DOMBuilder.createBarChart({
+                  title: `Minutes studied per ${this.analyticsRange}`,
+                  labels: byDay
+                    ? days.map((day) => Utils.formatDate(day.date))
+                    : weekLabels,
+                  series: [
+                    {
+                      values: byDay
+                        ? days.map((day) => day.minutes)
+                        : trend.map((week) => week.studiedMinutes),
+                    },
+                  ],
+                  formatValue: formatMinutes,
+                })
+              );
+            }
+
+            missedChart.innerHTML = "";
+            missedChart.appendChild(
+              DOMBuilder.createBarChart({
+                title: "Missed and rescheduled tasks by week",
+                labels: weekLabels,
+                series: [
+                  {
+                    name: "Missed",
+                    values: trend.map((week) => week.missed),
+                    className: "chart-bar-missed",
+                  },
+                  {
+                    name: "Rescheduled",
+                    values: trend.map((week) => week.rescheduled),
+                    className: "chart-bar-rescheduled",
+                  },
+                ],
+                formatValue: (count) => `${count}`,
+              })
+            );
+          } catch (error) {
+            console.error("[UI] Error in updateAnalytics:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Switches the minutes chart between days, weeks and subjects
+         */
+        setAnalyticsRange(range) {
+          this.analyticsRange = range;
+          this.updateAnalytics();
+        },
+
+        /**
+         * Fills the settings inputs from stored data
+         */
+        updateSettingsForm() {
+          const limitInput = document.getElementById("dailyLimit");
+          if (limitInput) {
+            limitInput.value = AppStorage.studyData.dailyLimit;
+          }
+
+          const windowInput = document.getElementById("approachingWindow");
+          if (windowInput) {
+            windowInput.value =
+              AppStorage.studyData.settings.approachingWindowHours;
+          }
+
+          const settings = AppStorage.studyData.settings;
+          const focusModeInput = document.getElementById("focusMode");
+          if (focusModeInput) {
+            focusModeInput.value = settings.focusMode;
+          }
+          const autoCompleteInput =
+            document.getElementById("focusAutoComplete");
+          if (autoCompleteInput) {
+            autoCompleteInput.checked = settings.focusAutoComplete;
+          }
+
+          const rescheduleDaysInput = document.getElementById(
+            "rescheduleDaysAhead"
+          );
+          if (rescheduleDaysInput) {
+            rescheduleDaysInput.value = settings.rescheduleDaysAhead;
+          }
+          const maxReschedulesInput = document.getElementById("maxReschedules");
+          if (maxReschedulesInput) {
+            maxReschedulesInput.value = settings.maxReschedules;
+          }
+
+          const remindersInput = document.getElementById("remindersEnabled");
+          if (remindersInput) {
+            remindersInput.checked = settings.remindersEnabled;
+            document.getElementById("reminderMinutes").value =
+              settings.reminderMinutes;
+            document.getElementById("digestTime").value =
+              settings.digestTime || "";
+            document.getElementById("nudgeTime").value =
+              settings.nudgeTime || "";
+          }
+
+          const weeklyInput = document.getElementById("weeklyLimit");
+          if (weeklyInput) {
+            weeklyInput.value = Number.isFinite(settings.weeklyLimit)
+              ? settings.weeklyLimit
+              : "";
+          }
+
+          const dayLimitFields = document.getElementById("dayLimitFields");
+          if (dayLimitFields) {
+            dayLimitFields.innerHTML = "";
+            CONFIG.DAYS_CONFIG.forEach((dayConfig) => {
+              dayLimitFields.appendChild(
+                DOMBuilder.createDayLimitRow(
+                  dayConfig,
+                  (settings.dayLimits || {})[dayConfig.id]
+                )
+              );
+            });
+          }
+
+          this.updateLimitOverrides();
+          this.updateSubjects();
+
+          const availabilityFields =
+            document.getElementById("availabilityFields");
+          if (availabilityFields) {
+            const availability = AppStorage.studyData.settings.availability;
+            availabilityFields.innerHTML = "";
+            CONFIG.DAYS_CONFIG.forEach((dayConfig) => {
+              availabilityFields.appendChild(
+                DOMBuilder.createAvailabilityRow(
+                  dayConfig,
+                  availability[dayConfig.id]
+                )
+              );
+            });
+          }
+        },
+
+        /**
+         * Lists date-specific limits (soonest first)
+         */
+        updateLimitOverrides() {
+          try {
+            const list = document.getElementById("limitOverrideList");
+            if (!list) return;
+
+            const overrides =
+              AppStorage.studyData.settings.limitOverrides || {};
+            list.innerHTML = "";
+
+            Object.keys(overrides)
+              .sort()
+              .forEach((dateKey) => {
+                const item = document.createElement("li");
+                item.className = "override-item";
+
+                const label = document.createElement("span");
+                label.textContent = `${
+                  Utils.getDayConfig(dateKey).name
+                }, ${Utils.formatDate(dateKey)}: ${
+                  overrides[dateKey] === 0
+                    ? "rest day"
+                    : Utils.formatTime(overrides[dateKey])
+                }`;
+
+                const removeBtn = document.createElement("button");
+                removeBtn.className = "delete-btn";
+                removeBtn.textContent = "×";
+                removeBtn.setAttribute("aria-label", "Remove override");
+                removeBtn.onclick = () =>
+                  Handlers.handleRemoveLimitOverride(dateKey);
+
+                item.appendChild(label);
+                item.appendChild(removeBtn);
+                list.appendChild(item);
+              });
+          } catch (error) {
+            console.error("[UI] Error in updateLimitOverrides:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Shows the running focus session (hidden when there is none)
+         * Called every second by FocusTimer.tick
+         */
+        updateFocusPanel() {
+          try {
+            const panel = document.getElementById("focusPanel");
+            if (!panel) return;
+
+            const session = FocusTimer.session;
+            const task =
+              session &&
+              AppStorage.studyData.tasks.find((t) => t.id === session.taskId);
+            panel.classList.toggle("hidden", !session);
+            if (!session) return;
+
+            const isPomodoro = session.mode === "pomodoro";
+            const phaseLabel = !isPomodoro
+              ? "⏱ Stopwatch"
+              : session.phase === "focus"
+              ? `🍅 Focus · round ${session.round}`
+              : "☕ Break";
+
+            document.getElementById("focusTaskTitle").textContent = task
+              ? Utils.unescapeHtml(task.title)
+              : "Deleted task";
+            document.getElementById("focusPhase").textContent = `${phaseLabel}${
+              FocusTimer.isRunning() ? "" : " (paused)"
+            }`;
+            document.getElementById("focusClock").textContent =
+              Utils.formatClock(
+                isPomodoro
+                  ? FocusTimer.getPhaseLength() - FocusTimer.getPhaseMs()
+                  : FocusTimer.getFocusMs()
+              );
+
+            const focusedMinutes = Math.floor(FocusTimer.getFocusMs() / 60000);
+            const previous = task ? task.actualMinutes || 0 : 0;
+            document.getElementById("focusProgress").textContent = `${
+              task
+                ? `${Utils.formatTime(
+                    previous + focusedMinutes
+                  )} of ${Utils.formatTime(task.duration)} planned`
+                : `${Utils.formatTime(focusedMinutes)} focused`
+            } · ${session.interruptions} interruption(s)`;
+
+            document.getElementById("focusPauseBtn").textContent =
+              FocusTimer.isRunning() ? "Pause" : "Resume";
+            panel.classList.toggle(
+              "on-break",
+              isPomodoro && session.phase === "break"
+            );
+          } catch (error) {
+            console.error("[UI] Error in updateFocusPanel:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Renders the subject list and the subject pickers of both forms
+         * Pickers keep their current choice when it still exists
+         */
+        updateSubjects() {
+          try {
+            const subjects = AppStorage.studyData.subjects;
+
+            ["taskSubject", "modalTaskSubject", "goalSubject"].forEach(
+              (selectId) => {
+                const select = document.getElementById(selectId);
+                if (!select) return;
+
+                const current = select.value;
+                select.innerHTML = '<option value="">No subject</option>';
+                subjects.forEach((subject) => {
+                  const option = document.createElement("option");
+                  option.value = subject.id;
+                  option.textContent = Utils.unescapeHtml(subject.name);
+                  select.appendChild(option);
+                });
+                select.value = TaskManager.getSubject(current) ? current : "";
+              }
+            );
+
+            const list = document.getElementById("subjectList");
+            if (!list) return;
+
+            list.innerHTML = "";
+            subjects.forEach((subject) => {
+              const item = document.createElement("li");
+              item.className = "override-item";
+
+              const label = document.createElement("span");
+              label.className = "subject-chip";
+              label.style.backgroundColor = subject.color;
+              label.textContent = Utils.unescapeHtml(subject.name);
+
+              const removeBtn = document.createElement("button");
+              removeBtn.className = "delete-btn";
+              removeBtn.textContent = "×";
+              removeBtn.setAttribute("aria-label", "Delete subject");
+              removeBtn.onclick = () =>
+                Handlers.handleDeleteSubject(subject.id);
+
+              item.appendChild(label);
+              item.appendChild(removeBtn);
+              list.appendChild(item);
+            });
+          } catch (error) {
+            console.error("[UI] Error in updateSubjects:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Re-renders the task views after the filters change
+         */
+        applySearch() {
+          this.updateSearch();
+          this.updateHomepage();
+          this.updateCalendar();
+          this.updateTodoList();
+        },
+
+        /**
+         * Syncs the search form with the active filters and lists every
+         * matching task across all weeks
+         */
+        updateSearch() {
+          try {
+            const filters = TaskSearch.filters;
+
+            const subjectSelect = document.getElementById("searchSubject");
+            if (!subjectSelect) return;
+
+            subjectSelect.innerHTML = `
+              <option value="">Any subject</option>
+              <option value="none">No subject</option>
+            `;
+            AppStorage.studyData.subjects.forEach((subject) => {
+              const option = document.createElement("option");
+              option.value = subject.id;
+              option.textContent = Utils.unescapeHtml(subject.name);
+              subjectSelect.appendChild(option);
+            });
+
+            // Only touch changed fields so typing keeps the caret in place
+            const fields = {
+              searchQuery: filters.query,
+              searchStatus: filters.status,
+              searchDay: filters.day,
+              searchSubject: filters.subjectId,
+              searchMinDuration: filters.minDuration ?? "",
+              searchMaxDuration: filters.maxDuration ?? "",
+              searchRescheduled: filters.rescheduled,
+            };
+            Object.entries(fields).forEach(([id, value]) => {
+              const field = document.getElementById(id);
+              if (field && field.value !== `${value}`) {
+                field.value = `${value}`;
+              }
+            });
+
+            const results = document.getElementById("searchResults");
+            results.innerHTML = "";
+            if (!TaskSearch.isActive()) return;
+
+            const matches = TaskSearch.getResults();
+            const summary = document.createElement("p");
+            summary.className = "search-summary";
+            summary.textContent = `${matches.length} of ${AppStorage.studyData.tasks.length} task(s) match`;
+            results.appendChild(summary);
+
+            const list = document.createElement("ul");
+            list.className = "search-result-list";
+            matches.slice(0, CONFIG.MAX_SEARCH_RESULTS).forEach((task) => {
+              const li = document.createElement("li");
+              li.className = "search-result";
+              li.style.borderLeftColor = CONFIG.STATUS_COLORS[task.status];
+              li.title = "Show this week";
+              li.onclick = () => this.showWeekOf(task.date);
+
+              const label = document.createElement("span");
+              DOMBuilder.setHighlightedLabel(label, task);
+
+              const when = document.createElement("small");
+              when.textContent = `${
+                Utils.getDayConfig(task.date).name
+              }, ${Utils.formatDate(task.date)}`;
+
+              li.appendChild(label);
+              li.appendChild(when);
+              list.appendChild(li);
+            });
+            results.appendChild(list);
+
+            if (matches.length > CONFIG.MAX_SEARCH_RESULTS) {
+              const more = document.createElement("p");
+              more.className = "search-summary";
+              more.textContent = `Showing the first ${CONFIG.MAX_SEARCH_RESULTS} - narrow the search to see the rest`;
+              results.appendChild(more);
+            }
+          } catch (error) {
+            console.error("[UI] Error in updateSearch:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Shows or hides the filter fields under the search bar
+         */
+        toggleSearchFilters() {
+          const panel = document.getElementById("searchFilters");
+          const toggle = document.getElementById("searchFiltersToggle");
+          const hidden = panel.classList.toggle("hidden");
+          toggle.setAttribute("aria-expanded", `${!hidden}`);
+        },
+
+        /**
+         * Renders the goal list, nearest target date first
+         */
+        updateGoals() {
+          try {
+            const list = document.getElementById("goalList");
+            if (!list) return;
+
+            const goals = [...AppStorage.studyData.goals].sort((a, b) =>
+              a.targetDate.localeCompare(b.targetDate)
+            );
+
+            list.innerHTML = "";
+            if (goals.length === 0) {
+              const li = document.createElement("li");
+              li.className = "goal-item";
+              li.textContent = "No goals yet";
+              list.appendChild(li);
+              return;
+            }
+
+            goals.forEach((goal) => {
+              list.appendChild(DOMBuilder.createGoalItem(goal));
+            });
+          } catch (error) {
+            console.error("[UI] Error in updateGoals:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Refreshes all UI sections
+         * Technique: Observer pattern - centralized UI update
+         * Try/Catch: Each update has its own error handling
+         * Pattern: Single method triggers multiple view updates
+         */
+        refresh() {
+          // Each update method has its own try/catch for isolation
+          this.syncOccurrences();
+          this.updateSubjects();
+          this.updateGoals();
+          this.updateSearch();
+          this.updateWeekLabels();
+          this.updateHomepage();
+          this.updateCalendar();
+          this.updateTodoList();
+          this.updateStatistics();
+          this.updateAnalytics();
+          this.updateSyncStatus();
+        },
+
+        /**
+         * Shows where the plan is saved and whether it reached the cloud
+         * Only the error and conflict states are clickable
+         */
+        updateSyncStatus() {
+          try {
+            const statusEl = document.getElementById("syncStatus");
+            if (!statusEl) return;
+
+            const { state, pending } = AppStorage.getSyncState();
+            const changes = `${pending} change${pending === 1 ? "" : "s"}`;
+            const labels = {
+              local: "💾 Saved on this device",
+              offline:
+                pending > 0
+                  ? `📴 Offline · ${changes} waiting`
+                  : "📴 Offline · saved on this device",
+              syncing: "🔄 Syncing…",
+              conflict: "⚠️ Sync conflict · review",
+              error: "⚠️ Sync failed · retry",
+              pending: `⏳ ${changes} waiting to sync`,
+              synced: "☁️ All changes synced",
+            };
+
+            statusEl.textContent = labels[state];
+            statusEl.dataset.state = state;
+            statusEl.disabled = state !== "error" && state !== "conflict";
+            statusEl.title =
+              state === "error" ? `Last error: ${AppStorage.syncError}` : "";
+          } catch (error) {
+            console.error("[UI] Error in updateSyncStatus:", error);
+            ErrorHandler.logError(error);
+          }
+        },
+
+        /**
+         * Shows day detail modal with task list
+         * Technique: Modal pattern + dynamic content generation
+         * Try/Catch: Handles modal rendering errors
+         */
+        showDayDetail(dateKey, totalTime) {
+          try {
+            AppStorage.studyData.currentSelectedDay = dateKey;
+
+            const titleEl = document.getElementById("modalDayTitle");
+            const sessionContainer =
+              document.getElementById("sessionContainer");
+            const errorEl = document.getElementById("modalErrorMessage");
+
+            if (titleEl) {
+              const dayConfig = Utils.getDayConfig(dateKey);
+              titleEl.textContent = `${dayConfig.emoji} ${
+                dayConfig.name
+              }, ${Utils.formatDate(dateKey)} - ${Utils.formatTime(totalTime)}`;
+            }
+
+            // Build task list
+            if (sessionContainer) {
+              sessionContainer.innerHTML = "";
+
+              const tasks = TaskManager.getTasksByDay(dateKey);
+
+              if (tasks.length === 0) {
+                sessionContainer.innerHTML =
+                  '<div style="padding: 10px; color: #999;">No tasks for this day</div>';
+              } else {
+                tasks.forEach((task) => {
+                  const item = document.createElement("div");
+                  item.className = "session-item";
+
+                  const infoDiv = document.createElement("div");
+                  infoDiv.className = "session-info";
+                  infoDiv.innerHTML = `
+                                <strong style="color: ${
+                                  CONFIG.STATUS_COLORS[task.status]
+                                }">${task.seriesId ? "🔁 " : ""}${
+                    task.title
+                  }</strong>
+                                <small>${
+                                  task.startTime
+                                    ? `${Utils.formatTimeRange(
+                                        task.startTime,
+                                        task.duration
+                                      )} - `
+                                    : ""
+                                }${task.duration} minutes - ${task.status
+                    .replace("-", " ")
+                    .toUpperCase()}${
+                    task.dueAt
+                      ? ` - due ${Utils.formatDeadline(task.dueAt)}`
+                      : ""
+                  }${
+                    task.actualMinutes
+                      ? ` - ⏱ ${Utils.formatTime(task.actualMinutes)} actual`
+                      : ""
+                  }</small>
+                            `;
+                  infoDiv.appendChild(DOMBuilder.createTaskTags(task));
+                  const checklist = DOMBuilder.createSubtaskList(task);
+                  if (checklist) infoDiv.appendChild(checklist);
+                  const chain = DOMBuilder.createRescheduleChain(task);
+                  if (chain) infoDiv.appendChild(chain);
+                  const statusLog = DOMBuilder.createStatusLog(task);
+                  if (statusLog) infoDiv.appendChild(statusLog);
+
+                  const actionsDiv = document.createElement("div");
+                  actionsDiv.className = "session-actions";
+
+                  if (TaskManager.canMove(task)) {
+                    actionsDiv.appendChild(
+                      DOMBuilder.createFocusButton(task, "▶ Focus")
+                    );
+                  }
+
+                  const editBtn = document.createElement("button");
+                  editBtn.className = "edit-btn";
+                  editBtn.textContent = "Edit";
+                  editBtn.onclick = () =>
+                    DOMBuilder.startInlineEdit(item, task);
+                  actionsDiv.appendChild(editBtn);
+
+                  // Recurring occurrences can also change the whole series
+                  if (task.seriesId && TaskManager.getSeries(task.seriesId)) {
+                    const seriesBtn = document.createElement("button");
+                    seriesBtn.className = "edit-btn";
+                    seriesBtn.textContent = "Series";
+                    seriesBtn.onclick = () => UI.showSeriesEditor(task.id);
+
+                    const skipBtn = document.createElement("button");
+                    skipBtn.className = "skip-btn";
+                    skipBtn.textContent = "Skip";
+                    skipBtn.onclick = () => {
+                      Handlers.handleSkipOccurrence(task.id);
+                      Modal.close();
+                    };
+
+                    actionsDiv.appendChild(seriesBtn);
+                    actionsDiv.appendChild(skipBtn);
+                  }
+
+                  const deleteBtn = document.createElement("button");
+                  deleteBtn.className = "delete-btn";
+                  deleteBtn.textContent = "Delete";
+                  deleteBtn.onclick = () => {
+                    Handlers.handleDeleteTask(task.id);
+                    Modal.close();
+                  };
+
+                  actionsDiv.appendChild(deleteBtn);
+                  item.appendChild(infoDiv);
+                  item.appendChild(actionsDiv);
+                  sessionContainer.appendChild(item);
+                });
+              }
+            }
+
+            // Show error if over limit
+            if (errorEl) {
+              const dayLimit = TaskManager.getDayLimit(dateKey);
+              const weekExcess = TaskManager.getWeekExcess(dateKey);
+              const messages = [];
+
+              if (totalTime > dayLimit) {
+                const excess = totalTime - dayLimit;
+                messages.push(
+                  dayLimit === 0
+                    ? `⚠️ ERROR! ${excess} MINUTES PLANNED ON A REST DAY`
+                    : `⚠️ ERROR! EXCEED DAILY LIMIT BY ${excess} MINUTES`
+                );
+              }
+              if (weekExcess > 0) {
+                messages.push(
+                  `⚠️ WEEKLY CAP EXCEEDED BY ${weekExcess} MINUTES`
+                );
+              }
+
+              errorEl.textContent = messages.join("\n");
+              errorEl.style.display = messages.length > 0 ? "block" : "none";
+            }
+
+            Modal.open("dayDetailModal");
+          } catch (error) {
+            console.error("[UI] Error in showDayDetail:", error);
+            ErrorHandler.logError(error);
+            ErrorHandler.showUserError("Failed to show day details");
+          }
+        },
+
+        /**
+         * Re-renders the day detail if it is open (after an edit inside it)
+         */
+        refreshDayDetail() {
+          if (
+            !Modal.currentModal ||
+            Modal.currentModal.id !== "dayDetailModal"
+          ) {
+            return;
+          }
+
+          const selectedDay = AppStorage.studyData.currentSelectedDay;
+          this.showDayDetail(
+            selectedDay,
+            TaskManager.calculateDayTime(selectedDay)
+          );
+        },
+      };
+
+      // ============================================
+      // 21. EVENT HANDLERS
+      // ============================================
+      const Handlers = {
+        /**
+         * Handles login
+         */
+        handleLogin() {
+          ErrorHandler.handle(async () => {
+            ErrorHandler.clearAllFieldErrors();
+
+            const email = document.getElementById("loginEmail").value;
+            const password = document.getElementById("loginPassword").value;
+            const remember =
+              document.getElementById("rememberMe")?.checked ?? true;
+
+            // Validate email
+            const emailValidation = Validator.validateEmail(email);
+            if (!emailValidation.valid) {
+              ErrorHandler.showFieldError("loginEmail", emailValidation.error);
+              return;
+            }
+
+            // Validate password
+            if (!password) {
+              ErrorHandler.showFieldError(
+                "loginPassword",
+                "Password is required"
+              );
+              return;
+            }
+
+            UI.showLoading();
+            try {
+              // Firebase sign-in
+              await AppStorage.signIn(emailValidation.value, password, remember);
+            } finally {
+              UI.hideLoading();
+            }
+
+            ErrorHandler.showSuccess("Login successful!");
+          });
+        },
+
+        /**
+         * Login as guest
+         */
+        loginAsGuest() {
+          if (AppStorage.firebaseEnabled && AppStorage.auth?.currentUser) {
+            ErrorHandler.showUserError(
+              "Please logout before using guest mode."
+            );
+            return;
+          }
+
+          ErrorHandler.handle(async () => {
+            // Guests keep their plan in IndexedDB across reloads
+            AppStorage.setUser("Guest");
+            await AppStorage.load();
+
+            document.getElementById("displayUsername").textContent = "Guest";
+            UI.updateSettingsForm();
+            UI.showView("timetable");
+            await TaskManager.checkDeadlines();
+            UI.refresh();
+            ErrorHandler.showSuccess("Welcome, Guest!");
+          });
+        },
+
+        /**
+         * Opens password reset modal
+         * Technique: Modal pattern + DOM prefill
+         */
+        showPasswordReset() {
+          ErrorHandler.clearAllFieldErrors();
+
+          const resetEmail = document.getElementById("resetEmail");
+          const loginEmail = document.getElementById("loginEmail");
+
+          if (resetEmail) {
+            resetEmail.value = loginEmail ? loginEmail.value : "";
+          }
+
+          Modal.open("passwordResetModal");
+        },
+
+        /**
+         * Sends password reset email
+         * Technique: Regex validation + async Firebase Auth call
+         */
+        handlePasswordReset() {
+          ErrorHandler.handle(async () => {
+            ErrorHandler.clearAllFieldErrors();
+
+            const email = document.getElementById("resetEmail").value;
+            const emailValidation = Validator.validateEmail(email);
+            if (!emailValidation.valid) {
+              ErrorHandler.showFieldError("resetEmail", emailValidation.error);
+              return;
+            }
+
+            if (!AppStorage.firebaseEnabled || !AppStorage.auth) {
+              throw new Error(
+                "Firebase is not configured. Please add Firebase settings."
+              );
+            }
+
+            UI.showLoading();
+            try {
+              await AppStorage.auth.sendPasswordResetEmail(
+                emailValidation.value
+              );
+            } finally {
+              UI.hideLoading();
+            }
+            Modal.close();
+            ErrorHandler.showSuccess("Password reset email sent!");
+          });
+        },
+
+        /**
+         * Handles signup
+         */
+        handleSignup() {
+          ErrorHandler.handle(async () => {
+            ErrorHandler.clearAllFieldErrors();
+
+            const email = document.getElementById("signupEmail").value;
+            const password = document.getElementById("signupPassword").value;
+            const confirm = document.getElementById("signupConfirm").value;
+
+            let hasError = false;
+
+            // Validate email
+            const emailValidation = Validator.validateEmail(email);
+            if (!emailValidation.valid) {
+              ErrorHandler.showFieldError("signupEmail", emailValidation.error);
+              hasError = true;
+            }
+
+            // Validate password
+            const passwordValidation = Validator.validatePassword(password);
+            if (!passwordValidation.valid) {
+              ErrorHandler.showFieldError(
+                "signupPassword",
+                passwordValidation.error
+              );
+              hasError = true;
+            }
+
+            // Validate confirmation
+            if (password !== confirm) {
+              ErrorHandler.showFieldError(
+                "signupConfirm",
+                "Passwords do not match"
+              );
+              hasError = true;
+            }
+
+            if (hasError) return;
+
+            UI.showLoading();
+            try {
+              // Create account (Firebase Auth + Firestore)
+              await AppStorage.signUp(
+                emailValidation.value,
+                passwordValidation.value
+              );
+            } finally {
+              UI.hideLoading();
+            }
+
+            ErrorHandler.showSuccess("Account created successfully!");
+          });
+        },
+
+        /**
+         * Handles add task from main form
+         */
+        handleAddTask() {
+          ErrorHandler.handle(() =>
+            History.record("Add task", async () => {
+              ErrorHandler.clearAllFieldErrors();
+
+              const title = document.getElementById("taskTitle").value;
+              const duration = document.getElementById("taskDuration").value;
+              const date = document.getElementById("taskDate").value;
+              const status = document.getElementById("taskStatus").value;
+              const dueAt = document.getElementById("taskDueAt").value;
+              const startTime = document.getElementById("taskStartTime").value;
+              const priority = document.getElementById("taskPriority").value;
+              const subjectId = document.getElementById("taskSubject").value;
+              const reminderMinutes =
+                document.getElementById("taskReminder").value;
+              const minChunk = document.getElementById("taskMinChunk").value;
+              const recurrence = this.readRecurrence("task", date);
+
+              // Add task (validation happens in TaskManager)
+              const task = await TaskManager.addTask(
+                title,
+                duration,
+                date,
+                status,
+                {
+                  recurrence,
+                  dueAt,
+                  startTime,
+                  priority,
+                  subjectId,
+                  reminderMinutes,
+                  minChunk,
+                }
+              );
+
+              // Clear form
+              document.getElementById("taskTitle").value = "";
+              document.getElementById("taskDuration").value = "";
+              document.getElementById("taskDueAt").value = "";
+              document.getElementById("taskStartTime").value = "";
+              document.getElementById("taskPriority").value =
+                CONFIG.DEFAULT_PRIORITY;
+              document.getElementById("taskReminder").value = "";
+              document.getElementById("taskMinChunk").value = "";
+              document.getElementById("taskRepeat").value = "none";
+              UI.toggleRecurrenceFields("task");
+
+              // Update UI (jump to the week the task landed in)
+              UI.showWeekOf(task.date);
+
+              ErrorHandler.showSuccess("Task added successfully!");
+            })
+          );
+        },
+
+        /**
+         * Reads a repeat rule from a form using "<prefix>Repeat..." IDs
+         * Returns null when the task does not repeat
+         */
+        readRecurrence(prefix, startDate = "") {
+          const frequency = document.getElementById(`${prefix}Repeat`).value;
+          if (frequency === "none") return null;
+
+          const endType = document.getElementById(`${prefix}RepeatEnd`).value;
+          const weekdays = Array.from(
+            document.querySelectorAll(
+              `#${prefix}RepeatWeekdays input[type="checkbox"]:checked`
+            )
+          ).map((box) => box.value);
+
+          // Weekly with no days picked repeats on the start date's weekday
+          if (
+            frequency === "weekly" &&
+            weekdays.length === 0 &&
+            Validator.validateDate(startDate).valid
+          ) {
+            weekdays.push(Utils.getDayConfig(startDate).id);
+          }
+
+          return {
+            frequency,
+            interval: document.getElementById(`${prefix}RepeatInterval`).value,
+            weekdays,
+            endDate:
+              endType === "date"
+                ? document.getElementById(`${prefix}RepeatUntil`).value
+                : null,
+            count:
+              endType === "count"
+                ? document.getElementById(`${prefix}RepeatCount`).value
+                : null,
+          };
+        },
+
+        /**
+         * Handles add task from modal
+         */
+        handleAddTaskToCurrentDay() {
+          ErrorHandler.handle(() =>
+            History.record("Add task", async () => {
+              const title = document.getElementById("modalTaskTitle").value;
+              const duration =
+                document.getElementById("modalTaskDuration").value;
+              const status = document.getElementById("modalTaskStatus").value;
+              const dueAt = document.getElementById("modalTaskDueAt").value;
+              const startTime =
+                document.getElementById("modalTaskStartTime").value;
+              const priority =
+                document.getElementById("modalTaskPriority").value;
+              const subjectId =
+                document.getElementById("modalTaskSubject").value;
+              const reminderMinutes =
+                document.getElementById("modalTaskReminder").value;
+              const minChunk =
+                document.getElementById("modalTaskMinChunk").value;
+              const date = AppStorage.studyData.currentSelectedDay;
+
+              if (!date) {
+                throw new Error("No day selected");
+              }
+
+              // Add task
+              await TaskManager.addTask(title, duration, date, status, {
+                dueAt,
+                startTime,
+                priority,
+                subjectId,
+                reminderMinutes,
+                minChunk,
+              });
+
+              // Clear form
+              document.getElementById("modalTaskTitle").value = "";
+              document.getElementById("modalTaskDuration").value = "";
+              document.getElementById("modalTaskDueAt").value = "";
+              document.getElementById("modalTaskStartTime").value = "";
+              document.getElementById("modalTaskPriority").value =
+                CONFIG.DEFAULT_PRIORITY;
+              document.getElementById("modalTaskReminder").value = "";
+              document.getElementById("modalTaskMinChunk").value = "";
+
+              // Close modal and refresh
+              Modal.close();
+              UI.refresh();
+
+              ErrorHandler.showSuccess("Task added successfully!");
+            })
+          );
+        },
+
+        /**
+         * Starts the focus timer for a task
+         */
+        handleStartFocus(taskId) {
+          ErrorHandler.handle(() => {
+            FocusTimer.start(taskId);
+            Modal.close();
+            UI.updateFocusPanel();
+          });
+        },
+
+        /**
+         * Pauses or resumes the focus timer
+         */
+        handleToggleFocusPause() {
+          FocusTimer.togglePause();
+          UI.updateFocusPanel();
+        },
+
+        /**
+         * Stops the focus timer and records the time on the task
+         * complete: also mark the task completed
+         */
+        handleStopFocus(complete = false) {
+          ErrorHandler.handle(() =>
+            History.record("Log focus time", async () => {
+              const result = FocusTimer.stop();
+              UI.updateFocusPanel();
+              if (!result) return;
+
+              const task = await TaskManager.logFocusTime(
+                result.taskId,
+                result.minutes,
+                result.interruptions,
+                complete
+              );
+              UI.refresh();
+
+              ErrorHandler.showSuccess(
+                `Logged ${Utils.formatTime(result.minutes)}${
+                  task.status === CONFIG.STATUS.COMPLETED
+                    ? " — task completed!"
+                    : ""
+                }`
+              );
+            })
+          );
+        },
+
+        /**
+         * Ends the focus session without recording it
+         */
+        handleDiscardFocus() {
+          if (confirm("Discard this focus session without saving the time?")) {
+            FocusTimer.stop();
+            UI.updateFocusPanel();
+          }
+        },
+
+        /**
+         * Moves a task to another day (drag and drop)
+         * Focus returns to the moved task for keyboard users
+         */
+        handleMoveTask(taskId, dateKey) {
+          ErrorHandler.handle(() =>
+            History.record("Move task", async () => {
+              const task = await TaskManager.moveTask(taskId, dateKey);
+
+              UI.refresh();
+
+              const moved = document.querySelector(
+                `.section.active [data-task-id="${taskId}"]`
+              );
+              if (moved) moved.focus();
+
+              const message = `Moved to ${
+                Utils.getDayConfig(task.date).name
+              }, ${Utils.formatDate(task.date)}`;
+              DragDrop.announce(message);
+              ErrorHandler.showSuccess(message);
+            })
+          );
+        },
+
+        /**
+         * Saves an inline task edit
+         */
+        handleSaveTaskEdit(taskId, form) {
+          ErrorHandler.handle(() =>
+            History.record("Edit task", async () => {
+              const value = (name) =>
+                form.elements[name] ? form.elements[name].value : undefined;
+
+              const changes = {
+                title: value("title"),
+                duration: value("duration"),
+                date: value("date"),
+                startTime: value("startTime"),
+                priority: value("priority"),
+                subjectId: value("subjectId"),
+                reminderMinutes: value("reminderMinutes"),
+              };
+              if (form.elements.dueAt) {
+                changes.dueAt = value("dueAt");
+              }
+              if (form.elements.minChunk) {
+                changes.minChunk = value("minChunk");
+              }
+
+              await TaskManager.updateTask(taskId, changes);
+
+              UI.refresh();
+              // Re-render the open day so it shows the saved task
+              UI.refreshDayDetail();
+
+              ErrorHandler.showSuccess("Task updated!");
+            })
+          );
+        },
+
+        /**
+         * Handles task deletion
+         */
+        handleDeleteTask(taskId) {
+          if (confirm("Are you sure you want to delete this task?")) {
+            ErrorHandler.handle(() =>
+              History.record("Delete task", async () => {
+                await TaskManager.deleteTask(taskId);
+                UI.refresh();
+                ErrorHandler.showSuccess("Task deleted successfully!");
+              })
+            );
+          }
+        },
+
+        /**
+         * Skips one occurrence of a recurring task
+         */
+        handleSkipOccurrence(taskId) {
+          ErrorHandler.handle(() =>
+            History.record("Skip session", async () => {
+              await TaskManager.skipOccurrence(taskId);
+              UI.refresh();
+              ErrorHandler.showSuccess("Session skipped");
+            })
+          );
+        },
+
+        /**
+         * Saves the recurring task editor
+         * Scope: this occurrence only, or the whole series
+         */
+        handleSaveSeriesEdit() {
+          ErrorHandler.handle(() =>
+            History.record("Edit recurring task", async () => {
+              const taskId = AppStorage.studyData.currentEditTaskId;
+              const task = AppStorage.studyData.tasks.find(
+                (t) => t.id === taskId
+              );
+              if (!task) {
+                throw new Error("Recurring task not found");
+              }
+
+              const title = document.getElementById("editTitle").value;
+              const duration = document.getElementById("editDuration").value;
+              const wholeSeries =
+                document.getElementById("editScopeSeries").checked;
+
+              if (wholeSeries) {
+                await TaskManager.updateSeries(
+                  task.seriesId,
+                  title,
+                  duration,
+                  this.readRecurrence("edit")
+                );
+              } else {
+                await TaskManager.updateOccurrence(taskId, title, duration);
+              }
+
+              Modal.close();
+              UI.refresh();
+              ErrorHandler.showSuccess(
+                wholeSeries ? "Series updated!" : "Session updated!"
+              );
+            })
+          );
+        },
+
+        /**
+         * Deletes the series of the occurrence being edited
+         */
+        handleDeleteSeries() {
+          const taskId = AppStorage.studyData.currentEditTaskId;
+          const task = AppStorage.studyData.tasks.find((t) => t.id === taskId);
+          if (!task || !task.seriesId) return;
+
+          if (
+            confirm(
+              "Delete this recurring task? Completed and missed sessions are kept."
+            )
+          ) {
+            ErrorHandler.handle(() =>
+              History.record("Delete recurring task", async () => {
+                await TaskManager.deleteSeries(task.seriesId);
+                Modal.close();
+                UI.refresh();
+                ErrorHandler.showSuccess("Recurring task deleted!");
+              })
+            );
+          }
+        },
+
+        /**
+         * Imports the guest plan into the signed-in account
+         */
+        handleImportGuestPlan() {
+          const guestPlan = AppStorage.pendingGuestPlan;
+          if (!guestPlan) return;
+
+          ErrorHandler.handle(() =>
+            History.record("Import guest plan", async () => {
+              const useGuestLimit =
+                document.getElementById("guestImportLimit").checked;
+              const added = await AppStorage.mergeGuestPlan(
+                guestPlan,
+                useGuestLimit
+              );
+
+              AppStorage.pendingGuestPlan = null;
+              Modal.close();
+              UI.updateSettingsForm();
+              await TaskManager.checkDeadlines();
+              UI.refresh();
+              ErrorHandler.showSuccess(`Imported ${added} guest task(s)!`);
+            })
+          );
+        },
+
+        /**
+         * Deletes the guest plan without importing it
+         */
+        handleDiscardGuestPlan() {
+          if (!confirm("Discard the tasks you planned as a guest?")) return;
+
+          ErrorHandler.handle(async () => {
+            await AppStorage.discardGuestPlan();
+            AppStorage.pendingGuestPlan = null;
+            Modal.close();
+            ErrorHandler.showSuccess("Guest plan discarded");
+          });
+        },
+
+        /**
+         * Handles a sync conflict choice ("mine" or "theirs")
+         */
+        handleResolveConflict(choice) {
+          const conflict = AppStorage.conflicts[0];
+          if (!conflict) {
+            Modal.close();
+            return;
+          }
+
+          ErrorHandler.handle(async () => {
+            if (choice === "mine") {
+              await AppStorage.resolveConflictKeepMine(conflict.id);
+            } else {
+              await AppStorage.resolveConflictKeepTheirs(conflict.id);
+            }
+
+            Modal.close();
+            UI.refresh();
+            ErrorHandler.showSuccess("Conflict resolved!");
+            UI.showNextConflict();
+          });
+        },
+
+        /**
+         * Handles a click on the sync indicator
+         * Conflicts open the resolver; failed uploads are retried
+         */
+        handleSyncStatusClick() {
+          if (AppStorage.conflicts.length > 0) {
+            UI.showNextConflict();
+            return;
+          }
+
+          ErrorHandler.handle(async () => {
+            const synced = await AppStorage.flushSyncQueue();
+            if (synced) ErrorHandler.showSuccess("All changes synced!");
+          });
+        },
+
+        /**
+         * Adds a step from the checklist form in the day detail
+         */
+        handleAddSubtask(taskId, form) {
+          ErrorHandler.handle(() =>
+            History.record("Add step", async () => {
+              await TaskManager.addSubtask(
+                taskId,
+                form.elements.subtaskTitle.value,
+                form.elements.subtaskDuration.value
+              );
+
+              UI.refresh();
+              UI.refreshDayDetail();
+              ErrorHandler.showSuccess("Step added!");
+            })
+          );
+        },
+
+        /**
+         * Ticks or unticks a step
+         */
+        handleToggleSubtask(taskId, subtaskId) {
+          ErrorHandler.handle(() =>
+            History.record("Tick step", async () => {
+              const task = await TaskManager.toggleSubtask(taskId, subtaskId);
+
+              UI.refresh();
+              UI.refreshDayDetail();
+              if (task.status === CONFIG.STATUS.COMPLETED) {
+                ErrorHandler.showSuccess("All steps done - task completed!");
+              }
+            })
+          );
+        },
+
+        /**
+         * Removes a step
+         */
+        handleRemoveSubtask(taskId, subtaskId) {
+          ErrorHandler.handle(() =>
+            History.record("Remove step", async () => {
+              await TaskManager.removeSubtask(taskId, subtaskId);
+
+              UI.refresh();
+              UI.refreshDayDetail();
+              ErrorHandler.showSuccess("Step removed!");
+            })
+          );
+        },
+
+        /**
+         * Reorders a step (offset -1 = up, 1 = down)
+         */
+        handleMoveSubtask(taskId, subtaskId, offset) {
+          ErrorHandler.handle(() =>
+            History.record("Reorder steps", async () => {
+              await TaskManager.moveSubtask(taskId, subtaskId, offset);
+              UI.refreshDayDetail();
+            })
+          );
+        },
+
+        /**
+         * Handles status change
+         */
+        handleStatusChange(taskId, newStatus) {
+          ErrorHandler.handle(() =>
+            History.record("Change status", async () => {
+              await TaskManager.updateStatus(taskId, newStatus);
+              UI.refresh();
+              ErrorHandler.showSuccess("Status updated!");
+            })
+          );
+        },
+
+        /**
+         * Handles settings update
+         */
+        handleUpdateSettings() {
+          ErrorHandler.handle(() =>
+            History.record("Update settings", async () => {
+              const limit = document.getElementById("dailyLimit").value;
+              const limitNum = parseInt(limit);
+
+              if (isNaN(limitNum) || limitNum <= 0) {
+                throw new Error("Daily limit must be a positive number");
+              }
+
+              const windowHours = parseInt(
+                document.getElementById("approachingWindow").value
+              );
+
+              if (
+                isNaN(windowHours) ||
+                windowHours <= 0 ||
+                windowHours > CONFIG.MAX_APPROACHING_WINDOW_HOURS
+              ) {
+                throw new Error(
+                  `Approaching window must be between 1 and ${CONFIG.MAX_APPROACHING_WINDOW_HOURS} hours`
+                );
+              }
+
+              const weeklyValidation = Validator.validateLimit(
+                document.getElementById("weeklyLimit").value,
+                1,
+                CONFIG.MAX_WEEKLY_LIMIT
+              );
+              if (!weeklyValidation.valid) {
+                throw new Error(`Weekly cap: ${weeklyValidation.error}`);
+              }
+
+              const rescheduleDays = Validator.validateRescheduleDays(
+                document.getElementById("rescheduleDaysAhead").value
+              );
+              if (!rescheduleDays.valid) {
+                throw new Error(rescheduleDays.error);
+              }
+
+              const maxReschedules = Validator.validateMaxReschedules(
+                document.getElementById("maxReschedules").value
+              );
+              if (!maxReschedules.valid) {
+                throw new Error(maxReschedules.error);
+              }
+
+              const remindersEnabled =
+                document.getElementById("remindersEnabled").checked;
+              const reminderLead = Validator.validateReminder(
+                document.getElementById("reminderMinutes").value
+              );
+              if (!Number.isInteger(reminderLead.value)) {
+                throw new Error(
+                  reminderLead.error ||
+                    "Enter how many minutes before a session to remind you"
+                );
+              }
+              const reminderTimes = {};
+              [
+                ["digestTime", "Morning digest"],
+                ["nudgeTime", "Evening nudge"],
+              ].forEach(([id, label]) => {
+                const validation = Validator.validateStartTime(
+                  document.getElementById(id).value
+                );
+                if (!validation.valid) {
+                  throw new Error(`${label}: ${validation.error}`);
+                }
+                reminderTimes[id] = validation.value;
+              });
+              // Asked on every device: permission is per browser
+              if (remindersEnabled) {
+                await Reminders.requestPermission();
+              }
+
+              const dayLimits = {};
+              document.querySelectorAll(".day-limit-row").forEach((row) => {
+                const validation = Validator.validateLimit(
+                  row.querySelector(".day-limit-input").value
+                );
+                const dayName = CONFIG.DAYS_CONFIG.find(
+                  (d) => d.id === row.dataset.day
+                ).name;
+
+                if (!validation.valid) {
+                  throw new Error(`${dayName}: ${validation.error}`);
+                }
+                if (validation.value !== null) {
+                  dayLimits[row.dataset.day] = validation.value;
+                }
+              });
+
+              const availability = {};
+              document.querySelectorAll(".availability-row").forEach((row) => {
+                const enabled = row.querySelector(
+                  ".availability-enabled"
+                ).checked;
+                const validation = Validator.validateAvailability(
+                  enabled
+                    ? {
+                        start: row.querySelector(".availability-start").value,
+                        end: row.querySelector(".availability-end").value,
+                      }
+                    : null
+                );
+
+                if (!validation.valid) {
+                  const dayName = CONFIG.DAYS_CONFIG.find(
+                    (d) => d.id === row.dataset.day
+                  ).name;
+                  throw new Error(`${dayName}: ${validation.error}`);
+                }
+                availability[row.dataset.day] = validation.value;
+              });
+
+              AppStorage.studyData.dailyLimit = limitNum;
+              AppStorage.studyData.settings.approachingWindowHours =
+                windowHours;
+              AppStorage.studyData.settings.availability = availability;
+              AppStorage.studyData.settings.dayLimits = dayLimits;
+              AppStorage.studyData.settings.weeklyLimit =
+                weeklyValidation.value;
+              AppStorage.studyData.settings.focusMode =
+                document.getElementById("focusMode").value;
+              AppStorage.studyData.settings.focusAutoComplete =
+                document.getElementById("focusAutoComplete").checked;
+              AppStorage.studyData.settings.rescheduleDaysAhead =
+                rescheduleDays.value;
+              AppStorage.studyData.settings.maxReschedules =
+                maxReschedules.value;
+              AppStorage.studyData.settings.remindersEnabled = remindersEnabled;
+              AppStorage.studyData.settings.reminderMinutes =
+                reminderLead.value;
+              AppStorage.studyData.settings.digestTime =
+                reminderTimes.digestTime;
+              AppStorage.studyData.settings.nudgeTime = reminderTimes.nudgeTime;
+              TaskManager.evaluateDeadlines();
+              await AppStorage.save();
+              UI.refresh();
+
+              ErrorHandler.showSuccess("Settings saved!");
+            })
+          );
+        },
+
+        /**
+         * Adds (or replaces) a limit for one date
+         */
+        handleAddLimitOverride() {
+          ErrorHandler.handle(() =>
+            History.record("Add date limit", async () => {
+              const dateValidation = Validator.validateDate(
+                document.getElementById("overrideDate").value
+              );
+              if (!dateValidation.valid) {
+                throw new Error(dateValidation.error);
+              }
+
+              const limitValidation = Validator.validateLimit(
+                document.getElementById("overrideMinutes").value
+              );
+              if (!limitValidation.valid || limitValidation.value === null) {
+                throw new Error(
+                  limitValidation.error || "Enter a limit (0 for a rest day)"
+                );
+              }
+
+              const settings = AppStorage.studyData.settings;
+              settings.limitOverrides = {
+                ...settings.limitOverrides,
+                [dateValidation.value]: limitValidation.value,
+              };
+              await AppStorage.save();
+
+              document.getElementById("overrideDate").value = "";
+              document.getElementById("overrideMinutes").value = "";
+              UI.updateLimitOverrides();
+              UI.refresh();
+              ErrorHandler.showSuccess("Date limit saved!");
+            })
+          );
+        },
+
+        /**
+         * Removes a date-specific limit
+         */
+        handleRemoveLimitOverride(dateKey) {
+          ErrorHandler.handle(() =>
+            History.record("Remove date limit", async () => {
+              const { [dateKey]: removed, ...rest } =
+                AppStorage.studyData.settings.limitOverrides || {};
+              AppStorage.studyData.settings.limitOverrides = rest;
+              await AppStorage.save();
+
+              UI.updateLimitOverrides();
+              UI.refresh();
+            })
+          );
+        },
+
+        /**
+         * Adds a subject from the settings form
+         */
+        handleAddSubject() {
+          ErrorHandler.handle(() =>
+            History.record("Add subject", async () => {
+              const nameInput = document.getElementById("subjectName");
+              const colorInput = document.getElementById("subjectColor");
+
+              await TaskManager.addSubject(nameInput.value, colorInput.value);
+
+              // Suggest a different colour for the next subject
+              nameInput.value = "";
+              colorInput.value =
+                CONFIG.SUBJECT_COLORS[
+                  AppStorage.studyData.subjects.length %
+                    CONFIG.SUBJECT_COLORS.length
+                ];
+
+              UI.refresh();
+              ErrorHandler.showSuccess("Subject added!");
+            })
+          );
+        },
 
-            ErrorHandler.showSuccess("Login successful!");
-          });
+        /**
+         * Deletes a subject (its tasks are kept)
+         */
+        handleDeleteSubject(subjectId) {
+          const subject = TaskManager.getSubject(subjectId);
+          if (!subject) return;
+
+          if (
+            confirm(
+              `Delete the subject "${Utils.unescapeHtml(
+                subject.name
+              )}"? Its tasks are kept without a subject.`
+            )
+          ) {
+            ErrorHandler.handle(() =>
+              History.record("Delete subject", async () => {
+                await TaskManager.deleteSubject(subjectId);
+                UI.refresh();
+              })
+            );
+          }
         },
 
         /**
-         * Login as guest
+         * Runs a bulk action on the selected tasks as one undo step
+         * action: (taskIds) => Promise<{ changed, skipped }>
+         * done: builds the success message from the result
          */
-        loginAsGuest() {
-          if (AppStorage.firebaseEnabled && AppStorage.auth?.currentUser) {
+        runBulkAction(label, action, done) {
+          const taskIds = [...UI.selectedTaskIds];
+          if (taskIds.length === 0) {
             ErrorHandler.showUserError(
-              "Please logout before using guest mode."
+              "Select one or more tasks first",
+              "warning"
             );
             return;
           }
 
-          AppStorage.setUser("Guest");
-          document.getElementById("displayUsername").textContent = "Guest";
-          UI.showView("timetable");
-          UI.refresh();
-          ErrorHandler.showSuccess("Welcome, Guest!");
+          ErrorHandler.handle(() =>
+            History.record(label, async () => {
+              const result = await action(taskIds);
+              UI.refresh();
+
+              // Tasks the action does not apply to are reported, not failed
+              const message = result.changed > 0 ? done(result.changed) : "";
+              if (result.skipped > 0) {
+                ErrorHandler.showUserError(
+                  `${message ? `${message}; ` : ""}${
+                    result.skipped
+                  } selected task(s) were left as they are`,
+                  "warning"
+                );
+              } else if (message) {
+                ErrorHandler.showSuccess(message);
+              }
+            })
+          );
         },
 
         /**
-         * Opens password reset modal
-         * Technique: Modal pattern + DOM prefill
+         * Sets the status picked in the bulk bar on every selected task
          */
-        showPasswordReset() {
-          ErrorHandler.clearAllFieldErrors();
+        handleBulkStatus() {
+          const status = document.getElementById("bulkStatus").value;
+          this.runBulkAction(
+            "Change status of selected tasks",
+            (taskIds) => TaskManager.bulkUpdateStatus(taskIds, status),
+            (count) => `${count} task(s) marked ${status.replace("-", " ")}`
+          );
+        },
 
-          const resetEmail = document.getElementById("resetEmail");
-          const loginEmail = document.getElementById("loginEmail");
+        /**
+         * Moves the selected tasks to the date picked in the bulk bar
+         */
+        handleBulkMove() {
+          const dateKey = document.getElementById("bulkMoveDate").value;
+          this.runBulkAction(
+            "Move selected tasks",
+            (taskIds) => TaskManager.bulkMove(taskIds, dateKey),
+            (count) => `${count} task(s) moved to ${Utils.formatDate(dateKey)}`
+          );
+        },
 
-          if (resetEmail) {
-            resetEmail.value = loginEmail ? loginEmail.value : "";
+        /**
+         * Copies the selected tasks; the copies become the selection
+         */
+        handleBulkDuplicate() {
+          this.runBulkAction(
+            "Duplicate selected tasks",
+            async (taskIds) => {
+              const result = await TaskManager.bulkDuplicate(taskIds);
+              UI.selectedTaskIds = new Set(result.copies.map((t) => t.id));
+              return result;
+            },
+            (count) => `${count} task(s) duplicated`
+          );
+        },
+
+        /**
+         * Deletes the selected tasks after one confirmation
+         */
+        handleBulkDelete() {
+          const count = UI.selectedTaskIds.size;
+          if (count === 0) {
+            ErrorHandler.showUserError(
+              "Select one or more tasks first",
+              "warning"
+            );
+            return;
           }
 
-          Modal.open("passwordResetModal");
+          if (confirm(`Delete ${count} selected task(s)?`)) {
+            this.runBulkAction(
+              "Delete selected tasks",
+              (taskIds) => TaskManager.bulkDelete(taskIds),
+              (deleted) => `${deleted} task(s) deleted`
+            );
+          }
         },
 
         /**
-         * Sends password reset email
-         * Technique: Regex validation + async Firebase Auth call
+         * Applies the search bar and filter fields
          */
-        handlePasswordReset() {
-          ErrorHandler.handle(async () => {
-            ErrorHandler.clearAllFieldErrors();
+        handleSearchChange() {
+          const value = (id) => document.getElementById(id).value;
+
+          TaskSearch.setFilters({
+            query: value("searchQuery"),
+            status: value("searchStatus"),
+            day: value("searchDay"),
+            subjectId: value("searchSubject"),
+            minDuration: value("searchMinDuration"),
+            maxDuration: value("searchMaxDuration"),
+            rescheduled: value("searchRescheduled"),
+          });
+          UI.applySearch();
+        },
 
-            const email = document.getElementById("resetEmail").value;
-            const emailValidation = Validator.validateEmail(email);
-            if (!emailValidation.valid) {
-              ErrorHandler.showFieldError("resetEmail", emailValidation.error);
-              return;
-            }
+        /**
+         * Clears the search and every filter
+         */
+        handleClearSearch() {
+          TaskSearch.clear();
+          UI.applySearch();
+        },
 
-            if (!AppStorage.firebaseEnabled || !AppStorage.auth) {
-              throw new Error(
-                "Firebase is not configured. Please add Firebase settings."
+        /**
+         * Creates a goal from the goal form and plans its sessions
+         */
+        handleAddGoal() {
+          ErrorHandler.handle(() =>
+            History.record("Add goal", async () => {
+              const titleInput = document.getElementById("goalTitle");
+              const dateInput = document.getElementById("goalDate");
+              const hoursInput = document.getElementById("goalHours");
+              const subjectInput = document.getElementById("goalSubject");
+
+              const { goal, unplanned } = await GoalPlanner.addGoal(
+                titleInput.value,
+                dateInput.value,
+                hoursInput.value,
+                { subjectId: subjectInput.value }
               );
-            }
 
-            UI.showLoading();
-            try {
-              await AppStorage.auth.sendPasswordResetEmail(
-                emailValidation.value
-              );
-            } finally {
-              UI.hideLoading();
-            }
-            Modal.close();
-            ErrorHandler.showSuccess("Password reset email sent!");
-          });
+              titleInput.value = "";
+              dateInput.value = "";
+              hoursInput.value = "";
+
+              UI.refresh();
+              this.reportGoalPlan(goal, unplanned);
+            })
+          );
         },
 
         /**
-         * Handles signup
+         * Plans a goal's remaining effort again
          */
-        handleSignup() {
-          ErrorHandler.handle(async () => {
-            ErrorHandler.clearAllFieldErrors();
-
-            const email = document.getElementById("signupEmail").value;
-            const password = document.getElementById("signupPassword").value;
-            const confirm = document.getElementById("signupConfirm").value;
-
-            let hasError = false;
+        handleReplanGoal(goalId) {
+          ErrorHandler.handle(() =>
+            History.record("Re-plan goal", async () => {
+              const unplanned = await GoalPlanner.replan(goalId);
+              UI.refresh();
+              this.reportGoalPlan(GoalPlanner.getGoal(goalId), unplanned);
+            })
+          );
+        },
 
-            // Validate email
-            const emailValidation = Validator.validateEmail(email);
-            if (!emailValidation.valid) {
-              ErrorHandler.showFieldError("signupEmail", emailValidation.error);
-              hasError = true;
-            }
+        /**
+         * Tells the user whether all of a goal's effort fit
+         */
+        reportGoalPlan(goal, unplanned) {
+          if (unplanned > 0) {
+            ErrorHandler.showUserError(
+              `${Utils.formatTime(unplanned)} of "${Utils.unescapeHtml(
+                goal.title
+              )}" did not fit within your limits before ${Utils.formatDate(
+                goal.targetDate
+              )}`,
+              "warning"
+            );
+          } else {
+            ErrorHandler.showSuccess("Study sessions planned!");
+          }
+        },
 
-            // Validate password
-            const passwordValidation = Validator.validatePassword(password);
-            if (!passwordValidation.valid) {
-              ErrorHandler.showFieldError(
-                "signupPassword",
-                passwordValidation.error
-              );
-              hasError = true;
-            }
+        /**
+         * Deletes a goal (completed and started sessions are kept)
+         */
+        handleDeleteGoal(goalId) {
+          const goal = GoalPlanner.getGoal(goalId);
+          if (!goal) return;
 
-            // Validate confirmation
-            if (password !== confirm) {
-              ErrorHandler.showFieldError(
-                "signupConfirm",
-                "Passwords do not match"
-              );
-              hasError = true;
-            }
+          if (
+            confirm(
+              `Delete the goal "${Utils.unescapeHtml(
+                goal.title
+              )}"? Its upcoming sessions are removed; finished ones are kept.`
+            )
+          ) {
+            ErrorHandler.handle(() =>
+              History.record("Delete goal", async () => {
+                await GoalPlanner.deleteGoal(goalId);
+                UI.refresh();
+              })
+            );
+          }
+        },
 
-            if (hasError) return;
+        /**
+         * Handles clear all data
+         */
+        handleClearData() {
+          if (
+            confirm(
+              "Are you sure you want to clear all data? Your analytics history is kept, and you can undo this until you log out."
+            )
+          ) {
+            ErrorHandler.handle(() =>
+              History.record("Clear all data", async () => {
+                // This week's progress is archived too, then kept
+                Analytics.archiveWeeks(
+                  Utils.addDays(
+                    Utils.getWeekStart(Utils.getTodayKey()),
+                    CONFIG.DAYS.length
+                  )
+                );
+                const { weekHistory } = AppStorage.studyData;
+                AppStorage.reset();
+                AppStorage.studyData.weekHistory = weekHistory;
+                await AppStorage.save();
+                UI.updateSettingsForm();
+                UI.refresh();
+                ErrorHandler.showSuccess("All data cleared!");
+              })
+            );
+          }
+        },
 
-            UI.showLoading();
-            try {
-              // Create account (Firebase Auth + Firestore)
-              await AppStorage.signUp(
-                emailValidation.value,
-                passwordValidation.value
-              );
-            } finally {
-              UI.hideLoading();
+        /**
+         * Proposes a balanced plan for the visible week
+         */
+        handleOptimizeWeek() {
+          ErrorHandler.handle(async () => {
+            const weekStart = AppStorage.studyData.currentWeekStart;
+            if (Utils.addDays(weekStart, 6) < Utils.getTodayKey()) {
+              throw new Error("Past weeks cannot be optimized");
             }
 
-            ErrorHandler.showSuccess("Account created successfully!");
+            WeekOptimizer.pendingProposal = WeekOptimizer.propose(weekStart);
+            UI.showOptimizeProposal(WeekOptimizer.pendingProposal);
           });
         },
 
         /**
-         * Handles add task from main form
+         * Applies the reviewed optimizer proposal
          */
-        handleAddTask() {
-          ErrorHandler.handle(async () => {
-            ErrorHandler.clearAllFieldErrors();
+        handleApplyOptimization() {
+          const proposal = WeekOptimizer.pendingProposal;
+          if (!proposal) return;
 
-            const title = document.getElementById("taskTitle").value;
-            const duration = document.getElementById("taskDuration").value;
-            const day = document.getElementById("taskDay").value;
-            const status = document.getElementById("taskStatus").value;
+          ErrorHandler.handle(() =>
+            History.record("Optimize week", async () => {
+              const moved = await WeekOptimizer.apply(proposal);
 
-            // Add task (validation happens in TaskManager)
-            await TaskManager.addTask(title, duration, day, status);
+              WeekOptimizer.pendingProposal = null;
+              Modal.close();
+              UI.refresh();
+              ErrorHandler.showSuccess(`Moved ${moved} task(s)!`);
+            })
+          );
+        },
 
-            // Clear form
-            document.getElementById("taskTitle").value = "";
-            document.getElementById("taskDuration").value = "";
+        /**
+         * Discards the optimizer proposal
+         */
+        handleRejectOptimization() {
+          WeekOptimizer.pendingProposal = null;
+          Modal.close();
+        },
 
-            // Update UI
-            UI.refresh();
+        /**
+         * Gives unscheduled sessions in the visible week a start time
+         */
+        handleAutoPlace() {
+          ErrorHandler.handle(() =>
+            History.record("Auto-place sessions", async () => {
+              const { placed, unplaced } = await TaskManager.autoPlace(
+                UI.getVisibleWeekDates()
+              );
+              UI.refresh();
 
-            ErrorHandler.showSuccess("Task added successfully!");
-          });
+              if (unplaced > 0) {
+                ErrorHandler.showUserError(
+                  `Placed ${placed} session(s); ${unplaced} did not fit your availability`,
+                  "warning"
+                );
+              } else if (placed > 0) {
+                ErrorHandler.showSuccess(`Placed ${placed} session(s)!`);
+              } else {
+                ErrorHandler.showSuccess("Nothing left to place this week");
+              }
+            })
+          );
         },
 
         /**
-         * Handles add task from modal
+         * Downloads the plan in the chosen format
          */
-        handleAddTaskToCurrentDay() {
+        handleExport(format) {
           ErrorHandler.handle(async () => {
-            const title = document.getElementById("modalTaskTitle").value;
-            const duration = document.getElementById("modalTaskDuration").value;
-            const status = document.getElementById("modalTaskStatus").value;
-            const day = AppStorage.studyData.currentSelectedDay;
-
-            if (!day) {
-              throw new Error("No day selected");
+            if (format === "json") {
+              PlanTransfer.download(
+                PlanTransfer.exportJSON(),
+                "json",
+                "application/json"
+              );
+            } else if (format === "csv") {
+              PlanTransfer.download(
+                PlanTransfer.exportCSV(),
+                "csv",
+                "text/csv"
+              );
+            } else {
+              PlanTransfer.download(
+                PlanTransfer.exportICS(),
+                "ics",
+                "text/calendar"
+              );
             }
 
-            // Add task
-            await TaskManager.addTask(title, duration, day, status);
+            ErrorHandler.showSuccess("Plan exported!");
+          });
+        },
 
-            // Clear form
-            document.getElementById("modalTaskTitle").value = "";
-            document.getElementById("modalTaskDuration").value = "";
+        /**
+         * Reads an import file and shows the dry-run preview
+         */
+        handleImportFile(input) {
+          const file = input.files && input.files[0];
+          if (!file) return;
 
-            // Close modal and refresh
-            Modal.close();
-            UI.refresh();
+          ErrorHandler.handle(async () => {
+            try {
+              if (file.size > CONFIG.MAX_IMPORT_FILE_SIZE) {
+                throw new Error("Import file is too large (max 1 MB)");
+              }
 
-            ErrorHandler.showSuccess("Task added successfully!");
+              const text = await file.text();
+              PlanTransfer.pendingImport = PlanTransfer.preview(
+                file.name,
+                text
+              );
+              UI.showImportPreview(PlanTransfer.pendingImport);
+            } finally {
+              // Allow choosing the same file again
+              input.value = "";
+            }
           });
         },
 
         /**
-         * Handles task deletion
+         * Applies the previewed import
          */
-        handleDeleteTask(taskId) {
-          if (confirm("Are you sure you want to delete this task?")) {
-            ErrorHandler.handle(async () => {
-              await TaskManager.deleteTask(taskId);
+        handleConfirmImport() {
+          const preview = PlanTransfer.pendingImport;
+          if (!preview) return;
+
+          ErrorHandler.handle(() =>
+            History.record("Import file", async () => {
+              const restoreSettings = document.getElementById(
+                "importRestoreSettings"
+              ).checked;
+              const added = await PlanTransfer.apply(preview, restoreSettings);
+
+              PlanTransfer.pendingImport = null;
+              Modal.close();
+              UI.updateSettingsForm();
               UI.refresh();
-              ErrorHandler.showSuccess("Task deleted successfully!");
-            });
-          }
+              ErrorHandler.showSuccess(`Imported ${added} task(s)!`);
+            })
+          );
         },
 
         /**
-         * Handles status change
+         * Undoes the latest change
          */
-        handleStatusChange(taskId, newStatus) {
+        handleUndo() {
           ErrorHandler.handle(async () => {
-            await TaskManager.updateStatus(taskId, newStatus);
+            const entry = await History.undo();
+            if (!entry) return;
+
+            UI.updateSettingsForm();
             UI.refresh();
-            ErrorHandler.showSuccess("Status updated!");
+            ErrorHandler.showSuccess(`Undone: ${entry.label}`);
           });
         },
 
         /**
-         * Handles settings update
+         * Redoes the latest undone change
          */
-        handleUpdateSettings() {
+        handleRedo() {
           ErrorHandler.handle(async () => {
-            const limit = document.getElementById("dailyLimit").value;
-            const limitNum = parseInt(limit);
+            const entry = await History.redo();
+            if (!entry) return;
 
-            if (isNaN(limitNum) || limitNum <= 0) {
-              throw new Error("Daily limit must be a positive number");
-            }
-
-            AppStorage.studyData.dailyLimit = limitNum;
-            await AppStorage.save();
+            UI.updateSettingsForm();
             UI.refresh();
-
-            ErrorHandler.showSuccess("Settings saved!");
+            ErrorHandler.showSuccess(`Redone: ${entry.label}`);
           });
         },
 
         /**
-         * Handles clear all data
+         * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS; Ctrl+Y also redoes)
+         * Text fields keep their own undo; dialogs are left alone
          */
-        handleClearData() {
+        handleHistoryShortcut(e) {
+          if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+          const key = e.key.toLowerCase();
+          if (key !== "z" && key !== "y") return;
+
+          const target = e.target;
           if (
-            confirm(
-              "Are you sure you want to clear all data? This cannot be undone."
-            )
+            Modal.currentModal ||
+            (target &&
+              (target.isContentEditable ||
+                ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)))
           ) {
-            ErrorHandler.handle(async () => {
-              AppStorage.reset();
-              await AppStorage.save();
-              UI.refresh();
-              ErrorHandler.showSuccess("All data cleared!");
-            });
+            return;
+          }
+
+          e.preventDefault();
+          if (key === "y" || e.shiftKey) {
+            Handlers.handleRedo();
+          } else {
+            Handlers.handleUndo();
           }
         },
 
@@ -1992,6 +12337,8 @@
           if (confirm("Are you sure you want to logout?")) {
             ErrorHandler.handle(async () => {
               await AppStorage.signOut();
+              FocusTimer.stop();
+              UI.updateFocusPanel();
               AppStorage.reset();
               AppStorage.setUser("Guest");
               UI.showView("login");
@@ -2002,14 +12349,35 @@
       };
 
       // ============================================
-      // 12. INITIALIZATION
+      // 22. INITIALIZATION
       // ============================================
+      /**
+       * Registers the service worker (offline app shell + notifications)
+       * Resolves to null where service workers are unavailable
+       */
+      async function registerServiceWorker() {
+        if (!("serviceWorker" in navigator)) return null;
+
+        try {
+          return await navigator.serviceWorker.register("sw.js");
+        } catch (error) {
+          console.warn("[App] Service worker not registered:", error.message);
+          return null;
+        }
+      }
+
       async function initializeApp() {
         console.log("[App] Initializing Study Plan Optimizer...");
 
-        // Initialize Firebase (falls back to in-memory if not configured)
+        // Initialize Firebase (falls back to local storage if not configured)
         AppStorage.initFirebase();
 
+        // Search and filters survive reloads through the URL
+        TaskSearch.readFromUrl();
+        if (TaskSearch.hasFieldFilters()) {
+          UI.toggleSearchFilters();
+        }
+
         // Show login view by default
         UI.showView("login");
 
@@ -2018,11 +12386,27 @@
         } else {
           await AppStorage.load();
         }
+        AppStorage.bindConnectivityListener();
+
+        // Set settings inputs (default or loaded)
+        UI.updateSettingsForm();
+
+        // Evaluate deadlines in the background
+        TaskManager.startDeadlineMonitor();
 
-        // Set daily limit input (default or loaded)
-        const limitInput = document.getElementById("dailyLimit");
-        if (limitInput) {
-          limitInput.value = AppStorage.studyData.dailyLimit;
+        // Offline app shell, then session reminders through the same worker
+        registerServiceWorker().then((registration) =>
+          Reminders.init(registration)
+        );
+
+        // Undo / redo shortcuts
+        History.updateButtons();
+        document.addEventListener("keydown", Handlers.handleHistoryShortcut);
+
+        // Default the add-task date to today
+        const taskDate = document.getElementById("taskDate");
+        if (taskDate) {
+          taskDate.value = Utils.getTodayKey();
         }
 
         // Add Enter key support for login
@@ -2066,7 +12450,7 @@
       }
 
       // ============================================
-      // 13. GLOBAL ERROR HANDLER
+      // 23. GLOBAL ERROR HANDLER
       // ============================================
       window.addEventListener("error", (event) => {
         console.error("[Global Error]", event.error);
@@ -2097,82 +12481,145 @@
        * FILE STRUCTURE:
        * - index.html: Markup and view containers
        * - styles.css: Layout, theme, and component styling
-       * - app.js: Modular JavaScript architecture (13 modules)
+       * - app.js: Modular JavaScript architecture (23 modules)
        * - Separation of concerns: Structure, Presentation, Logic, Validation
        *
        * MODULE BREAKDOWN:
        *
-       * CONFIG Module (Lines 197-253)
+       * CONFIG Module
        * - Purpose: Centralized configuration management
        * - Contents: Days array, status enums, limits, color mappings
        * - Technique: Configuration object pattern
        * - Benefit: Single source of truth, easy to modify settings
        *
-       * UTILS Module (Lines 254-303)
+       * UTILS Module
        * - Purpose: Reusable utility functions
-       * - Functions: escapeHtml, formatTime, getDayIndex, getNextDay, getDayAhead
+       * - Functions: escapeHtml, formatTime, date-key helpers (toDateKey, addDays,
+       *   getWeekStart, getWeekDates), getNextDay, getDayAhead
        * - Technique: Pure functions (no side effects)
        * - Benefit: Code reusability, testability
        *
-       * VALIDATOR Module (Lines 304-397)
+       * VALIDATOR Module
        * - Purpose: Input validation with Regular Expressions
        * - Functions: validateEmail, validatePassword, validateTaskTitle, validateDuration
        * - Technique: Regex pattern matching
        * - Benefit: Data integrity, security, user feedback
        *
-       * ERROR_HANDLER Module (Lines 398-530)
+       * ERROR_HANDLER Module
        * - Purpose: Centralized error management
        * - Functions: handle (wrapper), logError, showUserError, showSuccess, showFieldError
        * - Technique: Higher-order functions, try/catch wrapping
        * - Benefit: Robust error handling, user experience
        *
-       * ID_GENERATOR Module (Lines 531-555)
+       * ID_GENERATOR Module
        * - Purpose: Unique ID generation
        * - Technique: Closure pattern with private counter
        * - Benefit: Collision-free IDs, encapsulation
        *
-       * APP_STORAGE Module (Lines 556-848)
+       * LOCAL_STORE Module
+       * - Purpose: Offline-first browser persistence
+       * - Technique: Promise wrapper around IndexedDB
+       * - Benefit: Plans survive reloads, network drops and guest sessions
+       *
+       * APP_STORAGE Module
        * - Purpose: Data persistence layer
        * - Technique: Singleton pattern
        * - Benefit: Centralized data management, state consistency
-       * - Storage: Firestore persistence with in-memory fallback
+       * - Storage: IndexedDB local copy, queued Firestore sync, in-memory fallback
        *
-       * TASK_MANAGER Module (Lines 849-1110)
+       * TASK_MANAGER Module
        * - Purpose: Core business logic
-       * - Functions: addTask, deleteTask, updateStatus, autoBalance, rescheduleTask, statistics
+       * - Functions: addTask, deleteTask, updateStatus, autoBalance, rescheduleTask, addSubtask, splitSubtasks, splitTask, bulkUpdateStatus, bulkMove, bulkDelete, bulkDuplicate, statistics
        * - Technique: Algorithm design, state management
        * - Benefit: Complex logic encapsulation, smart scheduling
        *
-       * DOM_BUILDER Module (Lines 1111-1236)
+       * GOAL_PLANNER Module
+       * - Purpose: Goals with a target date and sessions planned toward them
+       * - Functions: getGoal, getSessions, getProgress, getRoom, plan, addSessionMinutes, addGoal, replan, replanAfterMiss, deleteGoal
+       * - Technique: Equal shares per remaining day, capped by free room and repeated until placed
+       * - Benefit: Missed sessions move within the run-up instead of 3 days later
+       *
+       * TASK_SEARCH Module
+       * - Purpose: Search bar and filter panel state for the task views
+       * - Functions: normalize, isActive, hasFieldFilters, getSearchText, matches, getResults, getHighlightParts, setFilters, clear, readFromUrl, writeToUrl
+       * - Technique: history.replaceState keeps the filters in the query string
+       * - Benefit: A filtered view can be reloaded or bookmarked
+       *
+       * ANALYTICS Module
+       * - Purpose: Week history, trends and streaks for the charts
+       * - Functions: summarizeWeek, toRecord, summarizeTasks, archiveWeeks, getWeeks, getWeeklyTrend, getDailyMinutes, getSubjectMinutes, getStreaks
+       * - Technique: Aggregation over per-week summaries stored with the account
+       * - Benefit: Trends stay accurate after tasks are cleared
+       *
+       * HISTORY Module
+       * - Purpose: Undo and redo user actions with all their side effects
+       * - Functions: record, undo, redo, restore, clear
+       * - Technique: Snapshot diff per action, bounded stacks
+       * - Benefit: Mistakes are recoverable; other devices' edits survive
+       *
+       * WEEK_OPTIMIZER Module
+       * - Purpose: Balance a whole week against day limits and the weekly cap
+       * - Functions: propose, apply, compareUrgency, isMovable
+       * - Technique: Most-constrained-first placement, least-loaded day
+       * - Benefit: Users review every move before anything is saved
+       *
+       * PLAN_TRANSFER Module
+       * - Purpose: Import/export as JSON, CSV and iCalendar
+       * - Functions: exportJSON, exportCSV, exportICS, preview, apply
+       * - Technique: Hand-written parsers validated through Validator
+       * - Benefit: Backups before clearing data, calendar app integration
+       *
+       * DOM_BUILDER Module
        * - Purpose: Dynamic HTML generation
-       * - Functions: createTaskElement, createDayCard, createCalendarDay
+       * - Functions: createTaskElement, createSubtaskList, createDayCard, createCalendarDay
        * - Technique: Factory pattern
        * - Benefit: Consistent UI elements, separation of concerns
        *
-       * MODAL Module (Lines 1237-1287)
+       * DRAG_DROP Module
+       * - Purpose: Move tasks between day cards and calendar days
+       * - Functions: makeDraggable, makeDropTarget, drop, handleKeydown
+       * - Technique: One drag state shared by mouse, touch and keyboard
+       * - Benefit: Accessible rescheduling with capacity feedback
+       *
+       * FOCUS_TIMER Module
+       * - Purpose: Time a task with Pomodoro phases or a stopwatch
+       * - Functions: start, tick, togglePause, stop, getFocusMs
+       * - Technique: Elapsed time from Date.now(), one session at a time
+       * - Benefit: Actual minutes and interruptions recorded per task
+       *
+       * REMINDERS Module
+       * - Purpose: Session reminders, morning digest and evening nudge
+       * - Functions: init, requestPermission, getLeadMinutes, getDayReminders,
+       *   getDueReminders, getSchedule, sync, check, show
+       * - Technique: A week of reminders with show windows handed to the
+       *   service worker; page timer fallback with shown-once keys per day
+       * - Benefit: Students are reminded in another tab, and after closing
+       *   the app where the browser can wake the service worker
+       *
+       * MODAL Module
        * - Purpose: Modal dialog management
        * - Functions: open, close, handleKeydown
        * - Technique: Singleton pattern, event handling
        * - Benefit: User interaction, accessibility
        *
-       * UI Module (Lines 1288-1703)
+       * UI Module
        * - Purpose: User interface orchestration
-       * - Functions: showView, showSection, updateHomepage, updateCalendar, updateTodoList, updateStatistics, refresh, showDayDetail
+       * - Functions: showView, showSection, updateHomepage, updateCalendar, updateTodoList, selectTask, selectDay, updateStatistics, refresh, showDayDetail
        * - Technique: Observer pattern
        * - Benefit: Reactive UI updates, view management
        *
-       * HANDLERS Module (Lines 1704-2003)
+       * HANDLERS Module
        * - Purpose: Event handling
-       * - Functions: handleLogin, loginAsGuest, showPasswordReset, handlePasswordReset, handleSignup, handleAddTask, handleDeleteTask, handleStatusChange, handleUpdateSettings, handleClearData, handleLogout
+       * - Functions: handleLogin, loginAsGuest, showPasswordReset, handlePasswordReset, handleSignup, handleAddTask, handleDeleteTask, handleStatusChange, handleBulkStatus, handleBulkMove, handleBulkDelete, handleBulkDuplicate, handleUpdateSettings, handleClearData, handleLogout
        * - Technique: Command pattern
        * - Benefit: Organized event responses, user actions
        *
-       * INITIALIZATION Module (Lines 2006-2067)
-       * - Purpose: Application bootstrap
+       * INITIALIZATION Module
+       * - Purpose: Application bootstrap, service worker registration
        * - Technique: DOMContentLoaded event handling
-       * - Benefit: Proper initialization sequence
+       * - Benefit: Proper initialization sequence, offline app shell
        *
-       * GLOBAL_ERROR_HANDLER Module (Lines 2070-2079)
+       * GLOBAL_ERROR_HANDLER Module
        * - Purpose: Catch uncaught errors
        * - Technique: Window-level error listeners
        * - Benefit: Prevents app crashes, error logging
@@ -2190,45 +12637,45 @@
        *
        * LOCATIONS OF TRY/CATCH:
        *
-       * 1. ErrorHandler.handle() (Lines 407-435)
+       * 1. ErrorHandler.handle()
        *    - Wraps any operation in try/catch
        *    - Logs errors and shows user messages
        *    - Returns fallback value on error
        *
-       * 2. UI.showView() (Lines 1328-1348)
+       * 2. UI.showView()
        *    - Prevents crashes if DOM elements missing
        *    - Logs warnings for debugging
        *
-       * 3. UI.showSection() (Lines 1355-1380)
+       * 3. UI.showSection()
        *    - Handles missing sections gracefully
        *    - Validates event object before accessing
        *
-       * 4. UI.updateHomepage() (Lines 1387-1418)
+       * 4. UI.updateHomepage()
        *    - Protects rendering loop
        *    - Shows user error if update fails
        *
-       * 5. UI.updateCalendar() (Lines 1426-1454)
+       * 5. UI.updateCalendar()
        *    - Robust calendar rendering
        *    - Error isolation per view
        *
-       * 6. UI.updateTodoList() (Lines 1461-1546)
+       * 6. UI.updateTodoList()
        *    - Handles task list rendering errors
        *    - Prevents partial updates
        *
-       * 7. UI.updateStatistics() (Lines 1554-1602)
+       * 7. UI.updateStatistics()
        *    - Safe statistics calculation
        *    - Template literal error handling
        *
-       * 8. UI.showDayDetail() (Lines 1624-1699)
+       * 8. UI.showDayDetail()
        *    - Modal rendering protection
        *    - Dynamic content error handling
        *
-       * 9. All Handler functions (Lines 1704-2003)
+       * 9. All Handler functions
        *    - Every user action wrapped in ErrorHandler.handle()
        *    - Validation errors caught and displayed
        *    - Success messages on completion
        *
-       * 10. Global error handlers (Lines 2070-2079)
+       * 10. Global error handlers
        *     - Window error event listener
        *     - Unhandled promise rejection handler
        *     - Catches any missed errors
@@ -2245,7 +12692,7 @@
        *
        * INPUT VALIDATION WITH REGEX:
        *
-       * 1. Email Validation (Line 311)
+       * 1. Email Validation
        *    Pattern: /^[a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/
        *    - Validates email format
        *    - Allows alphanumeric, dots, underscores, hyphens
@@ -2253,7 +12700,7 @@
        *    - Domain extension minimum 2 characters
        *    Example: user@example.com ✓, invalid@email ✗
        *
-       * 2. Password Strength (Lines 326-335)
+       * 2. Password Strength
        *    Pattern 1: /[A-Z]/
        *    - Checks for at least one uppercase letter
        *    Pattern 2: /\d/
@@ -2261,7 +12708,7 @@
        *    Requirements: min 8 characters + uppercase + number
        *    Example: Password1 ✓, password ✗
        *
-       * 3. HTML Tag Detection (Line 363)
+       * 3. HTML Tag Detection
        *    Pattern: /<[^>]*>/g
        *    - Detects HTML tags in task titles
        *    - Prevents HTML injection (XSS)
@@ -2304,20 +12751,20 @@
        * ============================================
        *
        * HIGHER-ORDER FUNCTIONS:
-       * - forEach(): Iterate arrays (Lines 1331, 1399, 1437)
-       * - filter(): Select items by condition (Lines 959, 1049)
-       * - reduce(): Calculate totals (Lines 1054, 1094)
-       * - find(): Locate specific item (Lines 908, 1038, 1634)
+       * - forEach(): Iterate arrays
+       * - filter(): Select items by condition
+       * - reduce(): Calculate totals
+       * - find(): Locate specific item
        * - map(): Transform data (implicit in various places)
-       * - sort(): Order by criteria (Line 964)
+       * - sort(): Order by criteria
        *
        * CLOSURES:
-       * - IDGenerator: Private counter variable (Lines 531-549)
+       * - IDGenerator: Private counter variable
        * - Maintains state without global variables
        * - Encapsulation of private data
        *
        * DESIGN PATTERNS:
-       * - Module Pattern: All 13 modules
+       * - Module Pattern: All 23 modules
        * - Singleton Pattern: AppStorage, Modal
        * - Factory Pattern: DOMBuilder
        * - Observer Pattern: UI refresh system
@@ -2325,7 +12772,7 @@
        *
        * ALGORITHMS:
        *
-       * Auto-Balance Algorithm (Lines 943-1004):
+       * Auto-Balance Algorithm:
        * 1. Check if day exceeds limit
        * 2. Find tasks that can be moved
        * 3. Move largest movable task to next day
@@ -2333,19 +12780,19 @@
        * 5. Max 7 iterations (prevents infinite loop)
        * 6. Alert user if cannot fit all tasks
        *
-       * Auto-Reschedule Algorithm (Lines 1016-1042):
-       * 1. Calculate target day (current + 3)
-       * 2. Create new task with "RESCHEDULED:" prefix
-       * 3. Set status to not-completed
-       * 4. Trigger auto-balance for new day
-       * 5. Notify user of reschedule
+       * Auto-Reschedule Algorithm:
+       * 1. Stop when the task used its reschedules (Settings)
+       * 2. Start the configured number of days ahead (not before today)
+       * 3. Take the first day with free capacity
+       * 4. Create a new attempt linked to its parent and first attempt
+       * 5. Trigger auto-balance for new day and notify the user
        *
        * ============================================
        * 6. SECURITY FEATURES
        * ============================================
        *
        * XSS PREVENTION:
-       * - Utils.escapeHtml() (Lines 261-265)
+       * - Utils.escapeHtml()
        * - Uses DOM textContent for safe escaping
        * - Applied to all user input before display
        * - Prevents HTML/JavaScript injection
@@ -2357,7 +12804,7 @@
        * - Maximum length limits enforced
        *
        * STATE VALIDATION:
-       * - Prevents invalid state transitions (Lines 913-918)
+       * - Prevents invalid state transitions
        * - Completed tasks cannot be marked missed
        * - Maintains data integrity
        *
@@ -2366,13 +12813,13 @@
        * ============================================
        *
        * KEYBOARD NAVIGATION:
-       * - Enter key for login (Lines 2029-2036)
-       * - Enter key for signup (Lines 2039-2046)
-       * - Enter key for password reset (Lines 2049-2055)
-       * - ESC key closes modals (Lines 1280-1283)
+       * - Enter key for login
+       * - Enter key for signup
+       * - Enter key for password reset
+       * - ESC key closes modals
        *
        * FOCUS MANAGEMENT:
-       * - Auto-focus first input in modals (Lines 1252-1256)
+       * - Auto-focus first input in modals
        * - Tab navigation support
        * - Clear focus indicators in CSS
        *
@@ -2390,7 +12837,7 @@
        * CSS Lines (styles.css): ~900
        * HTML Lines (index.html): ~400
        *
-       * Modules: 13
+       * Modules: 23
        * Functions: 50+
        * Regex Patterns: 3
        * Try/Catch Blocks: 15+
@@ -2414,7 +12861,7 @@
        *     - All inputs validated before processing
        *
        * ✅ 13. Modular Organization
-       *     - 13 distinct modules
+       *     - 23 distinct modules
        *     - Clear separation of concerns
        *     - Module dependencies documented
        *     - Reusable functions
@@ -2441,11 +12888,11 @@
        * ============================================
        *
        * ✅ Single-page application (Claude compatible)
-       * ✅ Firestore persistence (Auth + Firestore) with in-memory fallback
+       * ✅ Offline-first IndexedDB storage with Firestore sync (Auth + Firestore)
        * ✅ Comprehensive error handling (try/catch)
        * ✅ Input validation with regex
        * ✅ XSS prevention (HTML escaping)
-       * ✅ Modular organization (13 modules)
+       * ✅ Modular organization (23 modules)
        * ✅ Smart algorithms (auto-balance, auto-reschedule)
        * ✅ Accessibility features (keyboard support, focus management)
        * ✅ Responsive design
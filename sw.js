@@ -0,0 +1,309 @@
+/**
+ * ============================================
+ * STUDY PLAN OPTIMIZER - SERVICE WORKER
+ * ============================================
+ *
+ * - Caches the app shell and the Firebase SDK so the app opens offline
+ *   (the plan itself lives in IndexedDB, see AppStorage in app.js)
+ * - Shows study reminders from the schedule the page hands over (see
+ *   Reminders in app.js), also after the app is closed, and brings the
+ *   app to the front when a reminder is clicked
+ *
+ * Page loads and shell files are network first, so a deploy never runs
+ * the new index.html against an old cached app.js. Bump CACHE_VERSION
+ * when the list of shell files changes.
+ */
+
+const CACHE_VERSION = 2;
+const CACHE_NAME = `study-plan-shell-v${CACHE_VERSION}`;
+
+// Reminder schedule and what was shown, kept across worker restarts
+const REMINDER_CACHE = "study-plan-reminders";
+const REMINDER_STATE_URL = new URL("reminder-state", self.location).href;
+// Must match CONFIG.REMINDER_SYNC_TAG in app.js
+const REMINDER_SYNC_TAG = "study-reminders";
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "app.js",
+  "styles.css",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+];
+const SHELL_URLS = SHELL_FILES.map((file) => new URL(file, self.location).href);
+
+// Must match the <script> tags in index.html
+const SDK_FILES = [
+  "https://www.gstatic.com/firebasejs/10.12.5/firebase-app-compat.js",
+  "https://www.gstatic.com/firebasejs/10.12.5/firebase-auth-compat.js",
+  "https://www.gstatic.com/firebasejs/10.12.5/firebase-firestore-compat.js",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      await cache.addAll(SHELL_FILES);
+
+      // The SDK is optional: the app runs in local mode without it
+      await Promise.all(
+        SDK_FILES.map((url) =>
+          cache.add(url).catch((error) => {
+            console.warn("[SW] SDK not cached:", url, error.message);
+          })
+        )
+      );
+    })
+  );
+
+  // Take over from an older worker straight away
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("study-plan-shell-"))
+            .filter((key) => key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Page loads: network first so deploys show up, cached shell offline
+ */
+async function handleNavigation(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put("index.html", response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match("index.html");
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Shell files: network first like the page, cached copy offline
+ * "no-cache" revalidates with the server instead of trusting the
+ * browser's HTTP cache, so the page and its script always match
+ */
+async function handleShell(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request, { cache: "no-cache" });
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Firebase SDK (versioned URLs that never change): answer from the
+ * cache, refresh it in the background
+ * Technique: Stale-while-revalidate
+ */
+async function handleAsset(event) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+
+  const refresh = fetch(event.request)
+    .then((response) => {
+      if (response.ok) {
+        cache.put(event.request, response.clone());
+      }
+      return response;
+    })
+    .catch((error) => {
+      if (!cached) throw error;
+      return cached;
+    });
+
+  if (!cached) return refresh;
+
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  // Firestore and Auth traffic is left to the SDK's own offline handling
+  const url = new URL(request.url);
+  if (SHELL_URLS.includes(url.origin + url.pathname)) {
+    event.respondWith(handleShell(request));
+  } else if (SDK_FILES.includes(url.href)) {
+    event.respondWith(handleAsset(event));
+  }
+});
+
+/**
+ * REMINDERS
+ * State: { reminders: [{ key, title, body, at, until }], url,
+ *          shown: keys shown by this worker,
+ *          triggered: keys left to Notification Triggers }
+ */
+async function readReminderState() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const response = await cache.match(REMINDER_STATE_URL);
+  const state = response ? await response.json() : {};
+  return {
+    reminders: state.reminders || [],
+    url: state.url || "./",
+    shown: state.shown || [],
+    triggered: state.triggered || [],
+  };
+}
+
+async function writeReminderState(state) {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put(
+    REMINDER_STATE_URL,
+    new Response(JSON.stringify(state), {
+      headers: { "Content-Type": "application/json" },
+    })
+  );
+}
+
+/**
+ * Notification Triggers show a notification at a set time without
+ * waking the worker (Chromium with the feature enabled)
+ */
+function canTrigger() {
+  return (
+    typeof TimestampTrigger !== "undefined" &&
+    "showTrigger" in Notification.prototype
+  );
+}
+
+/**
+ * Stores a new schedule from the page
+ * With Notification Triggers, pending triggers are replaced by one per
+ * future reminder; the rest are shown by showDueReminders
+ */
+async function scheduleReminders(reminders, url) {
+  const state = await readReminderState();
+  const now = Date.now();
+  const keys = new Set(reminders.map((reminder) => reminder.key));
+
+  // Keys of reminders that left the schedule are forgotten
+  state.reminders = reminders;
+  state.url = url || state.url;
+  state.shown = state.shown.filter((key) => keys.has(key));
+  state.triggered = state.triggered.filter((key) => {
+    const reminder = reminders.find((r) => r.key === key);
+    return reminder && reminder.at <= now;
+  });
+
+  if (canTrigger()) {
+    const pending = await self.registration.getNotifications({
+      includeTriggered: true,
+    });
+    pending
+      .filter((n) => n.data && n.data.scheduled && n.timestamp > now)
+      .forEach((n) => n.close());
+
+    for (const reminder of reminders) {
+      if (reminder.at <= now || state.shown.includes(reminder.key)) continue;
+
+      await self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: reminder.key,
+        timestamp: reminder.at,
+        showTrigger: new TimestampTrigger(reminder.at),
+        data: { url: state.url, scheduled: true },
+      });
+      state.triggered.push(reminder.key);
+    }
+  }
+
+  await writeReminderState(state);
+  await showDueReminders();
+}
+
+/**
+ * Shows reminders whose window is open and that were neither shown
+ * nor left to a trigger
+ */
+async function showDueReminders() {
+  const state = await readReminderState();
+  const now = Date.now();
+  const done = new Set([...state.shown, ...state.triggered]);
+
+  const due = state.reminders.filter(
+    (reminder) =>
+      reminder.at <= now && now < reminder.until && !done.has(reminder.key)
+  );
+  for (const reminder of due) {
+    await self.registration.showNotification(reminder.title, {
+      body: reminder.body,
+      tag: reminder.key,
+      data: { url: state.url },
+    });
+    state.shown.push(reminder.key);
+  }
+
+  if (due.length > 0) {
+    await writeReminderState(state);
+  }
+}
+
+self.addEventListener("message", (event) => {
+  const message = event.data || {};
+
+  if (message.type === "schedule-reminders") {
+    event.waitUntil(scheduleReminders(message.reminders || [], message.url));
+  } else if (message.type === "check-reminders") {
+    event.waitUntil(showDueReminders());
+  }
+});
+
+// Installed apps: the browser wakes the worker now and then
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(showDueReminders());
+  }
+});
+
+/**
+ * Focuses an open app tab, or opens one
+ */
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+
+  const url = (event.notification.data && event.notification.data.url) || "./";
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((clients) => {
+        const client = clients.find((c) => "focus" in c);
+        return client ? client.focus() : self.clients.openWindow(url);
+      })
+  );
+});